@@ -5,15 +5,70 @@ const { v4: uuidv4 } = require('uuid');
 const NodeManager = require('./nodeManager');
 const PodScheduler = require('./podScheduler');
 const HealthMonitor = require('./healthMonitor');
-const Docker = require('dockerode');
+const SchedulingQueue = require('./schedulingQueue');
+const DeploymentController = require('./deploymentController');
+const TaintManager = require('./taintManager');
+const WatchCache = require('./watchCache');
+const { EventRecorder, EVENT_TYPES } = require('./eventRecorder');
+const MetricsCollector = require('./metricsCollector');
+const UsageHistory = require('./usageHistory');
+const LogStore = require('./logStore');
+const { HEARTBEAT_VERSION, parseHeartbeat } = require('./heartbeat');
+const { parseNetworkFaults, networkFaultsForNode } = require('./networkFaults');
+const { PriorityClasses, PREEMPTION_POLICIES } = require('./priorityClasses');
+const { Namespaces, DEFAULT_NAMESPACE, validateQuota } = require('./namespaces');
+const { createStateStore } = require('./stateStore');
+const { createProvisioner } = require('./nodeProvisioner');
+const { createClock, parseDuration } = require('./clock');
+const { TokenStore, authenticate, requireRole, describeToken, ROLES } = require('./auth');
+const { ChaosController, validateExperiment, EXPERIMENT_STATUSES } = require('./chaosController');
+const { validateLabels, matchesSelector, validateAffinity } = require('./labels');
+const {
+  parseTaint, parseToleration, formatTaint, validateTaint, validateTolerations
+} = require('./taints');
 
+const PORT = process.env.PORT || 5000;
 const app = express();
-const docker = new Docker();
-const nodeManager = new NodeManager();
+const clock = createClock();
+const provisioner = createProvisioner(PORT, clock);
+const stateStore = createStateStore(clock);
+const nodeManager = new NodeManager(stateStore, clock);
 const podScheduler = new PodScheduler(nodeManager);
-const healthMonitor = new HealthMonitor(nodeManager, podScheduler);
+const priorityClasses = new PriorityClasses(stateStore);
+const namespaces = new Namespaces(nodeManager, stateStore, clock);
+const eventRecorder = new EventRecorder({ clock });
+const schedulingQueue = new SchedulingQueue(nodeManager, podScheduler, eventRecorder);
+const healthMonitor = new HealthMonitor(nodeManager, eventRecorder);
+const taintManager = new TaintManager(nodeManager, podScheduler, schedulingQueue, eventRecorder);
+const deploymentController = new DeploymentController(nodeManager, schedulingQueue, eventRecorder, namespaces, stateStore);
+const watchCache = new WatchCache(nodeManager, stateStore);
+const usageHistory = new UsageHistory(nodeManager);
+const logStore = new LogStore(nodeManager);
+const chaosController = new ChaosController(nodeManager, eventRecorder);
+const metricsCollector = new MetricsCollector(nodeManager, podScheduler, schedulingQueue, usageHistory, namespaces);
+const tokenStore = new TokenStore(stateStore, clock);
+const AUTH_ENABLED = process.env.AUTH_DISABLED !== 'true';
+const bootstrapToken = AUTH_ENABLED ? tokenStore.bootstrapAdmin(process.env.ADMIN_TOKEN) : null;
+
+// Pod phases come from the nodes that run them
+nodeManager.on('pod-status-changed', ({ pod, previous, nodeId, message }) => {
+  const involvedObject = { kind: 'pod', name: pod.id };
+  if (pod.status === 'running') {
+    eventRecorder.normal(involvedObject, 'Started', `Running on node ${nodeId}`);
+  } else if (pod.status === 'failed') {
+    eventRecorder.warning(involvedObject, 'Failed', message || `Node ${nodeId} reported the pod failed`);
+  } else if (pod.status === 'pending' && previous === 'running') {
+    eventRecorder.warning(involvedObject, 'NotRunning', `Node ${nodeId} no longer reports the pod; waiting for it to start again`);
+  }
+});
 
-app.use(cors());
+// A removed node's simulator has no use for its token any more
+nodeManager.on('resource-changed', ({ kind, type, object }) => {
+  if (kind === 'node' && type === 'DELETED') tokenStore.revokeNode(object.nodeId);
+});
+
+// Browsers may only call the API from the origins listed in CORS_ORIGINS
+app.use(cors({ origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : false }));
 app.use(morgan('dev'));
 app.use(express.json());
 
@@ -23,6 +78,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// The cluster's clock, which runs in simulated time in SIM_MODE, so clients
+// can tell how long ago the times in a response were
+app.use((req, res, next) => {
+  res.set('X-Cluster-Time', clock.date().toISOString());
+  next();
+});
+
+app.use(authenticate(tokenStore, { enabled: AUTH_ENABLED }));
+
 // Debug route registration
 app.on('mount', () => {
   console.log('\nRegistered Endpoints:');
@@ -35,27 +99,237 @@ app.on('mount', () => {
   console.log('\n');
 });
 
+// Accepts taints as "key=value:Effect" strings or objects
+const parseTaints = (taints = []) =>
+  Array.isArray(taints) ? taints.map(parseTaint) : null;
+
+const validateTaints = taints =>
+  taints ? taints.map(validateTaint).find(Boolean) || null : 'taints must be an array';
+
+const parseTolerations = tolerations =>
+  Array.isArray(tolerations) ? tolerations.map(parseToleration) : tolerations;
+
+const formatNode = node => ({
+  nodeId: node.nodeId,
+  cpuCores: node.cpuCores,
+  availableCores: node.availableCores,
+  memory: node.memory,
+  availableMemory: node.availableMemory,
+  labels: node.labels,
+  taints: node.taints.map(formatTaint),
+  status: node.status,
+  lastHeartbeat: node.lastHeartbeat,
+  podCount: node.podCount,
+  links: {
+    details: `/nodes/${node.nodeId}`,
+    health: `/nodes/${node.nodeId}/health`,
+    pods: `/nodes/${node.nodeId}/pods`,
+    logs: `/nodes/${node.nodeId}/logs`
+  }
+});
+
+// Pod names are unique within their namespace only, so the pod routes take
+// the namespace as a query parameter
+const podPath = (pod, suffix = '') => `/pods/${pod.name}${suffix}?namespace=${pod.namespace}`;
+
+const findPod = req => nodeManager.findPod(req.query.namespace || DEFAULT_NAMESPACE, req.params.name);
+
+const formatPod = pod => ({
+  id: pod.id,  // Ensure ID is included
+  name: pod.name,
+  namespace: pod.namespace,
+  nodeId: pod.nodeId,
+  cpuRequired: pod.cpuRequired,
+  memoryRequired: pod.memoryRequired,
+  labels: pod.labels,
+  owner: pod.owner,
+  priority: pod.priority,
+  status: pod.status,
+  pendingReason: pod.pendingReason,
+  pendingSince: pod.pendingSince,
+  uptime: pod.uptime,
+  createdAt: pod.createdAt,
+  links: {
+    details: podPath(pod),
+    logs: podPath(pod, '/logs')
+  }
+});
+
+// Accepts an ISO date or a duration back from now such as 30s, 10m or 1h.
+// Returns null when the value is neither.
+const parseSince = value => {
+  if (value === undefined) return undefined;
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return new Date(clock.now() - duration);
+  }
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// Prometheus scrapers ask for this type in their Accept header and get the
+// text exposition format from the metrics routes; other clients get JSON
+// unless they pass ?format=prometheus
+const PROMETHEUS_TYPE = 'text/plain; version=0.0.4';
+
+const WATCH_KINDS = { nodes: 'node', pods: 'pod' };
+const WATCH_FORMATTERS = { node: formatNode, pod: formatPod };
+
+// Streams watch events as Server-Sent Events. Each event id is its resource
+// version, so a reconnecting EventSource resumes through Last-Event-ID; other
+// clients pass ?resourceVersion=. Without a version the stream opens with the
+// current objects as ADDED events.
+const streamWatch = (req, res, kinds) => {
+  const fromVersion = req.query.resourceVersion ?? req.get('Last-Event-ID');
+  let backlog;
+  if (fromVersion === undefined) {
+    backlog = watchCache.list(kinds);
+  } else if (!Number.isInteger(Number(fromVersion))) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'resourceVersion must be an integer',
+      requestId: req.id
+    });
+  } else {
+    backlog = watchCache.since(kinds, Number(fromVersion));
+    if (!backlog) {
+      return res.status(410).json({ 
+        error: 'Resource version expired',
+        message: `Events since version ${fromVersion} are no longer available; list again and watch from the current version`,
+        resourceVersion: watchCache.resourceVersion,
+        requestId: req.id
+      });
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = ({ kind, type, resourceVersion, object }) => {
+    const data = { kind, type, resourceVersion, object: WATCH_FORMATTERS[kind](object) };
+    res.write(`id: ${resourceVersion}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  backlog.forEach(send);
+  const unwatch = watchCache.watch(kinds, send);
+  // Comments keep idle connections from being closed by proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  console.log(`[${req.id}] Watch started for ${kinds.join(', ')} at version ${watchCache.resourceVersion}`);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unwatch();
+    console.log(`[${req.id}] Watch closed`);
+  });
+};
+
+// Reads tail, since and follow for the logs routes; returns { error } when
+// one of them is invalid
+const parseLogOptions = query => {
+  const rawTail = query.tail ?? query.limit;
+  const tail = rawTail === undefined ? undefined : Number(rawTail);
+  if (tail !== undefined && !(Number.isInteger(tail) && tail >= 0)) {
+    return { error: 'tail must be a non-negative integer' };
+  }
+  const since = parseSince(query.since);
+  if (since === null) {
+    return { error: 'since must be a date or a duration such as 10m' };
+  }
+  return { tail, since, follow: query.follow === 'true' };
+};
+
+// Lines shipped by a node: [{ timestamp, message }]. A missing or invalid
+// timestamp means now.
+const toLogLines = (lines, nodeId) => {
+  if (!Array.isArray(lines)) return null;
+  return lines.map(line => {
+    const timestamp = new Date(line?.timestamp);
+    return {
+      timestamp: isNaN(timestamp) ? clock.date() : timestamp,
+      message: String(line?.message ?? ''),
+      ...(nodeId ? { nodeId } : {})
+    };
+  });
+};
+
+// Sends the selected lines and, with follow, keeps the response open as
+// Server-Sent Events: one 'log' event per line and an 'end' event once the
+// node or pod is deleted
+const sendLogs = (req, res, kind, id, extra) => {
+  const options = parseLogOptions(req.query);
+  if (options.error) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: options.error,
+      requestId: req.id
+    });
+  }
+
+  const logs = logStore.query(kind, id, options);
+  if (!options.follow) {
+    return res.json({
+      ...extra,
+      logs,
+      total: logs.length,
+      requestId: req.id
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = line => res.write(`event: log\ndata: ${JSON.stringify(line)}\n\n`);
+  logs.forEach(send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unfollow = logStore.follow(kind, id, send, () => {
+    clearInterval(keepAlive);
+    res.end(`event: end\ndata: ${JSON.stringify({ message: `${kind} ${id} was deleted` })}\n\n`);
+  });
+
+  console.log(`[${req.id}] Following logs of ${kind} ${id}`);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unfollow();
+  });
+};
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', requireRole('viewer'), (req, res) => {
   try {
     const nodes = nodeManager.getNodes();
     const pods = [...nodeManager.pods.values()];
+    // Pending pods hold nothing until they are bound
+    const boundPods = pods.filter(pod => pod.nodeId);
     
     const totalCores = nodes.reduce((sum, node) => sum + node.cpuCores, 0);
-    const usedCores = pods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
+    const usedCores = boundPods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
+    const totalMemory = nodes.reduce((sum, node) => sum + node.memory, 0);
+    const usedMemory = boundPods.reduce((sum, pod) => sum + pod.memoryRequired, 0);
     const healthyNodes = nodes.filter(n => n.status === 'healthy').length;
     
     res.json({
       status: healthyNodes > 0 ? 
         (healthyNodes === nodes.length ? 'healthy' : 'degraded') : 
         'unhealthy',
-      timestamp: new Date().toISOString(),
+      timestamp: clock.date().toISOString(),
       resources: {
         cpu: {
           total: totalCores,
           allocated: usedCores,
           available: totalCores - usedCores,
           utilization: `${Math.round((usedCores/totalCores)*100)}%`
+        },
+        memory: {
+          total: totalMemory,
+          allocated: usedMemory,
+          available: totalMemory - usedMemory,
+          utilization: `${Math.round((usedMemory/totalMemory)*100)}%`
         }
       },
       nodes: {
@@ -66,13 +340,14 @@ app.get('/health', (req, res) => {
           healthy: nodes.filter(n => n.status === 'healthy').map(n => ({
             id: n.nodeId,
             cpu: `${n.cpuCores - n.availableCores}/${n.cpuCores} cores`,
+            memory: `${n.memory - n.availableMemory}/${n.memory} MB`,
             lastHeartbeat: n.lastHeartbeat
           })),
           unhealthy: nodes.filter(n => n.status !== 'healthy').map(n => ({
             id: n.nodeId,
             lastHeartbeat: n.lastHeartbeat,
             reason: n.lastHeartbeat ? 
-              `No heartbeat for ${Math.floor((new Date() - new Date(n.lastHeartbeat))/1000)}s` :
+              `No heartbeat for ${Math.floor((clock.now() - new Date(n.lastHeartbeat))/1000)}s` :
               'Never received heartbeat'
           }))
         }
@@ -83,6 +358,21 @@ app.get('/health', (req, res) => {
         pending: pods.filter(p => p.status === 'pending').length,
         failed: pods.filter(p => p.status === 'failed').length
       },
+      namespaces: Object.fromEntries(namespaces.list().map(({ name, quota }) => {
+        const namespacePods = pods.filter(pod => pod.namespace === name);
+        const usage = namespaces.usage(name);
+        return [name, {
+          pods: {
+            total: namespacePods.length,
+            running: namespacePods.filter(p => p.status === 'running').length,
+            pending: namespacePods.filter(p => p.status === 'pending').length,
+            failed: namespacePods.filter(p => p.status === 'failed').length,
+            quota: quota.pods
+          },
+          cpu: { requested: usage.cpu, quota: quota.cpu },
+          memory: { requested: usage.memory, quota: quota.memory }
+        }];
+      })),
       system: {
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage().rss
@@ -100,8 +390,24 @@ app.get('/health', (req, res) => {
 });
 
 // Node endpoints
-app.post('/nodes', async (req, res) => {
-  const { cpu_cores } = req.body;
+app.post('/nodes', requireRole('admin'), async (req, res) => {
+  const { node_id, cpu_cores, memory_mb, labels = {} } = req.body;
+  const taints = parseTaints(req.body.taints);
+
+  if (node_id !== undefined && !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(node_id)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'node_id must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (node_id !== undefined && nodeManager.nodes.has(node_id)) {
+    return res.status(409).json({ 
+      error: 'Node already exists',
+      requestId: req.id
+    });
+  }
 
   if (!cpu_cores || isNaN(cpu_cores) || cpu_cores <= 0) {
     return res.status(400).json({ 
@@ -111,29 +417,62 @@ app.post('/nodes', async (req, res) => {
     });
   }
 
+  if (memory_mb !== undefined && (isNaN(memory_mb) || memory_mb <= 0)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'memory_mb must be a positive integer',
+      requestId: req.id
+    });
+  }
+
+  const labelError = validateLabels(labels) || validateTaints(taints);
+  if (labelError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: labelError,
+      requestId: req.id
+    });
+  }
+
+  const nodeId = node_id || clock.uuid();
+
   try {
-    const container = await docker.createContainer({
-      Image: 'node-simulator',
-      Env: [
-        `CPU_CORES=${cpu_cores}`,
-        `NODE_ID=${uuidv4()}`,
-        `API_SERVER_URL=http://api-server:5000`
-      ],
-      HostConfig: {
-        NetworkMode: 'cluster-network'
-      }
+    // The simulator authenticates with a token of its own
+    const { token } = tokenStore.issue({ role: 'node', nodeId, source: 'provisioner' });
+    const instanceId = await provisioner.create(nodeId, {
+      cpuCores: parseInt(cpu_cores),
+      memoryMb: memory_mb ? parseInt(memory_mb) : undefined,
+      labels,
+      token
     });
 
-    await container.start();
-    const nodeId = container.id;
-    nodeManager.addNode(nodeId, parseInt(cpu_cores));
+    // Add the node before starting so the simulator's registration finds it
+    const node = nodeManager.addNode(nodeId, parseInt(cpu_cores), memory_mb ? parseInt(memory_mb) : undefined, labels);
+    nodeManager.updateNode(nodeId, { provisioner: provisioner.name, instanceId });
+    taints.forEach(taint => nodeManager.addTaint(nodeId, taint));
+    try {
+      await provisioner.start(instanceId);
+    } catch (err) {
+      nodeManager.removeNode(nodeId);
+      provisioner.remove(instanceId).catch(removeErr =>
+        console.error(`[${req.id}] Failed to remove ${provisioner.name} instance ${instanceId}:`, removeErr));
+      throw err;
+    }
 
-    console.log(`[${req.id}] Node ${nodeId} added with ${cpu_cores} cores`);
+    console.log(`[${req.id}] Node ${nodeId} added with ${cpu_cores} cores and ${node.memory}MB memory`);
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeCreated',
+      `Started ${provisioner.name} instance ${instanceId.slice(0, 12)} with ${cpu_cores} cores and ${node.memory}MB memory`);
 
     res.status(201).json({
       message: 'Node added successfully',
       node_id: nodeId,
+      provisioner: provisioner.name,
+      instance_id: instanceId,
+      ...(provisioner.name === 'docker' ? { container_id: instanceId } : {}),
       cpu_cores: parseInt(cpu_cores),
+      memory_mb: node.memory,
+      labels: node.labels,
+      taints: node.taints.map(formatTaint),
       links: {
         details: `/nodes/${nodeId}`,
         health: `/nodes/${nodeId}/health`,
@@ -142,6 +481,7 @@ app.post('/nodes', async (req, res) => {
       requestId: req.id
     });
   } catch (err) {
+    tokenStore.revokeNode(nodeId);
     console.error(`[${req.id}] Node creation failed:`, err);
     res.status(500).json({ 
       error: 'Node creation failed',
@@ -151,24 +491,140 @@ app.post('/nodes', async (req, res) => {
   }
 });
 
-app.get('/nodes', (req, res) => {
+// Called by node simulators on startup, whether or not POST /nodes started them
+app.post('/nodes/register', requireRole('admin', { ownNode: true }), (req, res) => {
+  const { nodeId, cpuCores, memoryMb, labels = {}, initialPods = [] } = req.body;
+  const taints = parseTaints(req.body.taints);
+
+  if (!nodeId || !cpuCores || isNaN(cpuCores) || cpuCores <= 0) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'nodeId and a positive cpuCores are required',
+      requestId: req.id
+    });
+  }
+
+  if (!/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(nodeId)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'nodeId must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (memoryMb !== undefined && (isNaN(memoryMb) || memoryMb <= 0)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'memoryMb must be a positive integer',
+      requestId: req.id
+    });
+  }
+
+  const labelError = validateLabels(labels) || validateTaints(taints);
+  if (labelError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: labelError,
+      requestId: req.id
+    });
+  }
+
+  const validInitialPods = Array.isArray(initialPods) && initialPods.every(entry =>
+    entry !== null && typeof entry === 'object' && typeof entry.id === 'string' && entry.id &&
+    Number.isFinite(Number(entry.cpuRequired)) && Number(entry.cpuRequired) >= 0 &&
+    (entry.memoryRequired === undefined || Number.isFinite(Number(entry.memoryRequired))));
+  if (!validInitialPods) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'initialPods must be a list of pods, each with an id and a numeric cpuRequired',
+      requestId: req.id
+    });
+  }
+
   try {
-    const nodes = nodeManager.getNodes().map(node => ({
-      nodeId: node.nodeId,
-      cpuCores: node.cpuCores,
-      availableCores: node.availableCores,
+    let node = nodeManager.nodes.get(nodeId);
+    const alreadyRegistered = Boolean(node);
+    if (!node) {
+      node = nodeManager.addNode(nodeId, parseInt(cpuCores), memoryMb ? parseInt(memoryMb) : undefined, labels);
+      taints.forEach(taint => nodeManager.addTaint(nodeId, taint));
+    } else {
+      // Pods it no longer reports go back to pending, but only when it
+      // reports its pods at all
+      nodeManager.recordHeartbeat(nodeId, req.body.initialPods &&
+        Object.fromEntries(initialPods.map(reported => [reported.id, { status: reported.status }])));
+    }
+
+    // Reconcile the pods the simulator says it is already running. Pods the
+    // cluster doesn't know yet join the default namespace within its quota.
+    const adoptedPods = [];
+    const rejectedPods = [];
+    initialPods.forEach(reported => {
+      const pod = nodeManager.pods.get(reported.id);
+      const cpuRequired = Number(reported.cpuRequired);
+      const memoryRequired = Number(reported.memoryRequired) || 0;
+      const quotaError = !pod && namespaces.checkQuota(DEFAULT_NAMESPACE, cpuRequired, memoryRequired);
+
+      if (pod && pod.nodeId === nodeId) {
+        adoptedPods.push(pod.id);
+      } else if (pod && pod.nodeId) {
+        rejectedPods.push({ id: pod.id, reason: `Pod is bound to node ${pod.nodeId}` });
+      } else if (quotaError) {
+        rejectedPods.push({ id: reported.id, reason: quotaError });
+      } else if (pod ? nodeManager.bindPod(pod.id, nodeId) :
+                 nodeManager.addPod(nodeId, reported.id, cpuRequired, memoryRequired)) {
+        nodeManager.updatePod(reported.id, { status: reported.status || 'running' });
+        adoptedPods.push(reported.id);
+      } else {
+        rejectedPods.push({ id: reported.id, reason: 'Insufficient resources on node' });
+      }
+    });
+
+    console.log(`[${req.id}] Node ${nodeId} ${alreadyRegistered ? 're-registered' : 'registered'} with ${node.cpuCores} cores, adopted ${adoptedPods.length} pods`);
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeRegistered',
+      `${alreadyRegistered ? 'Re-registered' : 'Registered'} with ${node.cpuCores} cores, adopted ${adoptedPods.length} pods`);
+
+    res.status(alreadyRegistered ? 200 : 201).json({
+      message: alreadyRegistered ? 'Node already registered' : 'Node registered successfully',
+      node_id: nodeId,
+      cpu_cores: node.cpuCores,
+      memory_mb: node.memory,
+      labels: node.labels,
+      taints: node.taints.map(formatTaint),
       status: node.status,
-      lastHeartbeat: node.lastHeartbeat,
-      podCount: nodeManager.getPodsOnNode(node.nodeId).length,
+      adoptedPods,
+      rejectedPods,
+      desiredPods: nodeManager.getDesiredPods(nodeId),
+      networkFaults: networkFaultsForNode(node.networkFaults, clock.now()),
       links: {
-        details: `/nodes/${node.nodeId}`,
-        health: `/nodes/${node.nodeId}/health`,
-        pods: `/nodes/${node.nodeId}/pods`
-      }
-    }));
+        details: `/nodes/${nodeId}`,
+        heartbeat: `/nodes/${nodeId}/heartbeat`,
+        pods: `/nodes/${nodeId}/pods`,
+        logs: `/nodes/${nodeId}/logs`,
+        shutdown: `/nodes/${nodeId}/shutdown`
+      },
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Node registration failed:`, err);
+    res.status(500).json({ 
+      error: 'Node registration failed',
+      details: err.message,
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/nodes', requireRole('viewer'), (req, res) => {
+  try {
+    if (req.query.watch === 'true') {
+      return streamWatch(req, res, ['node']);
+    }
+
+    const nodes = nodeManager.getNodes().map(formatNode);
 
     res.json({
       nodes,
+      resourceVersion: watchCache.resourceVersion,
       requestId: req.id
     });
   } catch (err) {
@@ -180,7 +636,7 @@ app.get('/nodes', (req, res) => {
   }
 });
 
-app.get('/nodes/:id', (req, res) => {
+app.get('/nodes/:id', requireRole('viewer'), (req, res) => {
   try {
     const node = nodeManager.nodes.get(req.params.id);
     if (!node) {
@@ -198,20 +654,33 @@ app.get('/nodes/:id', (req, res) => {
         available: node.availableCores,
         used: node.cpuCores - node.availableCores
       },
+      memory: {
+        total: node.memory,
+        available: node.availableMemory,
+        used: node.memory - node.availableMemory
+      },
+      labels: node.labels,
+      taints: node.taints.map(formatTaint),
       status: node.status,
       lastHeartbeat: node.lastHeartbeat,
       pods: pods.map(pod => ({
         podId: pod.id,
+        name: pod.name,
+        namespace: pod.namespace,
         cpuRequired: pod.cpuRequired,
+        memoryRequired: pod.memoryRequired,
         status: pod.status,
-        uptime: Math.floor((new Date() - new Date(pod.createdAt)) / 1000) + 's',
+        uptime: Math.floor((clock.now() - new Date(pod.createdAt)) / 1000) + 's',
         links: {
-          details: `/pods/${pod.id}`
+          details: podPath(pod)
         }
       })),
+      networkFaults: node.networkFaults,
+      events: eventRecorder.query({ kind: 'node', name: node.id }),
       links: {
         health: `/nodes/${node.id}/health`,
-        metrics: `/nodes/${node.id}/metrics`
+        metrics: `/nodes/${node.id}/metrics`,
+        networkFaults: `/nodes/${node.id}/network-faults`
       },
       requestId: req.id
     });
@@ -224,7 +693,7 @@ app.get('/nodes/:id', (req, res) => {
   }
 });
 
-app.get('/nodes/:id/health', (req, res) => {
+app.get('/nodes/:id/health', requireRole('viewer'), (req, res) => {
   try {
     const node = nodeManager.nodes.get(req.params.id);
     if (!node) {
@@ -234,7 +703,7 @@ app.get('/nodes/:id/health', (req, res) => {
       });
     }
 
-    const now = new Date();
+    const now = clock.date();
     const lastHeartbeat = new Date(node.lastHeartbeat);
     const secondsSinceHeartbeat = (now - lastHeartbeat) / 1000;
 
@@ -250,6 +719,7 @@ app.get('/nodes/:id/health', (req, res) => {
         running: nodeManager.getPodsOnNode(node.id)
           .filter(pod => pod.status === 'running').length
       },
+      ...healthMonitor.getNodeHealth(node.id),
       requestId: req.id
     });
   } catch (err) {
@@ -261,137 +731,112 @@ app.get('/nodes/:id/health', (req, res) => {
   }
 });
 
-app.post('/nodes/:id/heartbeat', (req, res) => {
-  try {
-    const { id } = req.params;
-    const { podStatuses = {}, metrics = {} } = req.body;
+// Merges label changes into a node; set a label to null to remove it
+app.patch('/nodes/:id/labels', requireRole('operator'), (req, res) => {
+  const { labels } = req.body;
+  // null values remove a label, so validate them as empty strings
+  const labelError = labels && typeof labels === 'object' && !Array.isArray(labels) ?
+    validateLabels(Object.fromEntries(
+      Object.entries(labels).map(([key, value]) => [key, value === null ? '' : value])
+    )) :
+    'labels must be an object of key/value strings';
 
-    if (nodeManager.recordHeartbeat(id, podStatuses, metrics)) {
-      res.json({ 
-        message: 'Heartbeat recorded',
-        nextHeartbeatDue: new Date(Date.now() + 30000).toISOString(),
-        requestId: req.id
-      });
-    } else {
-      res.status(404).json({ 
-        error: 'Node not found',
-        requestId: req.id
-      });
-    }
-  } catch (err) {
-    console.error(`[${req.id}] Heartbeat processing failed:`, err);
-    res.status(500).json({ 
-      error: 'Internal server error',
+  if (labelError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: labelError,
       requestId: req.id
     });
   }
-});
 
-// Fault Tolerance Endpoints
-app.post('/nodes/:id/simulate-failure', (req, res) => {
   try {
-    const nodeId = req.params.id;
-    const node = nodeManager.nodes.get(nodeId);
-    
-    if (!node) {
+    const updated = nodeManager.setNodeLabels(req.params.id, labels);
+    if (!updated) {
       return res.status(404).json({ 
         error: 'Node not found',
         requestId: req.id
       });
     }
 
-    // Ensure lastHeartbeat is properly set
-    node.lastHeartbeat = new Date();
-    node.status = 'failed';
-
-    const pods = nodeManager.getPodsOnNode(nodeId);
-    const recoveryOperations = pods.map(pod => ({
-      podId: pod.id,
-      status: 'PENDING'
-    }));
-
-    // Immediate rescheduling
-    pods.forEach(pod => {
-      const newNodeId = podScheduler.schedulePod(pod.cpuRequired);
-      if (newNodeId) {
-        nodeManager.movePod(pod.id, nodeId, newNodeId);
-      }
-    });
+    console.log(`[${req.id}] Labels updated on node ${req.params.id}`);
 
     res.json({
-      message: 'Node failure simulated',
-      nodeId,
-      status: node.status,
-      recoveryOperations,
-      systemStatus: healthMonitor.getSystemStatus(),
+      message: 'Node labels updated',
+      nodeId: req.params.id,
+      labels: updated,
       requestId: req.id
     });
-
   } catch (err) {
-    console.error(`[${req.id}] Simulation error:`, err);
-    res.status(500).json({
-      error: 'Failed to simulate failure',
-      details: err.message,
-      requestId: req.id,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    console.error(`[${req.id}] Failed to update node labels:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
     });
   }
 });
 
-    
+// Adds taints given as "key=value:Effect"; NoExecute taints evict pods that
+// don't tolerate them
+app.post('/nodes/:id/taints', requireRole('operator'), (req, res) => {
+  const taints = parseTaints(req.body.taints);
+  const taintError = validateTaints(taints);
+
+  if (taintError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: taintError,
+      requestId: req.id
+    });
+  }
 
-app.get('/recovery-status', (req, res) => {
   try {
-    const operations = nodeManager.getRecoveryStatus();
-    
+    const node = nodeManager.nodes.get(req.params.id);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    taints.forEach(taint => nodeManager.addTaint(node.id, taint));
+    console.log(`[${req.id}] Taints ${taints.map(formatTaint).join(', ')} added to node ${node.id}`);
+
     res.json({
-      operations: operations.map(op => ({
-        podId: op.podId,
-        fromNode: op.fromNode,
-        toNode: op.toNode,
-        status: op.status,
-        timestamp: op.timestamp.toISOString()
-      })),
-      estimatedCompletion: operations.filter(op => op.status === 'PENDING').length * 5,
+      message: 'Node taints updated',
+      nodeId: node.id,
+      taints: node.taints.map(formatTaint),
+      remainingPods: node.pods.size,
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get recovery status:`, err);
+    console.error(`[${req.id}] Failed to taint node:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
     });
   }
 });
-// Debugging Endpoints
-app.get('/nodes/:id/logs', (req, res) => {
+
+app.delete('/nodes/:id/taints/:key', requireRole('operator'), (req, res) => {
   try {
-    const nodeId = req.params.id;
-    const node = nodeManager.nodes.get(nodeId);
-    if (!node) {
+    const taints = nodeManager.removeTaint(req.params.id, req.params.key, req.query.effect);
+    if (!taints) {
       return res.status(404).json({ 
         error: 'Node not found',
         requestId: req.id
       });
     }
 
-    const limit = parseInt(req.query.limit) || 10;
-    const logs = [
-      `[${new Date(Date.now() - 50000).toISOString()}] Node initialized`,
-      `[${new Date(Date.now() - 40000).toISOString()}] CPU cores registered: ${node.cpuCores}`,
-      `[${new Date(Date.now() - 30000).toISOString()}] Heartbeat system started`,
-      `[${new Date(Date.now() - 20000).toISOString()}] Pod scheduling enabled`,
-      `[${new Date(Date.now() - 10000).toISOString()}] Health check passed`,
-      `[${new Date().toISOString()}] Current status: ${node.status}`
-    ].slice(0, limit);
+    console.log(`[${req.id}] Taint ${req.params.key} removed from node ${req.params.id}`);
 
     res.json({
-      nodeId,
-      logs,
+      message: 'Node taints updated',
+      nodeId: req.params.id,
+      taints: taints.map(formatTaint),
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get node logs:`, err);
+    console.error(`[${req.id}] Failed to remove node taint:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -399,41 +844,29 @@ app.get('/nodes/:id/logs', (req, res) => {
   }
 });
 
-app.get('/nodes/:id/metrics', (req, res) => {
+// The pods a node should be running. Simulators get the same list in every
+// heartbeat response; this is for checking it without sending one.
+app.get('/nodes/:id/pods', requireRole('viewer', { ownNode: true }), (req, res) => {
   try {
-    const nodeId = req.params.id;
-    const node = nodeManager.nodes.get(nodeId);
-    if (!node) {
+    const desiredPods = nodeManager.getDesiredPods(req.params.id);
+    if (!desiredPods) {
       return res.status(404).json({ 
         error: 'Node not found',
         requestId: req.id
       });
     }
 
-    const pods = nodeManager.getPodsOnNode(nodeId);
-    const usedCores = pods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
-    
     res.json({
-      nodeId,
-      cpu: {
-        total: node.cpuCores,
-        used: usedCores,
-        load: (usedCores / node.cpuCores).toFixed(1)
-      },
-      memory: {
-        total: 8,
-        used: 3.2,
-        utilization: '40%'
-      },
-      network: {
-        in: 12,
-        out: 8
-      },
-      temperature: 42,
+      nodeId: req.params.id,
+      desiredPods,
+      pods: nodeManager.getPodsOnNode(req.params.id).map(pod => ({
+        podId: pod.id,
+        status: pod.status
+      })),
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get node metrics:`, err);
+    console.error(`[${req.id}] Failed to list node pods:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -441,32 +874,1450 @@ app.get('/nodes/:id/metrics', (req, res) => {
   }
 });
 
-app.get('/metrics', (req, res) => {
+// Applies a heartbeat parsed by parseHeartbeat; false for an unknown node
+const applyHeartbeat = (id, heartbeat) => {
+  const previousStatus = nodeManager.nodes.get(id)?.status;
+  if (!nodeManager.recordHeartbeat(id, heartbeat.pods)) return false;
+
+  usageHistory.recordHeartbeat(id, heartbeat);
+  if (previousStatus === 'unhealthy') {
+    eventRecorder.normal({ kind: 'node', name: id }, 'NodeReady', 'Heartbeats resumed');
+  }
+  return true;
+};
+
+app.post('/nodes/:id/heartbeat', requireRole('admin', { ownNode: true }), (req, res) => {
   try {
-    const nodes = nodeManager.getNodes();
-    const pods = [...nodeManager.pods.values()];
-    const totalCores = nodes.reduce((sum, node) => sum + node.cpuCores, 0);
-    const usedCores = pods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
-    
-    res.json({
-      nodes: {
-        total: nodes.length,
-        online: nodes.filter(n => n.status === 'healthy').length
+    const { id } = req.params;
+    const heartbeat = parseHeartbeat(req.body);
+    if (heartbeat.error) {
+      return res.status(400).json({ 
+        error: 'Invalid heartbeat',
+        message: heartbeat.error,
+        version: HEARTBEAT_VERSION,
+        requestId: req.id
+      });
+    }
+
+    if (!nodeManager.nodes.has(id)) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    // Chaos experiments may lose the heartbeat or apply it late
+    const fault = chaosController.heartbeatFault(id);
+    if (fault?.drop) {
+      return res.status(503).json({
+        error: 'Heartbeat dropped',
+        message: `Dropped by chaos experiment ${fault.experiment}`,
+        requestId: req.id
+      });
+    }
+    healthMonitor.recordClockSkew(id, heartbeat.timestamp);
+    if (fault?.delay) {
+      clock.setTimeout(() => applyHeartbeat(id, heartbeat), fault.delay);
+    } else {
+      applyHeartbeat(id, heartbeat);
+    }
+
+    res.status(fault ? 202 : 200).json({ 
+      message: fault ? `Heartbeat delayed by chaos experiment ${fault.experiment}` : 'Heartbeat recorded',
+      version: HEARTBEAT_VERSION,
+      desiredPods: nodeManager.getDesiredPods(id),
+      networkFaults: networkFaultsForNode(nodeManager.nodes.get(id).networkFaults, clock.now()),
+      nextHeartbeatDue: new Date(clock.now() + 30000).toISOString(),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Heartbeat processing failed:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Fault Tolerance Endpoints
+app.post('/nodes/:id/simulate-failure', requireRole('admin'), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    // Ensure lastHeartbeat is properly set
+    node.lastHeartbeat = clock.date();
+    const pods = nodeManager.getPodsOnNode(nodeId);
+
+    // The failed taint is NoExecute, so the TaintManager evicts pods right
+    // away; pods that do not fit anywhere wait in the queue
+    eventRecorder.warning({ kind: 'node', name: nodeId }, 'NodeFailed', 'Node failure simulated');
+    nodeManager.setNodeStatus(nodeId, 'failed');
+    const recoveryOperations = pods
+      .filter(pod => nodeManager.pods.get(pod.id)?.nodeId !== nodeId)
+      .map(pod => nodeManager.recoveryOperations.get(pod.id));
+
+    res.json({
+      message: 'Node failure simulated',
+      nodeId,
+      status: node.status,
+      recoveryOperations,
+      systemStatus: healthMonitor.getSystemStatus(),
+      requestId: req.id
+    });
+
+  } catch (err) {
+    console.error(`[${req.id}] Simulation error:`, err);
+    res.status(500).json({
+      error: 'Failed to simulate failure',
+      details: err.message,
+      requestId: req.id,
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+});
+
+// Network faults the node's simulator applies to its own traffic; they reach
+// it with its next heartbeat
+const describeNetworkFaults = node => ({
+  nodeId: node.id,
+  networkFaults: node.networkFaults,
+  partitioned: Boolean(node.networkFaults?.partitionUntil) &&
+    Date.parse(node.networkFaults.partitionUntil) > clock.now()
+});
+
+app.get('/nodes/:id/network-faults', requireRole('viewer'), (req, res) => {
+  try {
+    const node = nodeManager.nodes.get(req.params.id);
+    if (!node) {
+      return res.status(404).json({
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    res.json({ ...describeNetworkFaults(node), requestId: req.id });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get network faults:`, err);
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Merges the given faults into the node's current ones
+app.patch('/nodes/:id/network-faults', requireRole('admin'), (req, res) => {
+  try {
+    const current = nodeManager.nodes.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    const faults = parseNetworkFaults(req.body, clock.now(), current.networkFaults);
+    if (faults.error) {
+      return res.status(400).json({ 
+        error: 'Invalid network faults',
+        message: faults.error,
+        requestId: req.id
+      });
+    }
+
+    const node = nodeManager.setNetworkFaults(req.params.id, faults);
+    console.log(`[${req.id}] Network faults set on node ${node.id}: ${JSON.stringify(faults)}`);
+    eventRecorder.normal({ kind: 'node', name: node.id }, 'NetworkFaultsSet',
+      `${Math.round(faults.dropRate * 100)}% dropped, ${faults.latency}ms latency, ` +
+      `${faults.clockSkew}ms clock skew` +
+      (faults.partitionUntil ? `, partitioned until ${faults.partitionUntil}` : ''));
+
+    res.json({ ...describeNetworkFaults(node), requestId: req.id });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to set network faults:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.delete('/nodes/:id/network-faults', requireRole('admin'), (req, res) => {
+  try {
+    const node = nodeManager.setNetworkFaults(req.params.id, null);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    console.log(`[${req.id}] Network faults cleared on node ${node.id}`);
+    eventRecorder.normal({ kind: 'node', name: node.id }, 'NetworkFaultsCleared', 'Network faults cleared');
+    res.json({ ...describeNetworkFaults(node), requestId: req.id });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to clear network faults:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+    
+
+app.get('/recovery-status', requireRole('viewer'), (req, res) => {
+  try {
+    const operations = nodeManager.getRecoveryStatus();
+    
+    res.json({
+      operations: operations.map(op => ({
+        podId: op.podId,
+        fromNode: op.fromNode,
+        toNode: op.toNode,
+        status: op.status,
+        timestamp: op.timestamp.toISOString()
+      })),
+      estimatedCompletion: operations.filter(op => op.status === 'PENDING').length * 5,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get recovery status:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Filters: kind and name of the involved object, type, reason and since
+app.get('/events', requireRole('viewer'), (req, res) => {
+  const { kind, name, type, reason } = req.query;
+  const since = parseSince(req.query.since);
+
+  if (type && !EVENT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `type must be one of: ${EVENT_TYPES.join(', ')}`,
+      requestId: req.id
+    });
+  }
+
+  if (since === null) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'since must be a date or a duration such as 10m',
+      requestId: req.id
+    });
+  }
+
+  try {
+    const events = eventRecorder.query({ kind, name, type, reason, since });
+
+    res.json({
+      events,
+      total: events.length,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list events:`, err);
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+// Debugging Endpoints
+app.get('/nodes/:id/logs', requireRole('viewer'), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    if (!nodeManager.nodes.has(nodeId)) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    sendLogs(req, res, 'node', nodeId, { nodeId });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get node logs:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Nodes ship their own log lines and those of the pods they run:
+// { node: [{ timestamp, message }], pods: { podId: [{ timestamp, message }] } }
+// Lines for pods the server doesn't know are dropped.
+app.post('/nodes/:id/logs', requireRole('admin', { ownNode: true }), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    if (!nodeManager.nodes.has(nodeId)) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    const nodeLines = toLogLines(req.body.node || [], null);
+    const podLines = req.body.pods || {};
+    if (!nodeLines || typeof podLines !== 'object' || Array.isArray(podLines) ||
+        Object.values(podLines).some(lines => !Array.isArray(lines))) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'node must be an array of lines and pods an object of line arrays keyed by pod id',
+        requestId: req.id
+      });
+    }
+
+    let accepted = nodeLines.length;
+    logStore.append('node', nodeId, nodeLines);
+    Object.entries(podLines).forEach(([podId, lines]) => {
+      if (!nodeManager.pods.has(podId)) return;
+      const entries = toLogLines(lines, nodeId);
+      accepted += entries.length;
+      logStore.append('pod', podId, entries);
+    });
+
+    res.json({
+      accepted,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to store node logs:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/nodes/:id/metrics', requireRole('viewer'), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    if (req.query.format === 'prometheus' || req.accepts(['json', PROMETHEUS_TYPE]) === PROMETHEUS_TYPE) {
+      res.set('Content-Type', `${PROMETHEUS_TYPE}; charset=utf-8`);
+      return res.send(metricsCollector.render(nodeId));
+    }
+
+    const since = parseSince(req.query.since);
+    if (since === null) {
+      return res.status(400).json({ 
+        error: 'Invalid input',
+        message: 'since must be a date or a duration such as 10m',
+        requestId: req.id
+      });
+    }
+
+    const pods = nodeManager.getPodsOnNode(nodeId);
+    const usedCores = pods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
+    const usedMemory = pods.reduce((sum, pod) => sum + pod.memoryRequired, 0);
+    // Usage is what the node reported in its last heartbeat; used is what
+    // its pods requested
+    const latest = usageHistory.latest('node', nodeId);
+    
+    res.json({
+      nodeId,
+      cpu: {
+        total: node.cpuCores,
+        used: usedCores,
+        usage: latest ? latest.podCpuUsage : null,
+        load: latest ? latest.cpuLoad : null
+      },
+      memory: {
+        total: node.memory,
+        used: usedMemory,
+        utilization: `${Math.round((usedMemory / node.memory) * 100)}%`,
+        usage: latest ? latest.podMemoryUsage : null
+      },
+      system: latest ? {
+        memoryTotal: latest.memoryTotal,
+        memoryFree: latest.memoryFree,
+        uptime: latest.uptime
+      } : null,
+      reportedAt: latest ? latest.timestamp : null,
+      ...(since && { history: usageHistory.query('node', nodeId, since) }),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get node metrics:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  try {
+    if (req.query.format === 'prometheus' || req.accepts(['json', PROMETHEUS_TYPE]) === PROMETHEUS_TYPE) {
+      res.set('Content-Type', `${PROMETHEUS_TYPE}; charset=utf-8`);
+      return res.send(metricsCollector.render());
+    }
+
+    const nodes = nodeManager.getNodes();
+    // Queued pods haven't taken anything from a node yet
+    const pods = [...nodeManager.pods.values()].filter(pod => pod.nodeId);
+    const totalCores = nodes.reduce((sum, node) => sum + node.cpuCores, 0);
+    const usedCores = pods.reduce((sum, pod) => sum + pod.cpuRequired, 0);
+    const totalMemory = nodes.reduce((sum, node) => sum + node.memory, 0);
+    const usedMemory = pods.reduce((sum, pod) => sum + pod.memoryRequired, 0);
+    const since = parseSince(req.query.since);
+    if (since === null) {
+      return res.status(400).json({ 
+        error: 'Invalid input',
+        message: 'since must be a date or a duration such as 10m',
+        requestId: req.id
+      });
+    }
+
+    const reports = nodes.map(node => usageHistory.latest('node', node.nodeId)).filter(Boolean);
+    
+    res.json({
+      nodes: {
+        total: nodes.length,
+        online: nodes.filter(n => n.status === 'healthy').length,
+        reporting: reports.length
+      },
+      cpu: {
+        total: totalCores,
+        used: usedCores,
+        utilization: `${Math.round((usedCores / totalCores) * 100)}%`,
+        usage: reports.reduce((sum, report) => sum + report.podCpuUsage, 0)
+      },
+      memory: {
+        total: totalMemory,
+        used: usedMemory,
+        utilization: `${Math.round((usedMemory / totalMemory) * 100)}%`,
+        usage: reports.reduce((sum, report) => sum + report.podMemoryUsage, 0)
+      },
+      // Requests against quotas, and what the pods last reported using
+      namespaces: Object.fromEntries(namespaces.list().map(({ name, quota }) => {
+        const usage = namespaces.usage(name);
+        const podReports = namespaces.getPods(name)
+          .map(pod => usageHistory.latest('pod', pod.id)).filter(Boolean);
+        return [name, {
+          pods: { total: usage.pods, quota: quota.pods },
+          cpu: {
+            requested: usage.cpu,
+            quota: quota.cpu,
+            usage: podReports.reduce((sum, report) => sum + (report.cpuUsage || 0), 0)
+          },
+          memory: {
+            requested: usage.memory,
+            quota: quota.memory,
+            usage: podReports.reduce((sum, report) => sum + (report.memoryUsage || 0), 0)
+          }
+        }];
+      })),
+      ...(since && {
+        history: Object.fromEntries(nodes.map(node =>
+          [node.nodeId, usageHistory.query('node', node.nodeId, since)]))
+      }),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get cluster metrics:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Moves each of a draining node's pods to another node where it fits, and
+// returns the ones it moved
+const evacuatePods = (nodeId, describeMove) => {
+  const evacuatedPods = [];
+  nodeManager.getPodsOnNode(nodeId).forEach(pod => {
+    const newNodeId = podScheduler.schedulePod(pod.cpuRequired, pod.memoryRequired, pod);
+    if (newNodeId && nodeManager.movePod(pod.id, nodeId, newNodeId)) {
+      eventRecorder.normal({ kind: 'pod', name: pod.id }, 'Rescheduled', describeMove(newNodeId));
+      evacuatedPods.push({
+        id: pod.id,
+        newNodeId
+      });
+    }
+  });
+  return evacuatedPods;
+};
+
+// Maintenance Endpoints
+app.post('/nodes/:id/drain', requireRole('operator'), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    nodeManager.setNodeStatus(nodeId, 'draining');
+    const pods = nodeManager.getPodsOnNode(nodeId);
+    const evacuatedPods = evacuatePods(nodeId, newNodeId => `Moved from draining node ${nodeId} to node ${newNodeId}`);
+    // Pods no other node has room for wait in the queue, not on the draining node
+    const requeuedPods = nodeManager.getPodsOnNode(nodeId).map(pod => pod.id)
+      .filter(podId => schedulingQueue.requeue(podId, `Node ${nodeId} is draining and no node has capacity`));
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'Drained',
+      `Moved ${evacuatedPods.length} of ${pods.length} pods to other nodes, ${requeuedPods.length} pending`);
+
+    res.json({
+      message: 'Node draining initiated',
+      nodeId,
+      evacuatedPods,
+      requeuedPods,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to drain node:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Moves a node's pods to other nodes where they fit, queues the rest and
+// removes the node
+const shutDownNode = nodeId => {
+  nodeManager.setNodeStatus(nodeId, 'draining');
+  const evacuatedPods = evacuatePods(nodeId, newNodeId => `Moved from node ${nodeId} before it shut down to node ${newNodeId}`);
+
+  const requeuedPods = nodeManager.removeNode(nodeId, `Node ${nodeId} shut down and no node has capacity`);
+  return { evacuatedPods, requeuedPods };
+};
+
+app.post('/nodes/:id/shutdown', requireRole('admin', { ownNode: true }), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    const reason = req.body.reason || 'Node shutdown requested';
+    const { evacuatedPods, requeuedPods } = shutDownNode(nodeId);
+
+    console.log(`[${req.id}] Node ${nodeId} shut down (${reason}): ${evacuatedPods.length} pods moved, ${requeuedPods.length} pods pending`);
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeShutdown',
+      `${reason}: ${evacuatedPods.length} pods moved, ${requeuedPods.length} pods pending`);
+
+    res.json({
+      message: 'Node shut down and removed',
+      nodeId,
+      reason,
+      evacuatedPods,
+      requeuedPods,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to shut down node:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Removes a node the way a shutdown does and stops the simulator the
+// provisioner started for it
+app.delete('/nodes/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    const { evacuatedPods, requeuedPods } = shutDownNode(nodeId);
+    if (node.provisioner === provisioner.name && node.instanceId) {
+      await provisioner.remove(node.instanceId).catch(err =>
+        console.error(`[${req.id}] Failed to remove ${provisioner.name} instance ${node.instanceId}:`, err));
+    }
+
+    console.log(`[${req.id}] Node ${nodeId} deleted: ${evacuatedPods.length} pods moved, ${requeuedPods.length} pods pending`);
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeDeleted',
+      `${evacuatedPods.length} pods moved, ${requeuedPods.length} pods pending`);
+
+    res.json({
+      message: 'Node deleted',
+      nodeId,
+      evacuatedPods,
+      requeuedPods,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to delete node:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.post('/nodes/:id/repair-complete', requireRole('operator'), (req, res) => {
+  try {
+    const nodeId = req.params.id;
+    const node = nodeManager.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ 
+        error: 'Node not found',
+        requestId: req.id
+      });
+    }
+
+    nodeManager.setNodeStatus(nodeId, 'healthy');
+    eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeRepaired', 'Node returned to service');
+
+    const nodes = nodeManager.getNodes();
+    const healthyNodes = nodes.filter(n => n.status === 'healthy').length;
+
+    res.json({
+      message: 'Node repair completed',
+      nodeId,
+      availableCores: node.availableCores,
+      clusterStatus: healthyNodes === nodes.length ? 'healthy' : 'degraded',
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to complete node repair:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Scheduler endpoints
+app.get('/scheduler', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      ...podScheduler.getConfiguration(),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get scheduler configuration:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.put('/scheduler/strategy', requireRole('admin'), (req, res) => {
+  const { strategy } = req.body;
+
+  if (!strategy || !podScheduler.hasStrategy(strategy)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `strategy must be one of: ${[...podScheduler.strategies.keys()].join(', ')}`,
+      requestId: req.id
+    });
+  }
+
+  try {
+    podScheduler.setDefaultStrategy(strategy);
+    console.log(`[${req.id}] Default scheduling strategy set to ${strategy}`);
+
+    res.json({
+      message: 'Scheduling strategy updated',
+      defaultStrategy: podScheduler.defaultStrategy,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to update scheduling strategy:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Priority class endpoints
+app.get('/priority-classes', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      priorityClasses: priorityClasses.list(),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list priority classes:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.post('/priority-classes', requireRole('admin'), (req, res) => {
+  const { name, value, description, preemptionPolicy } = req.body;
+
+  if (!name || !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'name must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (!Number.isInteger(value)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'value must be an integer',
+      requestId: req.id
+    });
+  }
+
+  if (preemptionPolicy && !PREEMPTION_POLICIES.includes(preemptionPolicy)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `preemptionPolicy must be one of: ${PREEMPTION_POLICIES.join(', ')}`,
+      requestId: req.id
+    });
+  }
+
+  try {
+    const priorityClass = priorityClasses.set({ name, value, description, preemptionPolicy });
+    console.log(`[${req.id}] Priority class ${name} set to ${value}`);
+
+    res.status(201).json({
+      message: 'Priority class saved',
+      priorityClass,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to save priority class:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Namespace endpoints
+const formatNamespace = namespace => ({
+  name: namespace.name,
+  quota: namespace.quota,
+  usage: namespaces.usage(namespace.name),
+  createdAt: namespace.createdAt,
+  links: {
+    details: `/namespaces/${namespace.name}`,
+    quota: `/namespaces/${namespace.name}/quota`,
+    pods: `/pods?namespace=${namespace.name}`,
+    deployments: `/deployments?namespace=${namespace.name}`
+  }
+});
+
+app.get('/namespaces', requireRole('viewer'), (req, res) => {
+  try {
+    res.json({
+      namespaces: namespaces.list().map(formatNamespace),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list namespaces:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.post('/namespaces', requireRole('admin'), (req, res) => {
+  const { name, quota } = req.body;
+
+  if (!name || !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'name must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (namespaces.has(name)) {
+    return res.status(409).json({ 
+      error: 'Namespace already exists',
+      requestId: req.id
+    });
+  }
+
+  const quotaError = validateQuota(quota);
+  if (quotaError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: quotaError,
+      requestId: req.id
+    });
+  }
+
+  try {
+    const namespace = namespaces.create({ name, quota });
+    console.log(`[${req.id}] Namespace ${name} created`);
+
+    res.status(201).json({
+      message: 'Namespace created',
+      namespace: formatNamespace(namespace),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to create namespace:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/namespaces/:name', requireRole('viewer'), (req, res) => {
+  try {
+    const namespace = namespaces.get(req.params.name);
+    if (!namespace) {
+      return res.status(404).json({ 
+        error: 'Namespace not found',
+        requestId: req.id
+      });
+    }
+
+    res.json({
+      ...formatNamespace(namespace),
+      deployments: [...deploymentController.deployments.values()]
+        .filter(deployment => deployment.namespace === namespace.name)
+        .map(deployment => deployment.name),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get namespace:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Merges limit changes into the quota; set a limit to null to remove it
+app.patch('/namespaces/:name/quota', requireRole('admin'), (req, res) => {
+  const quotaError = validateQuota(req.body);
+  if (quotaError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: quotaError,
+      requestId: req.id
+    });
+  }
+
+  try {
+    const namespace = namespaces.setQuota(req.params.name, req.body);
+    if (!namespace) {
+      return res.status(404).json({ 
+        error: 'Namespace not found',
+        requestId: req.id
+      });
+    }
+
+    console.log(`[${req.id}] Quota of namespace ${namespace.name} set to ${JSON.stringify(namespace.quota)}`);
+    // Deployments held back by the old quota may fit now
+    deploymentController.requestSync();
+
+    res.json({
+      ...formatNamespace(namespace),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to update namespace quota:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Deletes the namespace with its deployments and pods
+app.delete('/namespaces/:name', requireRole('admin'), (req, res) => {
+  const { name } = req.params;
+
+  if (name === DEFAULT_NAMESPACE) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `The ${DEFAULT_NAMESPACE} namespace cannot be deleted`,
+      requestId: req.id
+    });
+  }
+
+  try {
+    if (!namespaces.has(name)) {
+      return res.status(404).json({ 
+        error: 'Namespace not found',
+        requestId: req.id
+      });
+    }
+
+    const deletedDeployments = [...deploymentController.deployments.values()]
+      .filter(deployment => deployment.namespace === name)
+      .map(deployment => deployment.name);
+    const deletedPods = deletedDeployments
+      .flatMap(deploymentName => deploymentController.deleteDeployment(name, deploymentName));
+    namespaces.getPods(name).forEach(pod => {
+      nodeManager.removePod(pod.id);
+      deletedPods.push(pod.id);
+    });
+    namespaces.delete(name);
+
+    console.log(`[${req.id}] Namespace ${name} deleted with ${deletedDeployments.length} deployments and ${deletedPods.length} pods`);
+
+    res.json({
+      message: 'Namespace deleted successfully',
+      name,
+      deletedDeployments,
+      deletedPods,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to delete namespace:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Numbers may arrive as strings; callers store Number(value)
+const isPositiveNumber = value => Number.isFinite(Number(value)) && Number(value) > 0;
+
+// Pod endpoints
+app.post('/pods', requireRole('operator'), async (req, res) => {
+  const { name, cpu_required, memory_required, scheduler, labels, nodeSelector, affinity } = req.body;
+  const namespace = req.body.namespace || DEFAULT_NAMESPACE;
+  const tolerations = parseTolerations(req.body.tolerations);
+  const priority = priorityClasses.resolve(req.body);
+  
+  if (name !== undefined && !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'name must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (name !== undefined && nodeManager.findPod(namespace, name)) {
+    return res.status(409).json({ 
+      error: 'Pod already exists',
+      requestId: req.id
+    });
+  }
+
+  if (!isPositiveNumber(cpu_required)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'cpu_required must be a positive number',
+      requestId: req.id
+    });
+  }
+  const cpuRequired = Number(cpu_required);
+
+  if (memory_required !== undefined && (isNaN(memory_required) || memory_required < 0)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'memory_required must be a non-negative number of MB',
+      requestId: req.id
+    });
+  }
+  const memoryRequired = Number(memory_required) || 0;
+
+  if (scheduler && !podScheduler.hasStrategy(scheduler)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `Unknown scheduler strategy: ${scheduler}`,
+      requestId: req.id
+    });
+  }
+
+  const specError = validateLabels(labels) || validateLabels(nodeSelector) ||
+    validateAffinity(affinity) || validateTolerations(tolerations) || priority.error;
+  if (specError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: specError,
+      requestId: req.id
+    });
+  }
+
+  if (!namespaces.has(namespace)) {
+    return res.status(404).json({ 
+      error: 'Namespace not found',
+      message: `Namespace ${namespace} does not exist`,
+      requestId: req.id
+    });
+  }
+
+  const quotaError = namespaces.checkQuota(namespace, cpuRequired, memoryRequired);
+  if (quotaError) {
+    console.log(`[${req.id}] Pod rejected: ${quotaError}`);
+    return res.status(403).json({ 
+      error: 'Quota exceeded',
+      message: quotaError,
+      requestId: req.id
+    });
+  }
+
+  try {
+    // Generated names are unique across the cluster and double as the ID
+    const podId = name ? `${namespace}/${name}` : `pod-${clock.uuid()}`;
+    const pod = schedulingQueue.submit(podId, cpuRequired, memoryRequired, {
+      name,
+      namespace,
+      scheduler,
+      labels,
+      nodeSelector,
+      affinity,
+      tolerations,
+      priority: priority.priority,
+      priorityClassName: priority.priorityClassName,
+      preemptionPolicy: priority.preemptionPolicy
+    });
+    const nodeId = pod.nodeId;
+
+    if (!nodeId) {
+      console.log(`[${req.id}] Pod ${podId} accepted as pending: ${pod.pendingReason}`);
+      return res.status(202).json({
+        message: 'Pod accepted and waiting for resources',
+        pod_id: podId,
+        name: pod.name,
+        namespace,
+        node_id: null,
+        status: pod.status,
+        reason: pod.pendingReason,
+        priority: pod.priority,
+        cpu_required: cpuRequired,
+        memory_required: memoryRequired,
+        scheduler: scheduler || podScheduler.defaultStrategy,
+        links: {
+          pod: podPath(pod)
+        },
+        requestId: req.id
+      });
+    }
+
+    console.log(`[${req.id}] Pod ${podId} launched on node ${nodeId}`);
+
+    res.status(201).json({
+      message: 'Pod launched successfully',
+      pod_id: podId,
+      name: pod.name,
+      namespace,
+      node_id: nodeId,
+      priority: pod.priority,
+      preemptedPods: pod.preemptedPods || [],
+      cpu_required: cpuRequired,
+      memory_required: memoryRequired,
+      scheduler: scheduler || podScheduler.defaultStrategy,
+      links: {
+        node: `/nodes/${nodeId}`,
+        pod: podPath(pod),
+        logs: podPath(pod, '/logs')
+      },
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Pod launch failed:`, err);
+    res.status(500).json({ 
+      error: 'Pod launch failed',
+      details: err.message,
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/pods', requireRole('viewer'), (req, res) => {
+  try {
+    if (req.query.watch === 'true') {
+      return streamWatch(req, res, ['pod']);
+    }
+
+    const pods = nodeManager.getAllPods()
+      .filter(pod => !req.query.namespace || pod.namespace === req.query.namespace)
+      .map(formatPod);
+
+    res.json({
+      pods,
+      total: pods.length,
+      pending: pods.filter(pod => !pod.nodeId).length,
+      resourceVersion: watchCache.resourceVersion,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list pods:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/watch', requireRole('viewer'), (req, res) => {
+  const kinds = (req.query.kind || 'nodes,pods').split(',');
+  const unknown = kinds.find(kind => !WATCH_KINDS[kind]);
+  if (unknown) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `kind must be one of: ${Object.keys(WATCH_KINDS).join(', ')}`,
+      requestId: req.id
+    });
+  }
+
+  try {
+    streamWatch(req, res, kinds.map(kind => WATCH_KINDS[kind]));
+  } catch (err) {
+    console.error(`[${req.id}] Failed to start watch:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/pods/:name', requireRole('viewer'), (req, res) => {
+  try {
+    const pod = findPod(req);
+    if (!pod) {
+      return res.status(404).json({ 
+        error: 'Pod not found',
+        requestId: req.id
+      });
+    }
+
+    const node = nodeManager.nodes.get(pod.nodeId);
+    res.json({
+      podId: pod.id,
+      name: pod.name,
+      namespace: pod.namespace,
+      nodeId: pod.nodeId,
+      cpuRequired: pod.cpuRequired,
+      memoryRequired: pod.memoryRequired || null,
+      scheduler: pod.scheduler || podScheduler.defaultStrategy,
+      labels: pod.labels,
+      owner: pod.owner,
+      nodeSelector: pod.nodeSelector,
+      affinity: pod.affinity,
+      tolerations: pod.tolerations,
+      priority: pod.priority,
+      priorityClassName: pod.priorityClassName,
+      preemptedPods: pod.preemptedPods || [],
+      lastEviction: pod.lastEviction || null,
+      status: pod.status,
+      pendingReason: pod.pendingReason,
+      pendingSince: pod.pendingSince,
+      createdAt: pod.createdAt,
+      uptime: Math.floor((clock.now() - new Date(pod.createdAt)) / 1000) + 's',
+      node: {
+        status: node?.status,
+        availableCores: node?.availableCores,
+        availableMemory: node?.availableMemory
       },
+      events: eventRecorder.query({ kind: 'pod', name: pod.id }),
+      links: {
+        node: `/nodes/${pod.nodeId}`,
+        logs: podPath(pod, '/logs'),
+        metrics: podPath(pod, '/metrics')
+      },
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get pod details:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/pods/:name/metrics', requireRole('viewer'), (req, res) => {
+  try {
+    const pod = findPod(req);
+    if (!pod) {
+      return res.status(404).json({ 
+        error: 'Pod not found',
+        requestId: req.id
+      });
+    }
+
+    const since = parseSince(req.query.since);
+    if (since === null) {
+      return res.status(400).json({ 
+        error: 'Invalid input',
+        message: 'since must be a date or a duration such as 10m',
+        requestId: req.id
+      });
+    }
+
+    const latest = usageHistory.latest('pod', pod.id);
+    res.json({
+      podId: pod.id,
+      name: pod.name,
+      namespace: pod.namespace,
+      nodeId: pod.nodeId,
       cpu: {
-        total: totalCores,
-        used: usedCores,
-        utilization: `${Math.round((usedCores / totalCores) * 100)}%`
+        requested: pod.cpuRequired,
+        usage: latest ? latest.cpuUsage : null
       },
       memory: {
-        total: nodes.length * 8,
-        used: nodes.length * 3.2,
-        utilization: '40%'
+        requested: pod.memoryRequired,
+        usage: latest ? latest.memoryUsage : null
       },
+      reportedAt: latest ? latest.timestamp : null,
+      ...(since && { history: usageHistory.query('pod', pod.id, since) }),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get pod metrics:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/pods/:name/logs', requireRole('viewer'), (req, res) => {
+  try {
+    const pod = findPod(req);
+    if (!pod) {
+      return res.status(404).json({ 
+        error: 'Pod not found',
+        requestId: req.id
+      });
+    }
+
+    sendLogs(req, res, 'pod', pod.id, { podId: pod.id });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get pod logs:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.delete('/pods/:name', requireRole('operator'), (req, res) => {
+  try {
+    const pod = findPod(req);
+    if (!pod) {
+      return res.status(404).json({ 
+        error: 'Pod not found',
+        requestId: req.id
+      });
+    }
+
+    const podId = pod.id;
+    const success = nodeManager.removePod(podId);
+
+    if (success) {
+      console.log(`[${req.id}] Pod ${podId} deleted from node ${pod.nodeId}`);
+      eventRecorder.normal({ kind: 'pod', name: podId }, 'Deleted',
+        pod.nodeId ? `Deleted from node ${pod.nodeId}` : 'Deleted while pending');
+      res.json({
+        message: 'Pod deleted successfully',
+        podId,
+        name: pod.name,
+        namespace: pod.namespace,
+        nodeId: pod.nodeId,
+        releasedResources: {
+          cpu: pod.cpuRequired,
+          memory: pod.memoryRequired || null
+        },
+        requestId: req.id
+      });
+    } else {
+      res.status(500).json({ 
+        error: 'Failed to delete pod',
+        requestId: req.id
+      });
+    }
+  } catch (err) {
+    console.error(`[${req.id}] Failed to delete pod:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Deployment endpoints
+const formatDeployment = deployment => ({
+  name: deployment.name,
+  namespace: deployment.namespace,
+  replicas: deployment.replicas,
+  selector: deployment.selector,
+  template: deployment.template,
+  status: deploymentController.getStatus(deployment),
+  createdAt: deployment.createdAt,
+  updatedAt: deployment.updatedAt,
+  links: {
+    details: `/deployments/${deployment.name}?namespace=${deployment.namespace}`,
+    scale: `/deployments/${deployment.name}/scale?namespace=${deployment.namespace}`
+  }
+});
+
+const isValidReplicas = replicas =>
+  Number.isInteger(Number(replicas)) && Number(replicas) >= 0;
+
+app.post('/deployments', requireRole('operator'), (req, res) => {
+  const { name, replicas = 1, template = {} } = req.body;
+  const namespace = req.body.namespace || DEFAULT_NAMESPACE;
+  const labels = template.labels || { app: name };
+  const tolerations = parseTolerations(template.tolerations);
+  const priority = priorityClasses.resolve(template);
+  const selector = req.body.selector || labels;
+
+  if (!name || !/^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/.test(name)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'name must consist of lower case alphanumerics and dashes',
+      requestId: req.id
+    });
+  }
+
+  if (deploymentController.getDeployment(namespace, name)) {
+    return res.status(409).json({ 
+      error: 'Deployment already exists',
+      requestId: req.id
+    });
+  }
+
+  if (!isValidReplicas(replicas)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'replicas must be a non-negative integer',
+      requestId: req.id
+    });
+  }
+
+  if (!isPositiveNumber(template.cpu_required)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'template.cpu_required must be a positive number',
+      requestId: req.id
+    });
+  }
+
+  if (template.memory_required !== undefined &&
+      (isNaN(template.memory_required) || template.memory_required < 0)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'template.memory_required must be a non-negative number of MB',
+      requestId: req.id
+    });
+  }
+
+  if (template.scheduler && !podScheduler.hasStrategy(template.scheduler)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `Unknown scheduler strategy: ${template.scheduler}`,
+      requestId: req.id
+    });
+  }
+
+  const specError = validateLabels(labels) || validateLabels(selector) ||
+    validateLabels(template.nodeSelector) || validateAffinity(template.affinity) ||
+    validateTolerations(tolerations) || priority.error;
+  if (specError) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: specError,
+      requestId: req.id
+    });
+  }
+
+  if (Object.keys(selector).length === 0 || !matchesSelector(labels, selector)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'selector must be non-empty and match template.labels',
+      requestId: req.id
+    });
+  }
+
+  if (!namespaces.has(namespace)) {
+    return res.status(404).json({ 
+      error: 'Namespace not found',
+      message: `Namespace ${namespace} does not exist`,
+      requestId: req.id
+    });
+  }
+
+  try {
+    const deployment = deploymentController.createDeployment({
+      name,
+      namespace,
+      replicas: Number(replicas),
+      selector,
+      template: {
+        cpuRequired: Number(template.cpu_required),
+        memoryRequired: Number(template.memory_required) || 0,
+        scheduler: template.scheduler || null,
+        labels,
+        nodeSelector: template.nodeSelector || {},
+        affinity: template.affinity || null,
+        tolerations: tolerations || [],
+        priority: priority.priority,
+        priorityClassName: priority.priorityClassName,
+        preemptionPolicy: priority.preemptionPolicy
+      }
+    });
+
+    console.log(`[${req.id}] Deployment ${name} created with ${replicas} replicas`);
+
+    res.status(201).json({
+      message: 'Deployment created successfully',
+      deployment: formatDeployment(deployment),
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get cluster metrics:`, err);
+    console.error(`[${req.id}] Deployment creation failed:`, err);
+    res.status(500).json({ 
+      error: 'Deployment creation failed',
+      details: err.message,
+      requestId: req.id
+    });
+  }
+});
+
+app.get('/deployments', requireRole('viewer'), (req, res) => {
+  try {
+    const deployments = [...deploymentController.deployments.values()]
+      .filter(deployment => !req.query.namespace || deployment.namespace === req.query.namespace)
+      .map(formatDeployment);
+
+    res.json({
+      deployments,
+      total: deployments.length,
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list deployments:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -474,42 +2325,69 @@ app.get('/metrics', (req, res) => {
   }
 });
 
-// Maintenance Endpoints
-app.post('/nodes/:id/drain', (req, res) => {
+app.get('/deployments/:name', requireRole('viewer'), (req, res) => {
   try {
-    const nodeId = req.params.id;
-    const node = nodeManager.nodes.get(nodeId);
-    if (!node) {
+    const deployment = deploymentController.getDeployment(req.query.namespace || DEFAULT_NAMESPACE, req.params.name);
+    if (!deployment) {
       return res.status(404).json({ 
-        error: 'Node not found',
+        error: 'Deployment not found',
         requestId: req.id
       });
     }
 
-    node.status = 'draining';
-    const pods = nodeManager.getPodsOnNode(nodeId);
-    const evacuatedPods = [];
-
-    pods.forEach(pod => {
-      const newNodeId = podScheduler.schedulePod(pod.cpuRequired, pod.memoryRequired);
-      if (newNodeId) {
-        nodeManager.movePod(pod.id, nodeId, newNodeId);
-        evacuatedPods.push({
-          id: pod.id,
-          newNodeId
-        });
-      }
+    res.json({
+      ...formatDeployment(deployment),
+      pods: deploymentController.getPods(deployment).map(pod => ({
+        podId: pod.id,
+        name: pod.name,
+        nodeId: pod.nodeId,
+        status: pod.status,
+        pendingReason: pod.pendingReason,
+        links: {
+          details: podPath(pod)
+        }
+      })),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to get deployment:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.put('/deployments/:name/scale', requireRole('operator'), (req, res) => {
+  const { replicas } = req.body;
+
+  if (replicas === undefined || !isValidReplicas(replicas)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'replicas must be a non-negative integer',
+      requestId: req.id
     });
+  }
+
+  try {
+    const namespace = req.query.namespace || DEFAULT_NAMESPACE;
+    const deployment = deploymentController.scaleDeployment(namespace, req.params.name, Number(replicas));
+    if (!deployment) {
+      return res.status(404).json({ 
+        error: 'Deployment not found',
+        requestId: req.id
+      });
+    }
+
+    console.log(`[${req.id}] Deployment ${deployment.name} scaled to ${replicas} replicas`);
 
     res.json({
-      message: 'Node draining initiated',
-      nodeId,
-      evacuatedPods,
-      remainingPods: nodeManager.getPodsOnNode(nodeId).length,
+      message: 'Deployment scaled',
+      deployment: formatDeployment(deployment),
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to drain node:`, err);
+    console.error(`[${req.id}] Failed to scale deployment:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -517,32 +2395,28 @@ app.post('/nodes/:id/drain', (req, res) => {
   }
 });
 
-app.post('/nodes/:id/repair-complete', (req, res) => {
+app.delete('/deployments/:name', requireRole('operator'), (req, res) => {
   try {
-    const nodeId = req.params.id;
-    const node = nodeManager.nodes.get(nodeId);
-    if (!node) {
+    const namespace = req.query.namespace || DEFAULT_NAMESPACE;
+    const deletedPods = deploymentController.deleteDeployment(namespace, req.params.name);
+    if (!deletedPods) {
       return res.status(404).json({ 
-        error: 'Node not found',
+        error: 'Deployment not found',
         requestId: req.id
       });
     }
 
-    node.status = 'healthy';
-    node.lastHeartbeat = new Date().toISOString();
-
-    const nodes = nodeManager.getNodes();
-    const healthyNodes = nodes.filter(n => n.status === 'healthy').length;
+    console.log(`[${req.id}] Deployment ${req.params.name} deleted with ${deletedPods.length} pods`);
 
     res.json({
-      message: 'Node repair completed',
-      nodeId,
-      availableCores: node.availableCores,
-      clusterStatus: healthyNodes === nodes.length ? 'healthy' : 'degraded',
+      message: 'Deployment deleted successfully',
+      name: req.params.name,
+      namespace,
+      deletedPods,
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to complete node repair:`, err);
+    console.error(`[${req.id}] Failed to delete deployment:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -550,88 +2424,61 @@ app.post('/nodes/:id/repair-complete', (req, res) => {
   }
 });
 
-// Pod endpoints
-app.post('/pods', async (req, res) => {
-  const { cpu_required, memory_required } = req.body;
-  
-  if (!cpu_required || cpu_required <= 0) {
-    return res.status(400).json({ 
-      error: 'Invalid input',
-      message: 'cpu_required must be a positive number',
+// Chaos experiments; see chaosController.js for the experiment format
+app.post('/chaos/experiments', requireRole('admin'), (req, res) => {
+  const experiment = validateExperiment(req.body);
+  if (experiment.error) {
+    return res.status(400).json({
+      error: 'Invalid experiment',
+      message: experiment.error,
       requestId: req.id
     });
   }
 
   try {
-    const nodeId = podScheduler.schedulePod(cpu_required, memory_required);
-    if (!nodeId) {
-      return res.status(400).json({ 
-        error: 'Insufficient resources',
-        message: 'No nodes available with sufficient resources',
-        requestId: req.id,
-        required: {
-          cpu: cpu_required,
-          memory: memory_required || 'N/A'
-        },
-        availableNodes: nodeManager.getAvailableNodes().map(n => ({
-          nodeId: n.nodeId,
-          availableCpu: n.availableCores,
-          availableMemory: n.availableMemory || 'N/A'
-        }))
-      });
-    }
-
-    const podId = `pod-${uuidv4()}`;
-    nodeManager.addPod(nodeId, podId, cpu_required, memory_required);
-
-    console.log(`[${req.id}] Pod ${podId} launched on node ${nodeId}`);
+    const started = chaosController.start(experiment);
+    console.log(`[${req.id}] Chaos experiment ${started.name} started as ${started.id}`);
 
     res.status(201).json({
-      message: 'Pod launched successfully',
-      pod_id: podId,
-      node_id: nodeId,
-      cpu_required,
-      memory_required: memory_required || null,
+      ...chaosController.report(started),
       links: {
-        node: `/nodes/${nodeId}`,
-        pod: `/pods/${podId}`,
-        logs: `/pods/${podId}/logs`
+        report: `/chaos/experiments/${started.id}`,
+        stop: `/chaos/experiments/${started.id}/stop`
       },
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Pod launch failed:`, err);
+    console.error(`[${req.id}] Failed to start chaos experiment:`, err);
     res.status(500).json({ 
-      error: 'Pod launch failed',
-      details: err.message,
+      error: 'Internal server error',
       requestId: req.id
     });
   }
 });
 
-app.get('/pods', (req, res) => {
-  try {
-    const pods = nodeManager.getAllPods().map(pod => ({
-      id: pod.id,  // Ensure ID is included
-      nodeId: pod.nodeId,
-      cpuRequired: pod.cpuRequired,
-      status: pod.status,
-      uptime: pod.uptime,
-      createdAt: pod.createdAt,
-      links: {
-        details: `/pods/${pod.id}`,
-        logs: `/pods/${pod.id}/logs`
-      }
-    }));
+app.get('/chaos/experiments', requireRole('viewer'), (req, res) => {
+  const { status } = req.query;
+  if (status && !EXPERIMENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: `status must be one of: ${EXPERIMENT_STATUSES.join(', ')}`,
+      requestId: req.id
+    });
+  }
 
+  try {
+    const experiments = chaosController.list({ status }).map(experiment => {
+      const { actions, ...summary } = chaosController.report(experiment);
+      return { ...summary, actionCount: actions.length };
+    });
 
     res.json({
-      pods,
-      total: pods.length,
+      experiments,
+      total: experiments.length,
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to list pods:`, err);
+    console.error(`[${req.id}] Failed to list chaos experiments:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -639,39 +2486,22 @@ app.get('/pods', (req, res) => {
   }
 });
 
-app.get('/pods/:id', (req, res) => {
+app.get('/chaos/experiments/:id', requireRole('viewer'), (req, res) => {
   try {
-    const pod = nodeManager.pods.get(req.params.id);
-    if (!pod) {
+    const experiment = chaosController.get(req.params.id);
+    if (!experiment) {
       return res.status(404).json({ 
-        error: 'Pod not found',
+        error: 'Experiment not found',
         requestId: req.id
       });
     }
 
-    const node = nodeManager.nodes.get(pod.nodeId);
     res.json({
-      podId: pod.id,
-      nodeId: pod.nodeId,
-      cpuRequired: pod.cpuRequired,
-      memoryRequired: pod.memoryRequired || null,
-      status: pod.status,
-      createdAt: pod.createdAt,
-      uptime: Math.floor((new Date() - new Date(pod.createdAt)) / 1000) + 's',
-      node: {
-        status: node?.status,
-        availableCores: node?.availableCores,
-        availableMemory: node?.availableMemory
-      },
-      events: pod.events || [],
-      links: {
-        node: `/nodes/${pod.nodeId}`,
-        logs: `/pods/${pod.id}/logs`
-      },
+      ...chaosController.report(experiment),
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get pod details:`, err);
+    console.error(`[${req.id}] Failed to get chaos experiment:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -679,30 +2509,100 @@ app.get('/pods/:id', (req, res) => {
   }
 });
 
-app.get('/pods/:id/logs', (req, res) => {
+app.post('/chaos/experiments/:id/stop', requireRole('admin'), (req, res) => {
   try {
-    const pod = nodeManager.pods.get(req.params.id);
-    if (!pod) {
+    const experiment = chaosController.stop(req.params.id);
+    if (!experiment) {
       return res.status(404).json({ 
-        error: 'Pod not found',
+        error: 'Experiment not found',
         requestId: req.id
       });
     }
 
-    const logs = [
-      `[${new Date(Date.now() - 10000).toISOString()}] Pod initialized`,
-      `[${new Date(Date.now() - 8000).toISOString()}] CPU allocated: ${pod.cpuRequired} cores`,
-      `[${new Date(Date.now() - 5000).toISOString()}] Started main process`,
-      `[${new Date().toISOString()}] Health check passed`
-    ];
+    console.log(`[${req.id}] Chaos experiment ${experiment.id} is ${experiment.status}`);
+    res.json({
+      ...chaosController.report(experiment),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to stop chaos experiment:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Simulation mode: with SIM_MODE=true the cluster runs on a virtual clock
+// that only moves when asked to
+app.get('/sim', requireRole('viewer'), (req, res) => {
+  const virtual = Boolean(clock.advance);
+  res.json({
+    mode: virtual ? 'virtual' : 'system',
+    now: clock.date().toISOString(),
+    ...(virtual ? { seed: clock.seed, pendingTimers: clock.timers.size, advancing: clock.advancing } : {}),
+    requestId: req.id
+  });
+});
+
+// Fires every timer due within the given duration, in order, and returns
+// once the cluster has caught up. Body: { duration: '90s' } or { milliseconds }.
+app.post('/sim/advance', requireRole('admin'), async (req, res) => {
+  if (!clock.advance) {
+    return res.status(409).json({
+      error: 'Simulation mode is off',
+      message: 'Start the api-server with SIM_MODE=true to control its clock',
+      requestId: req.id
+    });
+  }
+
+  const { duration, milliseconds } = req.body;
+  const amount = duration !== undefined ? parseDuration(duration) : Number(milliseconds);
+  if (!Number.isInteger(amount) || amount < 0) {
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: 'Pass duration as a duration such as 90s, 10m or 1h, or milliseconds as a non-negative integer',
+      requestId: req.id
+    });
+  }
+
+  if (clock.advancing) {
+    return res.status(409).json({
+      error: 'Clock is busy',
+      message: 'Another advance is still running',
+      requestId: req.id
+    });
+  }
+
+  try {
+    const { from, to, timersFired } = await clock.advance(amount);
+    console.log(`[${req.id}] Advanced the clock from ${from.toISOString()} to ${to.toISOString()}, ${timersFired} timers fired`);
 
     res.json({
-      podId: pod.id,
-      logs,
+      from,
+      to,
+      timersFired,
       requestId: req.id
     });
   } catch (err) {
-    console.error(`[${req.id}] Failed to get pod logs:`, err);
+    console.error(`[${req.id}] Failed to advance the clock:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Token endpoints; the secret of a token is only ever in the response that
+// issues it
+app.get('/tokens', requireRole('admin'), (req, res) => {
+  try {
+    res.json({
+      tokens: tokenStore.list().map(describeToken),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to list tokens:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -710,39 +2610,80 @@ app.get('/pods/:id/logs', (req, res) => {
   }
 });
 
-app.delete('/pods/:id', (req, res) => {
+app.post('/tokens', requireRole('admin'), (req, res) => {
+  const { role, name, nodeId } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: `role must be one of: ${ROLES.join(', ')}`,
+      requestId: req.id
+    });
+  }
+
+  if (role === 'node' ? !nodeId : nodeId !== undefined) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: role === 'node' ? 'node tokens require a nodeId' : 'only node tokens have a nodeId',
+      requestId: req.id
+    });
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || !name)) {
+    return res.status(400).json({ 
+      error: 'Invalid input',
+      message: 'name must be a non-empty string',
+      requestId: req.id
+    });
+  }
+
+  try {
+    const { token, record } = tokenStore.issue({ role, name, nodeId });
+    console.log(`[${req.id}] Issued ${role} token ${record.name} (${record.id})`);
+
+    res.status(201).json({
+      message: 'Token issued; it will not be shown again',
+      token,
+      ...describeToken(record),
+      requestId: req.id
+    });
+  } catch (err) {
+    console.error(`[${req.id}] Failed to issue token:`, err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+app.delete('/tokens/:id', requireRole('admin'), (req, res) => {
   try {
-    const podId = req.params.id;
-    if (!nodeManager.pods.has(podId)) {
+    const record = tokenStore.get(req.params.id);
+    if (!record) {
       return res.status(404).json({ 
-        error: 'Pod not found',
+        error: 'Token not found',
         requestId: req.id
       });
     }
 
-    const pod = nodeManager.pods.get(podId);
-    const success = nodeManager.removePod(podId);
-
-    if (success) {
-      console.log(`[${req.id}] Pod ${podId} deleted from node ${pod.nodeId}`);
-      res.json({
-        message: 'Pod deleted successfully',
-        podId,
-        nodeId: pod.nodeId,
-        releasedResources: {
-          cpu: pod.cpuRequired,
-          memory: pod.memoryRequired || null
-        },
-        requestId: req.id
-      });
-    } else {
-      res.status(500).json({ 
-        error: 'Failed to delete pod',
+    if (record.source === 'env') {
+      return res.status(409).json({ 
+        error: 'Token is set by the environment',
+        message: 'Remove it from the server environment and restart instead',
         requestId: req.id
       });
     }
+
+    tokenStore.revoke(record.id);
+    console.log(`[${req.id}] Revoked ${record.role} token ${record.name} (${record.id})`);
+
+    res.json({
+      message: 'Token revoked',
+      token: describeToken(record),
+      requestId: req.id
+    });
   } catch (err) {
-    console.error(`[${req.id}] Failed to delete pod:`, err);
+    console.error(`[${req.id}] Failed to revoke token:`, err);
     res.status(500).json({ 
       error: 'Internal server error',
       requestId: req.id
@@ -759,8 +2700,46 @@ app.use((err, req, res, next) => {
   });
 });
 
-const PORT = process.env.PORT || 5000;
+// Simulators of a non-persistent provisioner went away with the previous
+// server process; start the restored nodes they ran again
+const relaunchNodes = () => {
+  if (provisioner.persistent) return;
+  nodeManager.nodes.forEach(async node => {
+    if (node.provisioner !== provisioner.name) return;
+    try {
+      tokenStore.revokeNode(node.id);
+      const { token } = tokenStore.issue({ role: 'node', nodeId: node.id, source: 'provisioner' });
+      const instanceId = await provisioner.create(node.id, {
+        cpuCores: node.cpuCores,
+        memoryMb: node.memory,
+        labels: node.labels,
+        token
+      });
+      nodeManager.updateNode(node.id, { instanceId });
+      await provisioner.start(instanceId);
+      console.log(`Relaunched node ${node.id} with the ${provisioner.name} provisioner`);
+    } catch (err) {
+      console.error(`Failed to relaunch node ${node.id}:`, err);
+    }
+  });
+};
+
 app.listen(PORT, () => {
   console.log(`API Server running on port ${PORT}`);
   console.log(`Health monitor interval: ${healthMonitor.heartbeatInterval/1000}s`);
-});
\ No newline at end of file
+  console.log(`Node provisioner: ${provisioner.name}`);
+  if (!AUTH_ENABLED) {
+    console.warn('Authentication is disabled; every request acts as an admin');
+  } else if (bootstrapToken) {
+    console.log(`No admin token is configured; generated one for this run: ${bootstrapToken}`);
+  }
+  relaunchNodes();
+});
+
+// Fold the journal into a snapshot so the next start has less to replay and
+// stop the simulators this process runs
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  provisioner.close();
+  stateStore.close();
+  process.exit(0);
+}));
\ No newline at end of file
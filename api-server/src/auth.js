@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStateStore } = require('./stateStore');
+const { systemClock } = require('./clock');
+
+// Bearer-token authentication with roles. viewer, operator and admin each may
+// do everything the roles before them may; node tokens belong to one node and
+// only work for that node's own routes (registration, heartbeats, logs,
+// shutdown). Only a hash of each token is kept.
+
+const ROLES = ['viewer', 'operator', 'admin', 'node'];
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenStore {
+  constructor(store = new MemoryStateStore(), clock = systemClock) {
+    this.store = store;
+    this.clock = clock;
+    this.tokens = new Map();
+    this.tokensByHash = new Map();
+    store.load('token').forEach(saved => this.add({ ...saved, createdAt: new Date(saved.createdAt) }));
+  }
+
+  add(record) {
+    this.tokens.set(record.id, record);
+    this.tokensByHash.set(record.tokenHash, record);
+  }
+
+  // Returns the secret along with the record; it can't be looked up later.
+  // The source says where the token came from: the API, the provisioner
+  // (for a node it started) or the environment (kept in memory only).
+  issue({ role, name, nodeId = null, source = 'api' }, secret = crypto.randomBytes(24).toString('hex')) {
+    const record = {
+      id: uuidv4(),
+      name: name || (nodeId ? `node-${nodeId}` : role),
+      role,
+      nodeId,
+      source,
+      tokenHash: hashToken(secret),
+      createdAt: this.clock.date()
+    };
+    this.add(record);
+    if (source !== 'env') this.store.put('token', record.id, record);
+    return { token: secret, record };
+  }
+
+  // ADMIN_TOKEN, or a new token printed at startup when there is no admin
+  // token at all. Returns the generated token, if any.
+  bootstrapAdmin(adminToken) {
+    if (adminToken) {
+      this.issue({ role: 'admin', name: 'ADMIN_TOKEN', source: 'env' }, adminToken);
+      return null;
+    }
+    if (this.list().some(record => record.role === 'admin')) return null;
+    return this.issue({ role: 'admin', name: 'bootstrap', source: 'env' }).token;
+  }
+
+  authenticate(secret) {
+    return this.tokensByHash.get(hashToken(secret)) || null;
+  }
+
+  get(id) {
+    return this.tokens.get(id);
+  }
+
+  list() {
+    return [...this.tokens.values()].sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  revoke(id) {
+    const record = this.tokens.get(id);
+    if (!record) return null;
+
+    this.tokens.delete(id);
+    this.tokensByHash.delete(record.tokenHash);
+    if (record.source !== 'env') this.store.delete('token', id);
+    return record;
+  }
+
+  // Tokens the provisioner issued for a node; ones issued through the API
+  // stay until revoked
+  revokeNode(nodeId) {
+    return this.list()
+      .filter(record => record.nodeId === nodeId && record.source === 'provisioner')
+      .map(record => this.revoke(record.id));
+  }
+}
+
+// Sets req.auth to the record of the request's bearer token, or null. With
+// auth disabled every request acts as an admin.
+const authenticate = (tokenStore, { enabled = true } = {}) => (req, res, next) => {
+  if (!enabled) {
+    req.auth = { name: 'anonymous', role: 'admin', nodeId: null };
+    return next();
+  }
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  req.auth = match ? tokenStore.authenticate(match[1]) : null;
+  next();
+};
+
+// Lets requests through whose token has at least the given role. With
+// ownNode, node tokens get through for their own node: the :id parameter, or
+// nodeId in the body on routes without one.
+const requireRole = (role, { ownNode = false } = {}) => (req, res, next) => {
+  if (!req.auth) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: req.get('Authorization') ? 'Invalid token' : 'A bearer token is required',
+      requestId: req.id
+    });
+  }
+
+  if (req.auth.role === 'node') {
+    const nodeId = req.params.id ?? req.body?.nodeId;
+    if (ownNode && nodeId === req.auth.nodeId) return next();
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: ownNode ? `Node tokens only work for their own node (${req.auth.nodeId})` :
+        `Requires the ${role} role`,
+      requestId: req.id
+    });
+  }
+
+  if (ROLE_LEVELS[req.auth.role] < ROLE_LEVELS[role]) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Requires the ${role} role; token ${req.auth.name} has ${req.auth.role}`,
+      requestId: req.id
+    });
+  }
+  next();
+};
+
+// What the API shows of a token; never the hash
+const describeToken = ({ id, name, role, nodeId, source, createdAt }) =>
+  ({ id, name, role, nodeId, source, createdAt });
+
+module.exports = { TokenStore, authenticate, requireRole, describeToken, ROLES };
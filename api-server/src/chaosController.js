@@ -0,0 +1,434 @@
+const { matchesSelector, validateLabels } = require('./labels');
+const { parseDuration } = require('./clock');
+
+const FAULT_TYPES = ['node-kill', 'heartbeat-drop', 'heartbeat-delay', 'pod-failure', 'node-degrade'];
+const EXPERIMENT_STATUSES = ['running', 'completed', 'aborted', 'stopped'];
+const CHECK_INTERVAL = 5000;
+const MAX_ACTIONS = 1000;
+
+// An experiment looks like:
+// {
+//   name: 'zone-a-outage',
+//   duration: '5m',
+//   selector: { zone: 'a' },            // nodes in scope; all nodes by default
+//   faults: [
+//     { type: 'node-kill', interval: '60s', repairAfter: '2m' },
+//     { type: 'heartbeat-drop', rate: 0.5 },
+//     { type: 'heartbeat-delay', delay: '20s' },
+//     { type: 'pod-failure', interval: '30s', rate: 0.1 },
+//     { type: 'node-degrade', cpuFactor: 0.5, memoryFactor: 0.5 }
+//   ],
+//   blastRadius: { maxNodes: 1, maxPods: 10 },
+//   abortWhen: { minHealthyNodes: 1, maxPendingPods: 5 }
+// }
+// The blast radius caps how many distinct nodes and pods the experiment may
+// touch. Returns { error } or the experiment with durations in milliseconds.
+function validateExperiment(spec = {}) {
+  const isRate = value => typeof value === 'number' && value > 0 && value <= 1;
+  const isFactor = value => value === undefined || (typeof value === 'number' && value > 0 && value < 1);
+  const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+
+  if (spec.name !== undefined && (typeof spec.name !== 'string' || !spec.name)) {
+    return { error: 'name must be a non-empty string' };
+  }
+  const duration = parseDuration(spec.duration);
+  if (!duration) {
+    return { error: 'duration must be a duration such as 90s, 10m or 1h' };
+  }
+  const selectorError = validateLabels(spec.selector);
+  if (selectorError) {
+    return { error: `selector: ${selectorError}` };
+  }
+  if (!Array.isArray(spec.faults) || spec.faults.length === 0) {
+    return { error: 'faults must be a non-empty array' };
+  }
+
+  const faults = [];
+  for (const fault of spec.faults) {
+    if (!FAULT_TYPES.includes(fault?.type)) {
+      return { error: `fault type must be one of: ${FAULT_TYPES.join(', ')}` };
+    }
+    const interval = parseDuration(fault.interval);
+    const normalized = { type: fault.type };
+
+    switch (fault.type) {
+      case 'node-kill':
+        if (!interval) return { error: 'node-kill needs an interval such as 60s' };
+        normalized.interval = interval;
+        if (fault.repairAfter !== undefined) {
+          normalized.repairAfter = parseDuration(fault.repairAfter);
+          if (!normalized.repairAfter) return { error: 'repairAfter must be a duration such as 2m' };
+        }
+        break;
+      case 'heartbeat-drop':
+        if (!isRate(fault.rate)) return { error: 'heartbeat-drop needs a rate between 0 and 1' };
+        normalized.rate = fault.rate;
+        break;
+      case 'heartbeat-delay':
+        normalized.delay = parseDuration(fault.delay);
+        if (!normalized.delay) return { error: 'heartbeat-delay needs a delay such as 20s' };
+        break;
+      case 'pod-failure':
+        if (!interval) return { error: 'pod-failure needs an interval such as 30s' };
+        if (!isRate(fault.rate)) return { error: 'pod-failure needs a rate between 0 and 1' };
+        normalized.interval = interval;
+        normalized.rate = fault.rate;
+        break;
+      case 'node-degrade':
+        if (!isFactor(fault.cpuFactor) || !isFactor(fault.memoryFactor) ||
+            (fault.cpuFactor === undefined && fault.memoryFactor === undefined)) {
+          return { error: 'node-degrade needs cpuFactor and/or memoryFactor between 0 and 1' };
+        }
+        normalized.cpuFactor = fault.cpuFactor ?? 1;
+        normalized.memoryFactor = fault.memoryFactor ?? 1;
+        break;
+    }
+    faults.push(normalized);
+  }
+
+  const blastRadius = spec.blastRadius || {};
+  if (!isCount(blastRadius.maxNodes) || !isCount(blastRadius.maxPods)) {
+    return { error: 'blastRadius.maxNodes and blastRadius.maxPods must be non-negative integers' };
+  }
+  const abortWhen = spec.abortWhen || {};
+  if (!isCount(abortWhen.minHealthyNodes) || !isCount(abortWhen.maxPendingPods)) {
+    return { error: 'abortWhen.minHealthyNodes and abortWhen.maxPendingPods must be non-negative integers' };
+  }
+
+  return {
+    name: spec.name || 'chaos',
+    duration,
+    selector: spec.selector || {},
+    faults,
+    blastRadius: { maxNodes: blastRadius.maxNodes, maxPods: blastRadius.maxPods },
+    abortWhen: { minHealthyNodes: abortWhen.minHealthyNodes, maxPendingPods: abortWhen.maxPendingPods }
+  };
+}
+
+// Runs chaos experiments on the cluster's clock and keeps a report of each:
+// what was done to which node or pod, and how the cluster held up. Faults
+// are undone when the experiment ends, except for failed pods and killed
+// nodes without repairAfter. The last CHAOS_HISTORY_LIMIT reports are kept.
+class ChaosController {
+  constructor(nodeManager, eventRecorder, options = {}) {
+    this.nodeManager = nodeManager;
+    this.eventRecorder = eventRecorder;
+    this.clock = nodeManager.clock;
+    this.historyLimit = options.historyLimit || parseInt(process.env.CHAOS_HISTORY_LIMIT) || 50;
+    this.experiments = new Map();
+  }
+
+  start(spec) {
+    const experiment = {
+      id: this.clock.uuid(),
+      ...spec,
+      status: 'running',
+      startedAt: this.clock.date(),
+      endsAt: new Date(this.clock.now() + spec.duration),
+      endedAt: null,
+      abortReason: null,
+      actions: [],
+      affectedNodes: new Set(),
+      affectedPods: new Set(),
+      counts: {
+        nodesKilled: 0,
+        nodesRepaired: 0,
+        nodesDegraded: 0,
+        podsFailed: 0,
+        heartbeatsDropped: 0,
+        heartbeatsDelayed: 0
+      },
+      observations: { start: this.observe(), end: null },
+      timers: [],
+      // nodeId -> capacity before node-degrade
+      degraded: new Map(),
+      // nodeId -> timer of a pending repair
+      repairs: new Map(),
+      heartbeatNodes: new Set()
+    };
+    experiment.observations.minHealthyNodes = experiment.observations.start.healthyNodes;
+    experiment.observations.maxPendingPods = experiment.observations.start.pendingPods;
+
+    this.experiments.set(experiment.id, experiment);
+    this.eventRecorder.normal(this.involvedObject(experiment), 'ExperimentStarted',
+      `Running ${experiment.faults.map(fault => fault.type).join(', ')} for ${spec.duration / 1000}s`);
+    console.log(`Chaos experiment ${experiment.name} (${experiment.id}) started`);
+
+    experiment.faults.forEach(fault => {
+      switch (fault.type) {
+        case 'node-kill':
+          experiment.timers.push(this.clock.setInterval(() => this.killNode(experiment, fault), fault.interval));
+          break;
+        case 'pod-failure':
+          experiment.timers.push(this.clock.setInterval(() => this.failPods(experiment, fault), fault.interval));
+          break;
+        case 'heartbeat-drop':
+        case 'heartbeat-delay':
+          this.pickNodes(experiment).forEach(nodeId => {
+            experiment.heartbeatNodes.add(nodeId);
+            this.recordAction(experiment, fault.type, { kind: 'node', name: nodeId },
+              fault.type === 'heartbeat-drop' ?
+                `Dropping ${Math.round(fault.rate * 100)}% of heartbeats` :
+                `Delaying heartbeats by ${fault.delay / 1000}s`);
+          });
+          break;
+        case 'node-degrade':
+          this.pickNodes(experiment).forEach(nodeId => this.degradeNode(experiment, fault, nodeId));
+          break;
+      }
+    });
+
+    experiment.timers.push(this.clock.setInterval(() => this.checkAbortConditions(experiment), CHECK_INTERVAL));
+    experiment.timers.push(this.clock.setTimeout(() => this.finish(experiment, 'completed'), spec.duration));
+    this.checkAbortConditions(experiment);
+    return experiment;
+  }
+
+  stop(id) {
+    const experiment = this.experiments.get(id);
+    if (!experiment) return null;
+    if (experiment.status === 'running') this.finish(experiment, 'stopped');
+    return experiment;
+  }
+
+  get(id) {
+    return this.experiments.get(id) || null;
+  }
+
+  // Newest first
+  list({ status } = {}) {
+    return Array.from(this.experiments.values())
+      .filter(experiment => !status || experiment.status === status)
+      .reverse();
+  }
+
+  // Consulted for every heartbeat: { drop } or { delay } when a running
+  // experiment interferes with the node's heartbeats, otherwise null
+  heartbeatFault(nodeId) {
+    for (const experiment of this.experiments.values()) {
+      if (experiment.status !== 'running' || !experiment.heartbeatNodes.has(nodeId)) continue;
+
+      for (const fault of experiment.faults) {
+        if (fault.type === 'heartbeat-drop' && this.clock.random() < fault.rate) {
+          experiment.counts.heartbeatsDropped++;
+          return { drop: true, experiment: experiment.name };
+        }
+        if (fault.type === 'heartbeat-delay') {
+          experiment.counts.heartbeatsDelayed++;
+          return { delay: fault.delay, experiment: experiment.name };
+        }
+      }
+    }
+    return null;
+  }
+
+  involvedObject(experiment) {
+    return { kind: 'experiment', name: experiment.name };
+  }
+
+  observe() {
+    const nodes = Array.from(this.nodeManager.nodes.values());
+    const pods = Array.from(this.nodeManager.pods.values());
+    return {
+      totalNodes: nodes.length,
+      healthyNodes: nodes.filter(node => node.status === 'healthy').length,
+      runningPods: pods.filter(pod => pod.status === 'running').length,
+      pendingPods: pods.filter(pod => pod.status === 'pending').length,
+      failedPods: pods.filter(pod => pod.status === 'failed').length
+    };
+  }
+
+  recordAction(experiment, fault, target, message) {
+    experiment.actions.push({ timestamp: this.clock.date(), fault, target, message });
+    if (experiment.actions.length > MAX_ACTIONS) experiment.actions.shift();
+  }
+
+  targetNodes(experiment) {
+    return Array.from(this.nodeManager.nodes.values())
+      .filter(node => matchesSelector(node.labels, experiment.selector));
+  }
+
+  canAffectNode(experiment, nodeId) {
+    const { maxNodes } = experiment.blastRadius;
+    return experiment.affectedNodes.has(nodeId) || maxNodes === undefined ||
+      experiment.affectedNodes.size < maxNodes;
+  }
+
+  canAffectPod(experiment, podId) {
+    const { maxPods } = experiment.blastRadius;
+    return experiment.affectedPods.has(podId) || maxPods === undefined ||
+      experiment.affectedPods.size < maxPods;
+  }
+
+  // Nodes in scope for a fault that applies for the whole experiment; nodes
+  // the experiment already touched come first so the blast radius goes further
+  pickNodes(experiment) {
+    const candidates = this.shuffle(this.targetNodes(experiment).map(node => node.id))
+      .sort((a, b) => experiment.affectedNodes.has(b) - experiment.affectedNodes.has(a));
+    const picked = [];
+    candidates.forEach(nodeId => {
+      if (!this.canAffectNode(experiment, nodeId)) return;
+      experiment.affectedNodes.add(nodeId);
+      picked.push(nodeId);
+    });
+    return picked;
+  }
+
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.clock.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  killNode(experiment, fault) {
+    const candidates = this.targetNodes(experiment)
+      .filter(node => node.status === 'healthy' && this.canAffectNode(experiment, node.id));
+    if (candidates.length === 0) return;
+
+    const node = candidates[Math.floor(this.clock.random() * candidates.length)];
+    experiment.affectedNodes.add(node.id);
+    experiment.counts.nodesKilled++;
+    const message = `Killed by chaos experiment ${experiment.name}`;
+    this.eventRecorder.warning({ kind: 'node', name: node.id }, 'NodeFailed', message);
+    this.nodeManager.setNodeStatus(node.id, 'failed');
+    this.recordAction(experiment, fault.type, { kind: 'node', name: node.id }, message);
+
+    if (fault.repairAfter) {
+      experiment.repairs.set(node.id, this.clock.setTimeout(() => {
+        experiment.repairs.delete(node.id);
+        this.repairNode(experiment, node.id);
+      }, fault.repairAfter));
+    }
+    this.checkAbortConditions(experiment);
+  }
+
+  repairNode(experiment, nodeId) {
+    const node = this.nodeManager.nodes.get(nodeId);
+    if (!node || node.status !== 'failed') return;
+
+    experiment.counts.nodesRepaired++;
+    const message = `Repaired by chaos experiment ${experiment.name}`;
+    this.nodeManager.setNodeStatus(nodeId, 'healthy');
+    this.eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeRepaired', message);
+    this.recordAction(experiment, 'node-kill', { kind: 'node', name: nodeId }, message);
+  }
+
+  failPods(experiment, fault) {
+    const nodeIds = new Set(this.targetNodes(experiment).map(node => node.id));
+    const pods = Array.from(this.nodeManager.pods.values())
+      .filter(pod => pod.status === 'running' && nodeIds.has(pod.nodeId));
+
+    pods.forEach(pod => {
+      if (this.clock.random() >= fault.rate || !this.canAffectPod(experiment, pod.id)) return;
+      experiment.affectedPods.add(pod.id);
+      experiment.counts.podsFailed++;
+      const message = `Failed by chaos experiment ${experiment.name}`;
+      this.nodeManager.setPodStatus(pod, 'failed', message);
+      this.recordAction(experiment, fault.type, { kind: 'pod', name: pod.id }, message);
+    });
+    this.checkAbortConditions(experiment);
+  }
+
+  degradeNode(experiment, fault, nodeId) {
+    const node = this.nodeManager.nodes.get(nodeId);
+    if (!experiment.degraded.has(nodeId)) {
+      experiment.degraded.set(nodeId, { cpuCores: node.cpuCores, memory: node.memory });
+    }
+    const cpuCores = Math.round(node.cpuCores * fault.cpuFactor * 100) / 100;
+    const memory = Math.round(node.memory * fault.memoryFactor);
+    experiment.counts.nodesDegraded++;
+    this.nodeManager.setNodeCapacity(nodeId, cpuCores, memory);
+    this.recordAction(experiment, fault.type, { kind: 'node', name: nodeId },
+      `Capacity reduced to ${cpuCores} cores and ${memory}MB memory`);
+  }
+
+  checkAbortConditions(experiment) {
+    if (experiment.status !== 'running') return;
+    const observation = this.observe();
+    const { observations, abortWhen } = experiment;
+    observations.minHealthyNodes = Math.min(observations.minHealthyNodes, observation.healthyNodes);
+    observations.maxPendingPods = Math.max(observations.maxPendingPods, observation.pendingPods);
+
+    if (abortWhen.minHealthyNodes !== undefined && observation.healthyNodes < abortWhen.minHealthyNodes) {
+      this.finish(experiment, 'aborted',
+        `${observation.healthyNodes} healthy nodes, below the minimum of ${abortWhen.minHealthyNodes}`);
+    } else if (abortWhen.maxPendingPods !== undefined && observation.pendingPods > abortWhen.maxPendingPods) {
+      this.finish(experiment, 'aborted',
+        `${observation.pendingPods} pending pods, above the maximum of ${abortWhen.maxPendingPods}`);
+    }
+  }
+
+  finish(experiment, status, reason = null) {
+    if (experiment.status !== 'running') return;
+    experiment.status = status;
+    experiment.abortReason = reason;
+    experiment.endedAt = this.clock.date();
+
+    experiment.timers.forEach(timer => {
+      this.clock.clearTimeout(timer);
+      this.clock.clearInterval(timer);
+    });
+    // Pending repairs happen now rather than never
+    experiment.repairs.forEach((timer, nodeId) => {
+      this.clock.clearTimeout(timer);
+      this.repairNode(experiment, nodeId);
+    });
+    experiment.repairs.clear();
+    experiment.degraded.forEach(({ cpuCores, memory }, nodeId) => {
+      if (this.nodeManager.setNodeCapacity(nodeId, cpuCores, memory)) {
+        this.recordAction(experiment, 'node-degrade', { kind: 'node', name: nodeId },
+          `Capacity restored to ${cpuCores} cores and ${memory}MB memory`);
+      }
+    });
+    experiment.degraded.clear();
+    experiment.observations.end = this.observe();
+
+    const involvedObject = this.involvedObject(experiment);
+    if (status === 'aborted') {
+      this.eventRecorder.warning(involvedObject, 'ExperimentAborted', reason);
+    } else {
+      this.eventRecorder.normal(involvedObject, status === 'completed' ? 'ExperimentCompleted' : 'ExperimentStopped',
+        `${experiment.actions.length} actions, ${experiment.affectedNodes.size} nodes and ${experiment.affectedPods.size} pods affected`);
+    }
+    console.log(`Chaos experiment ${experiment.name} (${experiment.id}) ${status}${reason ? `: ${reason}` : ''}`);
+    this.prune();
+  }
+
+  // Drops the oldest finished reports beyond the history limit
+  prune() {
+    const finished = Array.from(this.experiments.values()).filter(experiment => experiment.status !== 'running');
+    finished.slice(0, Math.max(finished.length - this.historyLimit, 0))
+      .forEach(experiment => this.experiments.delete(experiment.id));
+  }
+
+  report(experiment) {
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      startedAt: experiment.startedAt,
+      endsAt: experiment.endsAt,
+      endedAt: experiment.endedAt,
+      abortReason: experiment.abortReason,
+      spec: {
+        duration: experiment.duration,
+        selector: experiment.selector,
+        faults: experiment.faults,
+        blastRadius: experiment.blastRadius,
+        abortWhen: experiment.abortWhen
+      },
+      affected: {
+        nodes: Array.from(experiment.affectedNodes),
+        pods: Array.from(experiment.affectedPods)
+      },
+      counts: experiment.counts,
+      observations: experiment.observations,
+      actions: experiment.actions
+    };
+  }
+}
+
+module.exports = { ChaosController, validateExperiment, FAULT_TYPES, EXPERIMENT_STATUSES };
@@ -0,0 +1,207 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Time and randomness for the cluster. Components take a clock instead of
+// calling Date, the timer functions or Math.random themselves, so the same
+// code runs against the wall clock or a virtual one.
+class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  date() {
+    return new Date();
+  }
+
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+
+  setInterval(callback, delay) {
+    return setInterval(callback, delay);
+  }
+
+  clearInterval(timer) {
+    clearInterval(timer);
+  }
+
+  sleep(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  random() {
+    return Math.random();
+  }
+
+  uuid() {
+    return uuidv4();
+  }
+}
+
+// mulberry32: small, fast and good enough to make simulations repeatable
+const seededRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Time only moves when advance() is called. Timers then fire in order of
+// their due time (and creation order for ties) with the clock set to that
+// time, and advance() waits for each callback, including any promise it
+// returns, before firing the next one. With a fixed seed the same calls
+// produce the same cluster every run. A callback that awaits sleep() lets the
+// other timers run in the meantime and is waited for again once it wakes up.
+class VirtualClock {
+  constructor(options = {}) {
+    this.currentTime = options.start ?? Date.parse('2024-01-01T00:00:00.000Z');
+    this.seed = options.seed ?? 1;
+    this.nextRandom = seededRandom(this.seed);
+    this.timers = new Map();
+    this.nextTimerId = 1;
+    this.advancing = false;
+    // Sleep timer id -> the callback waiting for it
+    this.sleepers = new Map();
+    this.onSleep = null;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  date() {
+    return new Date(this.currentTime);
+  }
+
+  setTimeout(callback, delay = 0) {
+    return this.addTimer(callback, delay, null);
+  }
+
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+  }
+
+  setInterval(callback, delay = 0) {
+    return this.addTimer(callback, delay, Math.max(delay, 1));
+  }
+
+  clearInterval(timer) {
+    this.timers.delete(timer);
+  }
+
+  sleep(delay) {
+    return new Promise(resolve => {
+      const id = this.addTimer(resolve, delay, null);
+      if (this.onSleep) this.onSleep(id);
+    });
+  }
+
+  addTimer(callback, delay, interval) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { id, callback, due: this.currentTime + Math.max(delay, 0), interval });
+    return id;
+  }
+
+  random() {
+    return this.nextRandom();
+  }
+
+  uuid() {
+    const bytes = Array.from({ length: 16 }, () => Math.floor(this.random() * 256));
+    return uuidv4({ random: bytes });
+  }
+
+  // The timer that fires next, if it is due by the given time
+  nextTimer(until) {
+    let next = null;
+    this.timers.forEach(timer => {
+      if (timer.due <= until && (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id))) {
+        next = timer;
+      }
+    });
+    return next;
+  }
+
+  async advance(milliseconds) {
+    if (this.advancing) throw new Error('The clock is already advancing');
+    this.advancing = true;
+    const from = this.currentTime;
+    const until = from + milliseconds;
+    let timersFired = 0;
+
+    try {
+      for (let timer = this.nextTimer(until); timer; timer = this.nextTimer(until)) {
+        this.currentTime = timer.due;
+        if (timer.interval) {
+          timer.due += timer.interval;
+        } else {
+          this.timers.delete(timer.id);
+        }
+        timersFired++;
+        const sleeper = this.sleepers.get(timer.id);
+        this.sleepers.delete(timer.id);
+        await this.runTimer(timer, sleeper);
+      }
+      this.currentTime = until;
+    } finally {
+      this.advancing = false;
+    }
+
+    return { from: new Date(from), to: this.date(), timersFired };
+  }
+
+  // Waits for the callback, or for the sleeper this timer wakes up, until it
+  // finishes or goes to sleep again
+  async runTimer(timer, sleeper) {
+    let sleepTimer = null;
+    const asleep = new Promise(resolve => {
+      this.onSleep = id => {
+        sleepTimer = id;
+        resolve();
+      };
+    });
+
+    try {
+      const result = timer.callback();
+      const running = sleeper || Promise.resolve(result);
+      await Promise.race([running, asleep]);
+      if (sleepTimer !== null) this.sleepers.set(sleepTimer, running);
+    } catch (err) {
+      console.error(`Timer ${timer.id} failed at ${this.date().toISOString()}:`, err);
+    } finally {
+      this.onSleep = null;
+    }
+  }
+}
+
+const systemClock = new SystemClock();
+
+// Durations such as 500ms, 30s, 10m or 1h in milliseconds; null for anything
+// else
+const parseDuration = value => {
+  const duration = /^(\d+)(ms|s|m|h)$/.exec(value);
+  return duration ? duration[1] * { ms: 1, s: 1000, m: 60000, h: 3600000 }[duration[2]] : null;
+};
+
+// SIM_MODE=true runs the cluster on a virtual clock that starts at SIM_START
+// and draws random numbers from SIM_SEED
+function createClock() {
+  if (process.env.SIM_MODE !== 'true') return systemClock;
+  const start = process.env.SIM_START ? Date.parse(process.env.SIM_START) : undefined;
+  if (Number.isNaN(start)) {
+    throw new Error(`Invalid SIM_START: ${process.env.SIM_START}`);
+  }
+  return new VirtualClock({
+    start,
+    seed: process.env.SIM_SEED ? parseInt(process.env.SIM_SEED) : undefined
+  });
+}
+
+module.exports = { SystemClock, VirtualClock, systemClock, createClock, parseDuration };
@@ -0,0 +1,157 @@
+const { MemoryStateStore } = require('./stateStore');
+const { DEFAULT_NAMESPACE } = require('./namespaces');
+
+// Deployment names are unique within their namespace only
+const deploymentKey = (namespace, name) => `${namespace}/${name}`;
+
+// Keeps the number of pods each deployment created equal to its desired
+// replica count, as far as the namespace quota allows. Pods are the
+// deployment's by their owner, not by its selector: pods created on their own
+// that happen to match it are left alone.
+class DeploymentController {
+  constructor(nodeManager, schedulingQueue, eventRecorder, namespaces, store = new MemoryStateStore()) {
+    this.nodeManager = nodeManager;
+    this.schedulingQueue = schedulingQueue;
+    this.eventRecorder = eventRecorder;
+    this.namespaces = namespaces;
+    this.store = store;
+    this.deployments = new Map();
+    this.syncScheduled = false;
+
+    store.load('deployment').forEach(saved => {
+      const namespace = saved.namespace || DEFAULT_NAMESPACE;
+      this.deployments.set(deploymentKey(namespace, saved.name), {
+        ...saved,
+        namespace,
+        createdAt: new Date(saved.createdAt),
+        updatedAt: new Date(saved.updatedAt)
+      });
+    });
+
+    this.nodeManager.on('pod-removed', () => this.requestSync());
+    this.syncInterval = nodeManager.clock.setInterval(
+      this.reconcileAll.bind(this),
+      parseInt(process.env.DEPLOYMENT_SYNC_INTERVAL) || 10000
+    );
+  }
+
+  createDeployment({ name, namespace = DEFAULT_NAMESPACE, replicas, selector, template }) {
+    const deployment = {
+      name,
+      namespace,
+      replicas,
+      selector,
+      template,
+      createdAt: this.nodeManager.clock.date(),
+      updatedAt: this.nodeManager.clock.date()
+    };
+    const key = deploymentKey(namespace, name);
+    this.deployments.set(key, deployment);
+    this.store.put('deployment', key, deployment);
+    this.reconcile(deployment);
+    return deployment;
+  }
+
+  getDeployment(namespace, name) {
+    return this.deployments.get(deploymentKey(namespace, name)) || null;
+  }
+
+  scaleDeployment(namespace, name, replicas) {
+    const deployment = this.getDeployment(namespace, name);
+    if (!deployment) return null;
+
+    deployment.replicas = replicas;
+    deployment.updatedAt = this.nodeManager.clock.date();
+    this.store.put('deployment', deploymentKey(namespace, name), deployment);
+    this.reconcile(deployment);
+    return deployment;
+  }
+
+  deleteDeployment(namespace, name) {
+    const key = deploymentKey(namespace, name);
+    const deployment = this.deployments.get(key);
+    if (!deployment) return null;
+
+    this.deployments.delete(key);
+    this.store.delete('deployment', key);
+    const pods = this.getPods(deployment);
+    pods.forEach(pod => this.nodeManager.removePod(pod.id));
+    return pods.map(pod => pod.id);
+  }
+
+  getPods(deployment) {
+    return Array.from(this.nodeManager.pods.values())
+      .filter(pod => pod.namespace === deployment.namespace && pod.owner === deployment.name);
+  }
+
+  getStatus(deployment) {
+    const pods = this.getPods(deployment);
+    return {
+      replicas: pods.length,
+      readyReplicas: pods.filter(pod => pod.status === 'running').length,
+      pendingReplicas: pods.filter(pod => !pod.nodeId).length
+    };
+  }
+
+  // Coalesces bursts of pod removals into a single reconciliation pass
+  requestSync() {
+    if (this.syncScheduled) return;
+    this.syncScheduled = true;
+    this.nodeManager.clock.setTimeout(() => {
+      this.syncScheduled = false;
+      this.reconcileAll();
+    }, 0);
+  }
+
+  reconcileAll() {
+    this.deployments.forEach(deployment => this.reconcile(deployment));
+  }
+
+  reconcile(deployment) {
+    const involvedObject = { kind: 'deployment', name: deployment.name };
+
+    // Failed pods never recover on their own, so replace them
+    this.getPods(deployment)
+      .filter(pod => pod.status === 'failed')
+      .forEach(pod => {
+        this.nodeManager.removePod(pod.id);
+        this.eventRecorder.warning(involvedObject, 'ReplacingFailedPod', `Removed failed pod ${pod.id}`);
+      });
+
+    const pods = this.getPods(deployment);
+    const diff = deployment.replicas - pods.length;
+
+    if (diff > 0) {
+      const { cpuRequired, memoryRequired, ...spec } = deployment.template;
+      let created = 0;
+      for (; created < diff; created++) {
+        // Tried again on the next pass, once the quota has room
+        const quotaError = this.namespaces.checkQuota(deployment.namespace, cpuRequired, memoryRequired);
+        if (quotaError) {
+          this.eventRecorder.warning(involvedObject, 'FailedCreate', quotaError);
+          break;
+        }
+        const podId = `${deployment.name}-${this.nodeManager.clock.uuid().slice(0, 8)}`;
+        this.schedulingQueue.submit(podId, cpuRequired, memoryRequired, {
+          ...spec,
+          namespace: deployment.namespace,
+          owner: deployment.name
+        });
+      }
+      if (created > 0) {
+        console.log(`Deployment ${deployment.name}: created ${created} pods`);
+        this.eventRecorder.normal(involvedObject, 'ScaledUp', `Created ${created} pods to reach ${deployment.replicas} replicas`);
+      }
+    } else if (diff < 0) {
+      // Remove pending pods first, then the newest running ones
+      const victims = pods
+        .sort((a, b) => (Boolean(a.nodeId) - Boolean(b.nodeId)) || (b.createdAt - a.createdAt))
+        .slice(0, -diff);
+      victims.forEach(pod => this.nodeManager.removePod(pod.id));
+      console.log(`Deployment ${deployment.name}: removed ${victims.length} pods`);
+      this.eventRecorder.normal(involvedObject, 'ScaledDown', `Removed ${victims.length} pods to reach ${deployment.replicas} replicas`);
+    }
+  }
+}
+
+module.exports = DeploymentController;
@@ -0,0 +1,77 @@
+const { systemClock } = require('./clock');
+
+const EVENT_TYPES = ['Normal', 'Warning'];
+
+// Records what the cluster decided and why. An event describes one object
+// ({ kind, name }) and repeats of the same event bump its count instead of
+// adding a new entry. Events expire after EVENT_TTL and the log never holds
+// more than EVENT_LIMIT of them.
+class EventRecorder {
+  constructor(options = {}) {
+    this.ttl = options.ttl || parseInt(process.env.EVENT_TTL) || 3600000;
+    this.limit = options.limit || parseInt(process.env.EVENT_LIMIT) || 1000;
+    this.clock = options.clock || systemClock;
+    this.events = new Map();
+  }
+
+  normal(involvedObject, reason, message) {
+    return this.record(involvedObject, 'Normal', reason, message);
+  }
+
+  warning(involvedObject, reason, message) {
+    return this.record(involvedObject, 'Warning', reason, message);
+  }
+
+  record({ kind, name }, type, reason, message) {
+    const key = [kind, name, type, reason, message].join('|');
+    const now = this.clock.date();
+
+    let event = this.events.get(key);
+    if (event) {
+      // Map keeps insertion order, so move the event to the newest position
+      this.events.delete(key);
+      event.count++;
+      event.lastTimestamp = now;
+    } else {
+      event = {
+        id: this.clock.uuid(),
+        type,
+        reason,
+        message,
+        involvedObject: { kind, name },
+        count: 1,
+        firstTimestamp: now,
+        lastTimestamp: now
+      };
+    }
+    this.events.set(key, event);
+    this.prune();
+    return event;
+  }
+
+  prune() {
+    const expiry = new Date(this.clock.now() - this.ttl);
+    for (const [key, event] of this.events) {
+      if (this.events.size > this.limit || event.lastTimestamp < expiry) {
+        this.events.delete(key);
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Newest first
+  query({ kind, name, type, reason, since } = {}) {
+    this.prune();
+    return Array.from(this.events.values())
+      .filter(event =>
+        (!kind || event.involvedObject.kind === kind) &&
+        (!name || event.involvedObject.name === name) &&
+        (!type || event.type === type) &&
+        (!reason || event.reason === reason) &&
+        (!since || event.lastTimestamp >= since))
+      .reverse();
+  }
+}
+
+module.exports = { EventRecorder, EVENT_TYPES };
@@ -1,26 +1,120 @@
+const { FLAPPING_TAINT } = require('./taints');
+
+const FLAP_THRESHOLD = parseInt(process.env.NODE_FLAP_THRESHOLD) || 3;
+const FLAP_WINDOW = parseInt(process.env.NODE_FLAP_WINDOW_MS) || 600000; // 10 minutes
+const CLOCK_SKEW_THRESHOLD = parseInt(process.env.CLOCK_SKEW_THRESHOLD_MS) || 10000;
+
+// Marks nodes that stop sending heartbeats as unhealthy. That adds the
+// unreachable NoExecute taint, which makes the TaintManager evict their pods.
+// A node that comes back FLAP_THRESHOLD times within FLAP_WINDOW is flapping:
+// it gets the flapping NoSchedule taint until it stays up for a whole window.
+// Heartbeat timestamps are compared with the server's clock to spot skew.
 class HealthMonitor {
-  constructor(nodeManager, podScheduler) {
+  constructor(nodeManager, eventRecorder) {
     this.nodeManager = nodeManager;
-    this.podScheduler = podScheduler;
-    this.heartbeatInterval = setInterval(
+    this.eventRecorder = eventRecorder;
+    // nodeId -> { status, recoveries, flapping, clockSkew }
+    this.nodeStates = new Map();
+    this.nodeManager.nodes.forEach(node => {
+      // A taint left from before a restart comes off at the first check
+      this.nodeState(node.id, node.status).flapping =
+        node.taints.some(taint => taint.key === FLAPPING_TAINT.key);
+    });
+
+    this.nodeManager.on('resource-changed', ({ kind, type, object }) => {
+      if (kind !== 'node') return;
+      if (type === 'DELETED') {
+        this.nodeStates.delete(object.nodeId);
+      } else {
+        this.trackStatus(object.nodeId, object.status);
+      }
+    });
+
+    this.heartbeatInterval = nodeManager.clock.setInterval(
       this.checkNodeHealth.bind(this), 
       30000 // Check every 30 seconds
     );
   }
 
+  nodeState(nodeId, status) {
+    if (!this.nodeStates.has(nodeId)) {
+      this.nodeStates.set(nodeId, { status, recoveries: [], flapping: false, clockSkew: null });
+    }
+    return this.nodeStates.get(nodeId);
+  }
+
+  trackStatus(nodeId, status) {
+    const state = this.nodeState(nodeId, status);
+    const recovered = state.status === 'unhealthy' && status === 'healthy';
+    // Set first: tainting the node below reports it again
+    state.status = status;
+    if (!recovered) return;
+
+    const now = this.nodeManager.clock.now();
+    state.recoveries = [...state.recoveries.filter(time => time > now - FLAP_WINDOW), now];
+    if (!state.flapping && state.recoveries.length >= FLAP_THRESHOLD) {
+      state.flapping = true;
+      console.log(`Node ${nodeId} is flapping`);
+      this.eventRecorder.warning({ kind: 'node', name: nodeId }, 'NodeFlapping',
+        `Came back ${state.recoveries.length} times in the last ${FLAP_WINDOW / 60000}m; ` +
+        'no new pods until it stays up');
+      this.nodeManager.addTaint(nodeId, FLAPPING_TAINT);
+    }
+  }
+
+  // Called with the timestamp of every heartbeat as it arrives
+  recordClockSkew(nodeId, timestamp) {
+    if (!timestamp || !this.nodeManager.nodes.has(nodeId)) return;
+    const state = this.nodeState(nodeId, this.nodeManager.nodes.get(nodeId).status);
+    const skew = timestamp - this.nodeManager.clock.now();
+    const wasSkewed = state.clockSkew !== null && Math.abs(state.clockSkew) > CLOCK_SKEW_THRESHOLD;
+    const skewed = Math.abs(skew) > CLOCK_SKEW_THRESHOLD;
+    state.clockSkew = skew;
+
+    if (skewed && !wasSkewed) {
+      this.eventRecorder.warning({ kind: 'node', name: nodeId }, 'ClockSkew',
+        `Node clock is ${Math.round(Math.abs(skew) / 1000)}s ${skew > 0 ? 'ahead of' : 'behind'} the api-server`);
+    } else if (!skewed && wasSkewed) {
+      this.eventRecorder.normal({ kind: 'node', name: nodeId }, 'ClockSynchronized',
+        `Node clock is back within ${CLOCK_SKEW_THRESHOLD / 1000}s of the api-server`);
+    }
+  }
+
   checkNodeHealth() {
-    const now = new Date();
+    const now = this.nodeManager.clock.date();
     const unhealthyThreshold = new Date(now - 90000); // 60s timeout
     
     this.nodeManager.nodes.forEach((node, nodeId) => {
-      if (node.lastHeartbeat < unhealthyThreshold && node.status !== 'unhealthy') {
+      if (node.lastHeartbeat < unhealthyThreshold &&
+          node.status !== 'unhealthy' && node.status !== 'failed') {
         console.log(`Node ${nodeId} marked as unhealthy`);
-        node.status = 'unhealthy';
-        this.handleNodeFailure(nodeId);
+        this.eventRecorder.warning({ kind: 'node', name: nodeId }, 'NodeUnhealthy',
+          `No heartbeat since ${node.lastHeartbeat.toISOString()}`);
+        this.nodeManager.setNodeStatus(nodeId, 'unhealthy');
+      }
+    });
+
+    this.nodeStates.forEach((state, nodeId) => {
+      state.recoveries = state.recoveries.filter(time => time > now - FLAP_WINDOW);
+      if (state.flapping && state.recoveries.length === 0) {
+        state.flapping = false;
+        console.log(`Node ${nodeId} is no longer flapping`);
+        this.eventRecorder.normal({ kind: 'node', name: nodeId }, 'NodeStable',
+          `Stayed up for ${FLAP_WINDOW / 60000}m`);
+        this.nodeManager.removeTaint(nodeId, FLAPPING_TAINT.key, FLAPPING_TAINT.effect);
       }
     });
   }
 
+  getNodeHealth(nodeId) {
+    const state = this.nodeStates.get(nodeId);
+    return {
+      recentRecoveries: state ? state.recoveries.length : 0,
+      flapping: state ? state.flapping : false,
+      clockSkewSeconds: state?.clockSkew != null ? state.clockSkew / 1000 : null
+    };
+  }
+
   getSystemStatus() {
     const nodes = this.nodeManager.getNodes();
     const healthyNodes = nodes.filter(n => n.status === 'healthy').length;
@@ -30,24 +124,10 @@ class HealthMonitor {
              healthyNodes >= nodes.length / 2 ? 'degraded' : 'critical',
       totalNodes: nodes.length,
       healthyNodes,
-      recoveringNodes: nodes.filter(n => n.status === 'failed').length
+      recoveringNodes: nodes.filter(n => n.status === 'failed').length,
+      flappingNodes: nodes.filter(n => this.nodeStates.get(n.nodeId)?.flapping).length
     };
   }
-
-  handleNodeFailure(nodeId) {
-    const pods = this.nodeManager.getPodsOnNode(nodeId);
-    console.log(`Rescheduling ${pods.length} pods from failed node ${nodeId}`);
-    
-    pods.forEach(pod => {
-      const newNodeId = this.podScheduler.schedulePod(pod.cpuRequired);
-      if (newNodeId) {
-        this.nodeManager.movePod(pod.id, nodeId, newNodeId);
-        console.log(`Pod ${pod.id} rescheduled to node ${newNodeId}`);
-      } else {
-        console.log(`Failed to reschedule pod ${pod.id}, no available nodes`);
-      }
-    });
-  }
 }
 
 module.exports = HealthMonitor;
\ No newline at end of file
@@ -0,0 +1,75 @@
+// The heartbeat contract between node simulators and the api-server.
+//
+// Version 1 bodies look like:
+// {
+//   version: 1,
+//   timestamp: '2024-01-01T00:00:00.000Z',
+//   systemMetrics: {
+//     cpu: { load: 0.42, cores: 4 },              // 1-minute load average
+//     memory: { total: 8589934592, free: 123 },   // bytes
+//     uptime: 3600                                // seconds
+//   },
+//   podStatuses: {
+//     'pod-1': { status: 'running', cpuUsage: 0.5, memoryUsage: 128 }  // cores, MB
+//   }
+// }
+//
+// Bodies without a version come from older simulators: podStatuses maps pod
+// ids to status strings and system metrics arrive as `metrics`.
+//
+// The response carries desiredPods, the pods the node should be running:
+// [{ id, cpuRequired, memoryRequired, labels }]. A node starts the ones it
+// does not run yet, stops the ones missing from the list and reports the
+// phase of each in its next heartbeat; the server takes pod phases from these
+// reports only. It also carries networkFaults, the faults the simulator
+// should apply to its traffic (see networkFaults.js).
+
+const HEARTBEAT_VERSION = 1;
+const SUPPORTED_VERSIONS = [0, 1];
+const MB = 1024 * 1024;
+
+const toNumber = value => (Number.isFinite(Number(value)) ? Number(value) : null);
+
+// Returns { error } or the heartbeat in the shape the server stores:
+// { version, timestamp, system, pods } with memory in MB and the timestamp in
+// milliseconds
+function parseHeartbeat(body = {}) {
+  const version = body.version === undefined ? 0 : body.version;
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { error: `Unsupported heartbeat version ${version}; supported versions: ${SUPPORTED_VERSIONS.join(', ')}` };
+  }
+
+  const podStatuses = body.podStatuses || {};
+  if (typeof podStatuses !== 'object' || Array.isArray(podStatuses)) {
+    return { error: 'podStatuses must be an object keyed by pod id' };
+  }
+
+  const pods = {};
+  Object.entries(podStatuses).forEach(([podId, report]) => {
+    const entry = typeof report === 'string' ? { status: report } : report || {};
+    pods[podId] = {
+      status: typeof entry.status === 'string' ? entry.status : null,
+      cpuUsage: toNumber(entry.cpuUsage),
+      memoryUsage: toNumber(entry.memoryUsage)
+    };
+  });
+
+  const metrics = version === 0 ? body.metrics : body.systemMetrics;
+  let system = null;
+  if (metrics && typeof metrics === 'object') {
+    system = {
+      cpuLoad: toNumber(metrics.cpu?.load),
+      cpuCores: toNumber(metrics.cpu?.cores),
+      memoryTotal: metrics.memory?.total != null ? Math.round(metrics.memory.total / MB) : null,
+      memoryFree: metrics.memory?.free != null ? Math.round(metrics.memory.free / MB) : null,
+      uptime: toNumber(metrics.uptime)
+    };
+  }
+
+  // The node's own clock, which may be off
+  const timestamp = Date.parse(body.timestamp);
+
+  return { version, timestamp: Number.isNaN(timestamp) ? null : timestamp, system, pods };
+}
+
+module.exports = { HEARTBEAT_VERSION, SUPPORTED_VERSIONS, parseHeartbeat };
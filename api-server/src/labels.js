@@ -0,0 +1,83 @@
+// Label helpers shared by deployments and node selection
+
+const LABEL_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9._/-]*[A-Za-z0-9])?$/;
+
+// Returns an error message, or null when labels is a flat map of valid strings
+function validateLabels(labels) {
+  if (labels === undefined) return null;
+  if (typeof labels !== 'object' || labels === null || Array.isArray(labels)) {
+    return 'labels must be an object of key/value strings';
+  }
+  for (const [key, value] of Object.entries(labels)) {
+    if (!LABEL_PATTERN.test(key)) return `invalid label key: ${key}`;
+    if (typeof value !== 'string' || (value !== '' && !LABEL_PATTERN.test(value))) {
+      return `invalid value for label ${key}`;
+    }
+  }
+  return null;
+}
+
+// True when every key/value in selector is present in labels
+function matchesSelector(labels = {}, selector = {}) {
+  return Object.entries(selector).every(([key, value]) => labels[key] === value);
+}
+
+const OPERATORS = ['In', 'NotIn', 'Exists', 'DoesNotExist', 'Gt', 'Lt'];
+
+// Evaluates a node affinity expression such as
+// { key: 'zone', operator: 'In', values: ['a', 'b'] }
+function matchesExpression(labels = {}, { key, operator, values = [] }) {
+  const value = labels[key];
+  switch (operator) {
+    case 'In': return value !== undefined && values.includes(value);
+    case 'NotIn': return value === undefined || !values.includes(value);
+    case 'Exists': return value !== undefined;
+    case 'DoesNotExist': return value === undefined;
+    case 'Gt': return value !== undefined && Number(value) > Number(values[0]);
+    case 'Lt': return value !== undefined && Number(value) < Number(values[0]);
+    default: return false;
+  }
+}
+
+function validateExpression(expression) {
+  if (!expression || typeof expression.key !== 'string' || !expression.key) {
+    return 'affinity expressions need a key';
+  }
+  if (!OPERATORS.includes(expression.operator)) {
+    return `affinity operator must be one of: ${OPERATORS.join(', ')}`;
+  }
+  const values = expression.values || [];
+  if (!Array.isArray(values)) return 'affinity values must be an array';
+  if (['In', 'NotIn'].includes(expression.operator) && values.length === 0) {
+    return `${expression.operator} expressions need at least one value`;
+  }
+  if (['Gt', 'Lt'].includes(expression.operator) &&
+      (values.length !== 1 || isNaN(values[0]))) {
+    return `${expression.operator} expressions need exactly one numeric value`;
+  }
+  return null;
+}
+
+// Affinity is { required: [expression], preferred: [{ weight, ...expression }] }
+function validateAffinity(affinity) {
+  if (affinity === undefined || affinity === null) return null;
+  if (typeof affinity !== 'object' || Array.isArray(affinity)) {
+    return 'affinity must be an object';
+  }
+  const { required = [], preferred = [] } = affinity;
+  if (!Array.isArray(required) || !Array.isArray(preferred)) {
+    return 'affinity.required and affinity.preferred must be arrays';
+  }
+  for (const expression of [...required, ...preferred]) {
+    const error = validateExpression(expression);
+    if (error) return error;
+  }
+  for (const { weight } of preferred) {
+    if (!Number.isInteger(weight) || weight < 1 || weight > 100) {
+      return 'preferred affinity weight must be an integer between 1 and 100';
+    }
+  }
+  return null;
+}
+
+module.exports = { validateLabels, matchesSelector, matchesExpression, validateAffinity };
@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+
+// Fixed-size buffer that overwrites its oldest line once full
+class RingBuffer {
+  constructor(size) {
+    this.size = size;
+    this.lines = [];
+    this.start = 0;
+  }
+
+  push(line) {
+    if (this.lines.length < this.size) {
+      this.lines.push(line);
+    } else {
+      this.lines[this.start] = line;
+      this.start = (this.start + 1) % this.size;
+    }
+  }
+
+  // Oldest first
+  toArray() {
+    return [...this.lines.slice(this.start), ...this.lines.slice(0, this.start)];
+  }
+}
+
+// Keeps the log lines nodes ship for themselves and for their pods, the last
+// LOG_BUFFER_SIZE lines per node and per pod. Lines are { timestamp, message }
+// and pod lines also carry the node that wrote them. A buffer goes away with
+// its node or pod, which ends anyone following it.
+class LogStore extends EventEmitter {
+  constructor(nodeManager, options = {}) {
+    super();
+    this.nodeManager = nodeManager;
+    this.bufferSize = options.bufferSize || parseInt(process.env.LOG_BUFFER_SIZE) || 1000;
+    this.buffers = new Map();
+    // One listener per follower
+    this.setMaxListeners(0);
+
+    this.nodeManager.on('resource-changed', ({ kind, type, object }) => {
+      if (type === 'DELETED') {
+        const key = `${kind}/${kind === 'node' ? object.nodeId : object.id}`;
+        this.buffers.delete(key);
+        this.emit(`end:${key}`);
+      }
+    });
+  }
+
+  append(kind, id, lines) {
+    const key = `${kind}/${id}`;
+    if (!this.buffers.has(key)) this.buffers.set(key, new RingBuffer(this.bufferSize));
+    const buffer = this.buffers.get(key);
+
+    lines.forEach(line => {
+      buffer.push(line);
+      this.emit(`line:${key}`, line);
+    });
+  }
+
+  // Lines written since the given date, limited to the last `tail` of them
+  query(kind, id, { tail, since } = {}) {
+    const buffer = this.buffers.get(`${kind}/${id}`);
+    let lines = buffer ? buffer.toArray() : [];
+    if (since) lines = lines.filter(line => line.timestamp >= since);
+    return tail === undefined ? lines : lines.slice(Math.max(lines.length - tail, 0));
+  }
+
+  // Calls onLine for every new line until the node or pod is deleted, then
+  // onEnd. Returns a function that stops following.
+  follow(kind, id, onLine, onEnd) {
+    const key = `${kind}/${id}`;
+    const end = () => {
+      unfollow();
+      onEnd();
+    };
+    const unfollow = () => {
+      this.off(`line:${key}`, onLine);
+      this.off(`end:${key}`, end);
+    };
+
+    this.on(`line:${key}`, onLine);
+    this.on(`end:${key}`, end);
+    return unfollow;
+  }
+}
+
+module.exports = LogStore;
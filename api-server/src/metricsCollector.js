@@ -0,0 +1,159 @@
+// Renders cluster metrics in the Prometheus text exposition format. Gauges
+// are read from the cluster state and the latest heartbeat reports at scrape
+// time; counters come from the running totals the scheduler, queue and node
+// manager keep.
+
+const NODE_STATUSES = ['healthy', 'unhealthy', 'failed', 'draining'];
+const MB = 1024 * 1024;
+
+const escapeLabelValue = value =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+class MetricsCollector {
+  constructor(nodeManager, podScheduler, schedulingQueue, usageHistory, namespaces) {
+    this.nodeManager = nodeManager;
+    this.podScheduler = podScheduler;
+    this.schedulingQueue = schedulingQueue;
+    this.usageHistory = usageHistory;
+    this.namespaces = namespaces;
+  }
+
+  // Each family is { name, help, type, samples: [{ labels, value }] }
+  collect() {
+    const now = this.nodeManager.clock.now();
+    const nodes = [...this.nodeManager.nodes.values()];
+    const pods = [...this.nodeManager.pods.values()];
+    const families = [];
+    const family = (name, type, help, samples) => families.push({ name, type, help, samples });
+    const perNode = value => nodes.map(node => ({
+      labels: { node: node.id, status: node.status },
+      value: value(node)
+    }));
+
+    family('kubesim_node_status', 'gauge', 'Whether the node is in the given status',
+      nodes.flatMap(node => NODE_STATUSES.map(status => ({
+        labels: { node: node.id, status },
+        value: node.status === status ? 1 : 0
+      }))));
+    family('kubesim_node_cpu_cores', 'gauge', 'CPU cores the node offers',
+      perNode(node => node.cpuCores));
+    family('kubesim_node_cpu_allocated_cores', 'gauge', 'CPU cores requested by pods bound to the node',
+      perNode(node => node.cpuCores - node.availableCores));
+    family('kubesim_node_memory_bytes', 'gauge', 'Memory the node offers',
+      perNode(node => node.memory * MB));
+    family('kubesim_node_memory_allocated_bytes', 'gauge', 'Memory requested by pods bound to the node',
+      perNode(node => (node.memory - node.availableMemory) * MB));
+    family('kubesim_node_pods', 'gauge', 'Pods bound to the node',
+      perNode(node => node.pods.size));
+    family('kubesim_node_heartbeat_age_seconds', 'gauge', 'Seconds since the node last sent a heartbeat',
+      perNode(node => (now - node.lastHeartbeat) / 1000));
+
+    // Usage as reported in the latest heartbeat, for nodes that sent one
+    const reporting = nodes
+      .map(node => ({ node, report: this.usageHistory.latest('node', node.id) }))
+      .filter(({ report }) => report);
+    const perReport = (field, scale = 1) => reporting
+      .filter(({ report }) => report[field] != null)
+      .map(({ node, report }) => ({
+        labels: { node: node.id, status: node.status },
+        value: report[field] * scale
+      }));
+    family('kubesim_node_load1', 'gauge', 'One-minute load average reported by the node', perReport('cpuLoad'));
+    family('kubesim_node_cpu_usage_cores', 'gauge', 'CPU cores its pods reported using', perReport('podCpuUsage'));
+    family('kubesim_node_memory_usage_bytes', 'gauge', 'Memory its pods reported using', perReport('podMemoryUsage', MB));
+    family('kubesim_node_system_memory_free_bytes', 'gauge', 'Free memory reported by the node host', perReport('memoryFree', MB));
+
+    const podReports = pods
+      .map(pod => ({ pod, report: this.usageHistory.latest('pod', pod.id) }))
+      .filter(({ report }) => report);
+    family('kubesim_pod_cpu_usage_cores', 'gauge', 'CPU cores the pod reported using',
+      podReports.filter(({ report }) => report.cpuUsage != null).map(({ pod, report }) => ({
+        labels: { pod: pod.id, namespace: pod.namespace, node: report.nodeId },
+        value: report.cpuUsage
+      })));
+    family('kubesim_pod_memory_usage_bytes', 'gauge', 'Memory the pod reported using',
+      podReports.filter(({ report }) => report.memoryUsage != null).map(({ pod, report }) => ({
+        labels: { pod: pod.id, namespace: pod.namespace, node: report.nodeId },
+        value: report.memoryUsage * MB
+      })));
+
+    // Pending pods have no node and are reported with node=""
+    const podCounts = new Map();
+    pods.forEach(pod => {
+      const key = `${pod.nodeId || ''}|${pod.status}`;
+      podCounts.set(key, (podCounts.get(key) || 0) + 1);
+    });
+    family('kubesim_pods', 'gauge', 'Pods by node and phase',
+      [...podCounts].map(([key, value]) => {
+        const [node, phase] = key.split('|');
+        return { labels: { node, phase }, value };
+      }));
+
+    // Requests count against quotas; failed pods don't
+    const namespaces = this.namespaces.list().map(namespace => ({
+      namespace,
+      usage: this.namespaces.usage(namespace.name),
+      reports: podReports.filter(({ pod }) => pod.namespace === namespace.name)
+    }));
+    const perNamespace = value => namespaces.map(entry => ({
+      labels: { namespace: entry.namespace.name },
+      value: value(entry)
+    }));
+    family('kubesim_namespace_pods', 'gauge', 'Pods in the namespace that count against its quota',
+      perNamespace(({ usage }) => usage.pods));
+    family('kubesim_namespace_cpu_requested_cores', 'gauge', 'CPU cores requested by pods in the namespace',
+      perNamespace(({ usage }) => usage.cpu));
+    family('kubesim_namespace_memory_requested_bytes', 'gauge', 'Memory requested by pods in the namespace',
+      perNamespace(({ usage }) => usage.memory * MB));
+    family('kubesim_namespace_cpu_usage_cores', 'gauge', 'CPU cores the pods in the namespace reported using',
+      perNamespace(({ reports }) => reports.reduce((sum, { report }) => sum + (report.cpuUsage || 0), 0)));
+    family('kubesim_namespace_memory_usage_bytes', 'gauge', 'Memory the pods in the namespace reported using',
+      perNamespace(({ reports }) => reports.reduce((sum, { report }) => sum + (report.memoryUsage || 0), 0) * MB));
+    // Only limits that are set; memory in bytes
+    family('kubesim_namespace_quota', 'gauge', 'Quota limit of the namespace by resource',
+      namespaces.flatMap(({ namespace }) => Object.entries(namespace.quota)
+        .filter(([, limit]) => limit !== null)
+        .map(([resource, limit]) => ({
+          labels: { namespace: namespace.name, resource },
+          value: resource === 'memory' ? limit * MB : limit
+        }))));
+
+    family('kubesim_scheduler_attempts_total', 'counter', 'Node selections by strategy and result',
+      Object.entries(this.podScheduler.attempts).flatMap(([strategy, results]) =>
+        Object.entries(results).map(([result, value]) => ({ labels: { strategy, result }, value }))));
+    family('kubesim_scheduler_preemption_victims_total', 'counter', 'Pods evicted to make room for higher-priority pods',
+      [{ labels: {}, value: this.schedulingQueue.preemptedPods }]);
+    family('kubesim_scheduler_pending_pods', 'gauge', 'Pods waiting for a node',
+      [{ labels: {}, value: pods.filter(pod => !pod.nodeId).length }]);
+
+    family('kubesim_recovery_operations_total', 'counter', 'Recovery operations by outcome',
+      Object.entries(this.nodeManager.recoveryCounts).map(([status, value]) => ({
+        labels: { status: status.toLowerCase() },
+        value
+      })));
+
+    return families;
+  }
+
+  // Limited to one node's samples when nodeId is given
+  render(nodeId) {
+    return this.collect()
+      .map(family => nodeId ?
+        { ...family, samples: family.samples.filter(({ labels }) => labels.node === nodeId) } :
+        family)
+      .filter(({ samples }) => !nodeId || samples.length > 0)
+      .map(({ name, type, help, samples }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ].join('\n')).join('\n') + '\n';
+  }
+}
+
+module.exports = MetricsCollector;
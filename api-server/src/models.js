@@ -1,20 +1,26 @@
 // api-server/src/models.js
 class Node {
-    constructor(id, cpuCores) {
+    constructor(id, cpuCores, memory, labels = {}) {
       this.id = id;
       this.cpuCores = cpuCores;
       this.availableCores = cpuCores;
+      this.memory = memory; // MB
+      this.availableMemory = memory;
+      this.labels = labels;
+      this.taints = [];
       this.lastHeartbeat = new Date();
       this.status = 'healthy';
+      this.networkFaults = null;
       this.pods = new Set();
     }
   }
   
   class Pod {
-    constructor(id, nodeId, cpuRequired) {
+    constructor(id, nodeId, cpuRequired, memoryRequired = 0) {
       this.id = id;
       this.nodeId = nodeId;
       this.cpuRequired = cpuRequired;
+      this.memoryRequired = memoryRequired; // MB
       this.status = 'running';
       this.createdAt = new Date();
     }
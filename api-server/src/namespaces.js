@@ -0,0 +1,123 @@
+// Namespaces divide the pods and deployments of the teams sharing a cluster.
+// Each may have a quota, { cpu, memory, pods }, capping the CPU cores and MB
+// its pods request and how many pods it holds; a missing or null limit means
+// no cap. Failed pods don't count as they no longer run anywhere. Quotas are
+// checked when a pod is created, so lowering one leaves existing pods alone.
+
+const { MemoryStateStore } = require('./stateStore');
+const { systemClock } = require('./clock');
+
+const DEFAULT_NAMESPACE = 'default';
+const QUOTA_RESOURCES = ['cpu', 'memory', 'pods'];
+const QUOTA_UNITS = { cpu: ' cores', memory: 'MB', pods: ' pods' };
+
+const createQuota = (quota = {}) =>
+  Object.fromEntries(QUOTA_RESOURCES.map(resource => [resource, quota[resource] ?? null]));
+
+function validateQuota(quota) {
+  if (quota === undefined || quota === null) return null;
+  if (typeof quota !== 'object' || Array.isArray(quota)) {
+    return `quota must be an object with any of: ${QUOTA_RESOURCES.join(', ')}`;
+  }
+  const unknown = Object.keys(quota).find(resource => !QUOTA_RESOURCES.includes(resource));
+  if (unknown) {
+    return `unknown quota resource ${unknown}; expected any of: ${QUOTA_RESOURCES.join(', ')}`;
+  }
+  for (const resource of QUOTA_RESOURCES) {
+    const limit = quota[resource];
+    if (limit === undefined || limit === null) continue;
+    if (typeof limit !== 'number' || limit < 0 || (resource === 'pods' && !Number.isInteger(limit))) {
+      return `quota.${resource} must be a non-negative ${resource === 'pods' ? 'integer' : 'number'}`;
+    }
+  }
+  return null;
+}
+
+class Namespaces {
+  constructor(nodeManager, store = new MemoryStateStore(), clock = systemClock) {
+    this.nodeManager = nodeManager;
+    this.store = store;
+    this.clock = clock;
+    this.namespaces = new Map();
+    // Pods from before namespaces existed are in the default one
+    this.namespaces.set(DEFAULT_NAMESPACE, {
+      name: DEFAULT_NAMESPACE,
+      quota: createQuota(),
+      createdAt: this.clock.date()
+    });
+    store.load('namespace').forEach(saved => {
+      this.namespaces.set(saved.name, { ...saved, createdAt: new Date(saved.createdAt) });
+    });
+  }
+
+  create({ name, quota }) {
+    const namespace = { name, quota: createQuota(quota), createdAt: this.clock.date() };
+    this.namespaces.set(name, namespace);
+    this.store.put('namespace', name, namespace);
+    return namespace;
+  }
+
+  // Limits left out of the change stay as they are; null removes one
+  setQuota(name, changes) {
+    const namespace = this.namespaces.get(name);
+    if (!namespace) return null;
+
+    namespace.quota = createQuota({ ...namespace.quota, ...changes });
+    this.store.put('namespace', name, namespace);
+    return namespace;
+  }
+
+  get(name) {
+    return this.namespaces.get(name);
+  }
+
+  has(name) {
+    return this.namespaces.has(name);
+  }
+
+  list() {
+    return [...this.namespaces.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // The pods in the namespace must be gone already
+  delete(name) {
+    const namespace = this.namespaces.get(name);
+    if (!namespace) return null;
+
+    this.namespaces.delete(name);
+    this.store.delete('namespace', name);
+    return namespace;
+  }
+
+  getPods(name) {
+    return [...this.nodeManager.pods.values()].filter(pod => pod.namespace === name);
+  }
+
+  // What the namespace's pods that count against its quota request
+  usage(name) {
+    const pods = this.getPods(name).filter(pod => pod.status !== 'failed');
+    return {
+      cpu: pods.reduce((sum, pod) => sum + pod.cpuRequired, 0),
+      memory: pods.reduce((sum, pod) => sum + pod.memoryRequired, 0),
+      pods: pods.length
+    };
+  }
+
+  // Why a pod with these requests would exceed the namespace's quota, or
+  // null when it fits
+  checkQuota(name, cpuRequired, memoryRequired) {
+    const { quota } = this.namespaces.get(name);
+    const usage = this.usage(name);
+    const requested = { cpu: cpuRequired, memory: memoryRequired, pods: 1 };
+
+    const exceeded = QUOTA_RESOURCES.filter(resource =>
+      quota[resource] !== null && usage[resource] + requested[resource] > quota[resource]);
+    if (exceeded.length === 0) return null;
+
+    return `exceeded quota in namespace ${name}: ` + exceeded.map(resource =>
+      `requested ${requested[resource]}${QUOTA_UNITS[resource]}, used ${usage[resource]}${QUOTA_UNITS[resource]}, ` +
+      `limited to ${quota[resource]}${QUOTA_UNITS[resource]}`).join('; ');
+  }
+}
+
+module.exports = { Namespaces, DEFAULT_NAMESPACE, QUOTA_RESOURCES, validateQuota };
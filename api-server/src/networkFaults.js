@@ -0,0 +1,72 @@
+const { parseDuration } = require('./clock');
+
+// Network faults a node simulator applies to its own traffic to the
+// api-server. They are changed through PATCH /nodes/:id/network-faults with
+// {
+//   dropRate: 0.3,       // share of requests lost, below 1
+//   latency: '500ms',    // added to every request
+//   partition: '2m',     // no requests get through for this long
+//   clockSkew: '-30s'    // added to the timestamps the node sends
+// }
+// where fields left out keep their current value, and reach the simulator
+// with its next heartbeat response. A partition starts once the node gets
+// that response and ends by itself.
+
+// Like parseDuration, but a leading minus sign makes the duration negative
+const parseSignedDuration = value => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const duration = parseDuration(value.replace(/^-/, ''));
+  return duration === null ? null : (value.startsWith('-') ? -duration : duration);
+};
+
+// Returns { error } or the faults to store on the node, given the ones it has
+function parseNetworkFaults(body = {}, now, current = null) {
+  const {
+    dropRate = current?.dropRate ?? 0,
+    latency = current?.latency ?? 0,
+    partition,
+    clockSkew = current?.clockSkew ?? 0
+  } = body;
+
+  if (!Number.isFinite(dropRate) || dropRate < 0 || dropRate >= 1) {
+    return { error: 'dropRate must be a number from 0 up to, but not including, 1; use partition to lose every request' };
+  }
+
+  const latencyMs = parseSignedDuration(latency);
+  if (latencyMs === null || latencyMs < 0) {
+    return { error: 'latency must be a duration such as 500ms or 2s' };
+  }
+
+  const partitionMs = partition === undefined ? 0 : parseSignedDuration(partition);
+  if (partitionMs === null || partitionMs < 0) {
+    return { error: 'partition must be a duration such as 30s or 2m' };
+  }
+
+  const clockSkewMs = parseSignedDuration(clockSkew);
+  if (clockSkewMs === null) {
+    return { error: 'clockSkew must be a duration such as 30s or -2m' };
+  }
+
+  return {
+    dropRate,
+    latency: latencyMs,
+    clockSkew: clockSkewMs,
+    partitionUntil: partition === undefined ? current?.partitionUntil ?? null :
+      partitionMs > 0 ? new Date(now + partitionMs).toISOString() : null
+  };
+}
+
+// What the simulator gets in its responses: the faults with the partition
+// left to run, or null when there are none
+function networkFaultsForNode(faults, now) {
+  if (!faults) return null;
+  return {
+    dropRate: faults.dropRate,
+    latency: faults.latency,
+    clockSkew: faults.clockSkew,
+    partitionFor: faults.partitionUntil ? Math.max(Date.parse(faults.partitionUntil) - now, 0) : 0
+  };
+}
+
+module.exports = { parseNetworkFaults, networkFaultsForNode };
@@ -1,136 +1,462 @@
+const EventEmitter = require('events');
 const { Node, Pod } = require('./models');
+const { STATUS_TAINTS } = require('./taints');
+const { MemoryStateStore } = require('./stateStore');
+const { systemClock } = require('./clock');
+const { DEFAULT_NAMESPACE } = require('./namespaces');
 
-class NodeManager {
-  constructor() {
+const DEFAULT_NODE_MEMORY = parseInt(process.env.DEFAULT_NODE_MEMORY_MB) || 8192;
+
+// Emits 'capacity-changed' whenever resources may have been freed up so that
+// pending pods can be retried, 'pod-removed' when a pod is deleted and
+// 'node-tainted' when a taint is added and 'pod-status-changed' when a node
+// reports a pod in a new phase. Every change to a node or pod is also
+// announced as 'resource-changed' for watchers.
+// Every change is written through to the state store, and the constructor
+// rebuilds nodes, pods and recovery operations from it.
+class NodeManager extends EventEmitter {
+  constructor(store = new MemoryStateStore(), clock = systemClock) {
+    super();
+    this.store = store;
+    this.clock = clock;
     this.nodes = new Map();
     this.pods = new Map();
     this.recoveryOperations = new Map();
+    // Recovery outcomes since startup, keyed by status
+    this.recoveryCounts = {};
+    this.restore();
+  }
+
+  // Persistence
+  restore() {
+    this.store.load('node').forEach(saved => {
+      const node = new Node(saved.id, saved.cpuCores, saved.memory, saved.labels);
+      node.taints = saved.taints.map(taint => ({ ...taint, addedAt: new Date(taint.addedAt) }));
+      node.status = saved.status;
+      node.provisioner = saved.provisioner;
+      // Nodes saved before provisioners were pluggable only had a container
+      node.instanceId = saved.instanceId ?? saved.containerId;
+      node.networkFaults = saved.networkFaults ?? null;
+      // Heartbeats aren't persisted, so every node gets a full timeout to
+      // check in with the restarted server
+      node.lastHeartbeat = this.clock.date();
+      this.nodes.set(node.id, node);
+    });
+
+    this.store.load('pod').forEach(saved => {
+      const pod = {
+        ...saved,
+        name: saved.name || saved.id,
+        namespace: saved.namespace || DEFAULT_NAMESPACE,
+        createdAt: new Date(saved.createdAt),
+        pendingSince: saved.pendingSince ? new Date(saved.pendingSince) : null
+      };
+      this.pods.set(pod.id, pod);
+
+      // Node capacity is derived from the pods bound to it
+      const node = this.nodes.get(pod.nodeId);
+      if (node) {
+        node.availableCores -= pod.cpuRequired;
+        node.availableMemory -= pod.memoryRequired;
+        node.pods.add(pod.id);
+      } else if (pod.nodeId) {
+        this.unbindPod(pod.id, `Node ${pod.nodeId} no longer exists`);
+      }
+    });
+
+    this.store.load('recovery').forEach(saved => {
+      this.recoveryOperations.set(saved.podId, { ...saved, timestamp: new Date(saved.timestamp) });
+    });
+
+    if (this.nodes.size > 0 || this.pods.size > 0) {
+      console.log(`Restored ${this.nodes.size} nodes, ${this.pods.size} pods and ${this.recoveryOperations.size} recovery operations`);
+    }
+  }
+
+  // Pod membership and free capacity are rebuilt from the pods on restore
+  saveNode(node, type = 'MODIFIED') {
+    const { pods, availableCores, availableMemory, lastHeartbeat, ...saved } = node;
+    this.store.put('node', node.id, saved);
+    this.notify('node', type, this.describeNode(node));
+  }
+
+  deleteNode(node) {
+    this.nodes.delete(node.id);
+    this.store.delete('node', node.id);
+    this.notify('node', 'DELETED', this.describeNode(node));
+  }
+
+  savePod(pod, type = 'MODIFIED') {
+    this.store.put('pod', pod.id, pod);
+    this.notify('pod', type, this.describePod(pod));
+  }
+
+  deletePod(pod) {
+    this.pods.delete(pod.id);
+    this.store.delete('pod', pod.id);
+    this.notify('pod', 'DELETED', this.describePod(pod));
+  }
+
+  notify(kind, type, object) {
+    this.emit('resource-changed', { kind, type, object });
+  }
+
+  saveRecoveryOperation(operation) {
+    this.store.put('recovery', operation.podId, operation);
   }
 
   // Node Management
-  addNode(nodeId, cpuCores) {
-    const node = new Node(nodeId, cpuCores);
+  addNode(nodeId, cpuCores, memory = DEFAULT_NODE_MEMORY, labels = {}) {
+    const node = new Node(nodeId, cpuCores, memory, labels);
+    node.lastHeartbeat = this.clock.date();
     this.nodes.set(nodeId, node);
+    this.saveNode(node, 'ADDED');
+    this.emit('capacity-changed', { reason: 'node-added', nodeId });
+    return node;
+  }
+
+  // Merges label changes into the node; a null value removes the label
+  setNodeLabels(nodeId, changes) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null) {
+        delete node.labels[key];
+      } else {
+        node.labels[key] = value;
+      }
+    });
+    this.saveNode(node);
+    this.emit('capacity-changed', { reason: 'node-labels-changed', nodeId });
+    return node.labels;
+  }
+
+  // Adds a taint, replacing any existing taint with the same key and effect
+  addTaint(nodeId, { key, value = '', effect }) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    const taint = { key, value, effect, addedAt: this.clock.date() };
+    node.taints = node.taints.filter(t => !(t.key === key && t.effect === effect));
+    node.taints.push(taint);
+    this.saveNode(node);
+    this.emit('node-tainted', { nodeId, taint });
+    return node.taints;
+  }
+
+  // Removes taints with the given key, limited to one effect if given
+  removeTaint(nodeId, key, effect) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    const before = node.taints.length;
+    node.taints = node.taints.filter(t => !(t.key === key && (!effect || t.effect === effect)));
+    if (node.taints.length !== before) {
+      this.saveNode(node);
+      this.emit('capacity-changed', { reason: 'node-untainted', nodeId });
+    }
+    return node.taints;
+  }
+
+  // The status is a readable summary; scheduling and eviction follow the
+  // status taint that goes with it
+  setNodeStatus(nodeId, status) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return false;
+
+    node.status = status;
+    if (status === 'healthy') {
+      node.lastHeartbeat = this.clock.date();
+    }
+    this.saveNode(node);
+    Object.entries(STATUS_TAINTS).forEach(([taintStatus, taint]) => {
+      if (taintStatus !== status) {
+        this.removeTaint(nodeId, taint.key, taint.effect);
+      }
+    });
+    if (STATUS_TAINTS[status]) {
+      this.addTaint(nodeId, STATUS_TAINTS[status]);
+    }
+    return true;
+  }
+
+  // The network faults the node's simulator applies to its own traffic, as
+  // returned by parseNetworkFaults; null clears them
+  setNetworkFaults(nodeId, faults) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    node.networkFaults = faults;
+    this.saveNode(node);
+    return node;
+  }
+
+  // Changes what a node offers. Pods already bound stay, even when they no
+  // longer fit.
+  setNodeCapacity(nodeId, cpuCores, memory) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    node.availableCores += cpuCores - node.cpuCores;
+    node.availableMemory += memory - node.memory;
+    node.cpuCores = cpuCores;
+    node.memory = memory;
+    this.saveNode(node);
+    this.emit('capacity-changed', { reason: 'node-resized', nodeId });
     return node;
   }
 
+  // Removes a node, returning any pods still bound to it to the pending queue
+  removeNode(nodeId, reason = `Node ${nodeId} was removed`) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return [];
+
+    const requeued = Array.from(node.pods);
+    requeued.forEach(podId => this.unbindPod(podId, reason));
+    this.deleteNode(node);
+    if (requeued.length > 0) {
+      this.emit('capacity-changed', { reason: 'node-removed', nodeId });
+    }
+    return requeued;
+  }
+
   getNode(nodeId) {
     return this.nodes.get(nodeId);
   }
 
+  updateNode(nodeId, changes) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return null;
+
+    Object.assign(node, changes);
+    this.saveNode(node);
+    return node;
+  }
+
   getNodes() {
-    return Array.from(this.nodes.values()).map(node => ({
+    return Array.from(this.nodes.values()).map(node => this.describeNode(node));
+  }
+
+  describeNode(node) {
+    return {
       nodeId: node.id,
       cpuCores: node.cpuCores,
       availableCores: node.availableCores,
+      memory: node.memory,
+      availableMemory: node.availableMemory,
+      labels: node.labels,
+      taints: node.taints,
       status: node.status,
       lastHeartbeat: node.lastHeartbeat ? node.lastHeartbeat.toISOString() : null,
+      networkFaults: node.networkFaults,
       podCount: node.pods.size
-    }));
+    };
   }
 
   // Heartbeat Management
-  recordHeartbeat(nodeId, podStatuses = {}, metrics = {}) {
+  // Takes the pod reports of a heartbeat parsed by parseHeartbeat; usage
+  // numbers are kept by UsageHistory. Pod phases follow what the node
+  // reports for the pods bound to it: a bound pod the node doesn't report
+  // is not running there (yet). Reports for pods bound elsewhere are
+  // ignored; the node stops them once it sees its desired pods. Failed is
+  // final: such pods wait to be deleted or replaced.
+  // Pods reported as { podId: { status } }; without a report the pods'
+  // statuses are left as they are
+  recordHeartbeat(nodeId, pods = null) {
     const node = this.nodes.get(nodeId);
     if (!node) return false;
 
-    node.lastHeartbeat = new Date();
-    node.status = 'healthy';
-
-    if (metrics.cpu) {
-      node.metrics = metrics;
+    node.lastHeartbeat = this.clock.date();
+    // Failed and draining nodes only return to service through repair-complete
+    if (node.status === 'unhealthy') {
+      this.setNodeStatus(nodeId, 'healthy');
     }
 
-    Object.entries(podStatuses).forEach(([podId, status]) => {
+    this.notify('node', 'MODIFIED', this.describeNode(node));
+    if (!pods) return true;
+
+    node.pods.forEach(podId => {
       const pod = this.pods.get(podId);
-      if (pod) {
-        pod.status = status;
-        pod.lastUpdated = new Date();
+      const report = pods[podId];
+      if (pod.status === 'failed') return;
+      if (report) {
+        pod.lastUpdated = this.clock.date();
+        if (report.status) this.setPodStatus(pod, report.status);
+      } else if (pod.status !== 'pending') {
+        this.setPodStatus(pod, 'pending');
       }
     });
 
     return true;
   }
 
-  checkNodeHealth() {
-    const now = new Date();
-    this.nodes.forEach(node => {
-      if (node.status !== 'failed' && now - node.lastHeartbeat > 90000) {
-        node.status = 'unhealthy';
-      }
-    });
+  // The message says why, when the node isn't the one reporting the change
+  setPodStatus(pod, status, message = null) {
+    if (pod.status === status) return;
+    const previous = pod.status;
+    pod.status = status;
+    this.savePod(pod);
+    this.emit('pod-status-changed', { pod, previous, nodeId: pod.nodeId, message });
   }
 
-  // Failure Handling
-  handleNodeFailure(nodeId) {
+  // What a node should be running: every pod bound to it that hasn't failed
+  getDesiredPods(nodeId) {
     const node = this.nodes.get(nodeId);
-    if (!node) return;
-
-    node.status = 'failed';
-    const pods = this.getPodsOnNode(nodeId);
+    if (!node) return null;
 
-    pods.forEach(pod => {
-      const newNodeId = this.findAvailableNodeForPod(pod.cpuRequired);
-      if (newNodeId) {
-        this.movePod(pod.id, nodeId, newNodeId);
-        this.recordRecoveryOperation(pod.id, nodeId, newNodeId, 'COMPLETED');
-      } else {
-        this.recordRecoveryOperation(pod.id, nodeId, null, 'FAILED');
-      }
-    });
+    return Array.from(node.pods)
+      .map(podId => this.pods.get(podId))
+      .filter(pod => pod.status !== 'failed')
+      .map(pod => ({
+        id: pod.id,
+        cpuRequired: pod.cpuRequired,
+        memoryRequired: pod.memoryRequired,
+        labels: pod.labels
+      }));
   }
 
+  // Failure Handling
   recordRecoveryOperation(podId, fromNodeId, toNodeId, status) {
-    this.recoveryOperations.push({
+    const operation = {
       podId,
       fromNode: fromNodeId,
       toNode: toNodeId,
       status,
-      timestamp: new Date()
-    });
+      timestamp: this.clock.date()
+    };
+    this.recoveryOperations.set(podId, operation);
+    this.saveRecoveryOperation(operation);
+    this.countRecovery(status);
+  }
+
+  countRecovery(status) {
+    this.recoveryCounts[status] = (this.recoveryCounts[status] || 0) + 1;
   }
   
   getRecoveryStatus() {
     // Get all active operations (pending or recently completed)
     return Array.from(this.recoveryOperations.values()).filter(op =>  
       op.status === 'PENDING' || 
-      (op.status === 'COMPLETED' && new Date() - op.timestamp < 300000)
+      (op.status === 'COMPLETED' && this.clock.now() - op.timestamp < 300000)
     );
   }
 
   // Pod Management
-  addPod(nodeId, podId, cpuRequired, memoryRequired = 0) {
+  addPod(nodeId, podId, cpuRequired, memoryRequired = 0, spec = {}) {
     const node = this.nodes.get(nodeId);
-    if (!node || node.availableCores < cpuRequired) return false;
+    if (!node || !this.hasCapacity(node, cpuRequired, memoryRequired)) return false;
   
+    const pod = this.createPod(podId, cpuRequired, memoryRequired, spec);
+    this.bindPod(podId, nodeId);
+    return pod;
+  }
+
+  // Accepts a pod that no node can currently hold; it stays unbound until
+  // the scheduling queue finds it a node
+  addPendingPod(podId, cpuRequired, memoryRequired = 0, spec = {}, reason = null) {
+    return this.createPod(podId, cpuRequired, memoryRequired, spec, reason);
+  }
+
+  createPod(podId, cpuRequired, memoryRequired, spec, pendingReason = null) {
     const pod = {
       id: podId,
-      nodeId,
+      name: spec.name || podId,
+      namespace: spec.namespace || DEFAULT_NAMESPACE,
+      nodeId: null,
       cpuRequired,
       memoryRequired,
+      scheduler: spec.scheduler || null,
+      labels: spec.labels || {},
+      owner: spec.owner || null,
+      nodeSelector: spec.nodeSelector || {},
+      affinity: spec.affinity || null,
+      tolerations: spec.tolerations || [],
+      priority: spec.priority || 0,
+      priorityClassName: spec.priorityClassName || null,
+      preemptionPolicy: spec.preemptionPolicy || 'PreemptLowerPriority',
       status: 'pending',
-      createdAt: new Date()
+      pendingReason,
+      pendingSince: this.clock.date(),
+      createdAt: this.clock.date()
     };
-    
     this.pods.set(podId, pod);
-    node.availableCores -= cpuRequired;
+    this.savePod(pod, 'ADDED');
+    return pod;
+  }
+
+  // Names are unique within a namespace; the id is the cluster-wide key
+  findPod(namespace, name) {
+    for (const pod of this.pods.values()) {
+      if (pod.namespace === namespace && pod.name === name) return pod;
+    }
+    return null;
+  }
+
+  updatePod(podId, changes) {
+    const pod = this.pods.get(podId);
+    if (!pod) return null;
+
+    Object.assign(pod, changes);
+    this.savePod(pod);
+    return pod;
+  }
+
+  bindPod(podId, nodeId) {
+    const pod = this.pods.get(podId);
+    const node = this.nodes.get(nodeId);
+    if (!pod || pod.nodeId || !node ||
+        !this.hasCapacity(node, pod.cpuRequired, pod.memoryRequired)) {
+      return false;
+    }
+
+    pod.nodeId = nodeId;
+    pod.status = 'pending';
+    pod.pendingReason = null;
+    pod.pendingSince = null;
+    node.availableCores -= pod.cpuRequired;
+    node.availableMemory -= pod.memoryRequired;
     if (!node.pods) node.pods = new Set();
     node.pods.add(podId);
 
-    // Add automatic status update after simulated initialization
-    setTimeout(() => {
-        if (this.pods.has(podId)) {  // Check if pod still exists
-            const pod = this.pods.get(podId);
-            pod.status = 'running';
-            console.log(`Pod ${podId} is now running on node ${nodeId}`);
-            
-            // Optional: Update node's last heartbeat time
-            node.lastHeartbeat = new Date();
-        }
-    }, 5000); // 5 second delay to simulate pod initialization
+    const operation = this.recoveryOperations.get(podId);
+    if (operation && operation.status === 'PENDING') {
+      operation.toNode = nodeId;
+      operation.status = 'COMPLETED';
+      operation.timestamp = this.clock.date();
+      this.saveRecoveryOperation(operation);
+      this.countRecovery('COMPLETED');
+    }
+    // Stays pending until the node reports it running
+    this.savePod(pod);
 
-    return pod;
-}
+    return true;
+  }
+
+  // Releases a pod from its node and returns it to the pending queue
+  unbindPod(podId, reason) {
+    const pod = this.pods.get(podId);
+    if (!pod) return false;
+
+    const node = this.nodes.get(pod.nodeId);
+    if (node) {
+      node.availableCores += pod.cpuRequired;
+      node.availableMemory += pod.memoryRequired;
+      node.pods.delete(podId);
+    }
+    pod.nodeId = null;
+    pod.status = 'pending';
+    pod.pendingReason = reason;
+    pod.pendingSince = this.clock.date();
+    this.savePod(pod);
+    return true;
+  }
+
+  getPendingPods() {
+    return Array.from(this.pods.values())
+      .filter(pod => !pod.nodeId)
+      .sort((a, b) => (b.priority - a.priority) || (a.pendingSince - b.pendingSince));
+  }
 
   getPodsOnNode(nodeId) {
     const node = this.nodes.get(nodeId);
@@ -140,8 +466,18 @@ class NodeManager {
       const pod = this.pods.get(podId);
       return {
         id: podId,
+        name: pod.name,
+        namespace: pod.namespace,
         nodeId: pod.nodeId,
         cpuRequired: pod.cpuRequired,
+        memoryRequired: pod.memoryRequired,
+        scheduler: pod.scheduler,
+        labels: pod.labels,
+        owner: pod.owner,
+        nodeSelector: pod.nodeSelector,
+        affinity: pod.affinity,
+        tolerations: pod.tolerations,
+        priority: pod.priority,
         status: pod.status,
         createdAt: pod.createdAt
       };
@@ -150,13 +486,27 @@ class NodeManager {
 
   getAllPods() {
     return Array.from(this.pods.values()).map(pod => ({
+      ...this.describePod(pod),
+      uptime: Math.floor((this.clock.now() - new Date(pod.createdAt)) / 1000) + 's'
+    }));
+  }
+
+  describePod(pod) {
+    return {
       id: pod.id,  // Explicitly include ID
+      name: pod.name,
+      namespace: pod.namespace,
       nodeId: pod.nodeId,
       cpuRequired: pod.cpuRequired,
+      memoryRequired: pod.memoryRequired,
+      labels: pod.labels,
+      owner: pod.owner,
+      priority: pod.priority,
       status: pod.status,
-      createdAt: pod.createdAt,
-      uptime: Math.floor((new Date() - new Date(pod.createdAt)) / 1000) + 's'
-    }));
+      pendingReason: pod.pendingReason,
+      pendingSince: pod.pendingSince,
+      createdAt: pod.createdAt
+    };
   }
 
   movePod(podId, fromNodeId, toNodeId) {
@@ -166,16 +516,20 @@ class NodeManager {
     const fromNode = this.nodes.get(fromNodeId);
     const toNode = this.nodes.get(toNodeId);
   
-    if (!fromNode || !toNode || toNode.availableCores < pod.cpuRequired) {
+    if (!fromNode || !toNode || !this.hasCapacity(toNode, pod.cpuRequired, pod.memoryRequired)) {
       return false;
     }
   
     fromNode.availableCores += pod.cpuRequired;
+    fromNode.availableMemory += pod.memoryRequired;
     toNode.availableCores -= pod.cpuRequired;
+    toNode.availableMemory -= pod.memoryRequired;
     fromNode.pods.delete(podId);
     toNode.pods.add(podId);
     pod.nodeId = toNodeId;
-    pod.status = 'running';
+    // The new node has to start it first
+    pod.status = 'pending';
+    this.savePod(pod);
   
     return true;
   }
@@ -187,58 +541,22 @@ class NodeManager {
     const node = this.nodes.get(pod.nodeId);
     if (node) {
       node.availableCores += pod.cpuRequired;
+      node.availableMemory += pod.memoryRequired;
       node.pods.delete(podId);
     }
-    this.pods.delete(podId);
+    this.deletePod(pod);
+    this.emit('pod-removed', pod);
+    if (node) {
+      this.emit('capacity-changed', { reason: 'pod-removed', nodeId: node.id });
+    }
     return true;
   }
 
   // Scheduling
-  findAvailableNodeForPod(cpuRequired) {
-    for (const [nodeId, node] of this.nodes) {
-      if (node.status === 'healthy' && node.availableCores >= cpuRequired) {
-        return nodeId;
-      }
-    }
-    return null;
+  hasCapacity(node, cpuRequired, memoryRequired = 0) {
+    return node.availableCores >= cpuRequired && node.availableMemory >= memoryRequired;
   }
 
-  simulateNodeFailure(nodeId) {
-    const node = this.nodes.get(nodeId);
-    if (!node) return null;
-  
-    node.status = 'failed';
-    const pods = this.getPodsOnNode(nodeId);
-    const recoveryOperations = [];
-  
-    pods.forEach(pod => {
-      const operation = {
-        podId: pod.id,
-        fromNode: nodeId,
-        toNode: null, // Will be set when moved
-        status: 'PENDING',
-        timestamp: new Date()
-      };
-      
-      // Immediately attempt relocation
-      const newNodeId = this.findAvailableNodeForPod(pod.cpuRequired);
-      if (newNodeId) {
-        this.movePod(pod.id, nodeId, newNodeId);
-        operation.toNode = newNodeId;
-        operation.status = 'COMPLETED';
-      }
-  
-      recoveryOperations.push(operation);
-      this.recoveryOperations.set(pod.id, operation);
-    });
-  
-    return {
-      nodeId,
-      status: 'failed',
-      recoveryOperations, // Now includes the completed operation
-      systemStatus: this.getSystemStatus()
-    };
-  }
   // Utility Methods
   getAvailableNodes() {
     return new Map(
@@ -247,16 +565,6 @@ class NodeManager {
       )
     );
   }
-
-  getSystemStatus() {
-    const healthyNodes = nodes.filter(n => n.status === 'healthy' && 
-                                new Date() - n.lastHeartbeat < 90000);
-    const usedCores = pods.reduce((sum,p) => sum + p.cpuRequired, 0);
-    return {
-      healthyNodes: healthyNodes.length,
-      availableCores: totalCores - usedCores
-    };
-  }
 }
 
 module.exports = NodeManager;
\ No newline at end of file
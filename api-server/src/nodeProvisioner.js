@@ -0,0 +1,168 @@
+const path = require('path');
+const { fork } = require('child_process');
+
+// Provisioners start the node simulators behind POST /nodes. Each one offers
+//   create(nodeId, { cpuCores, memoryMb, labels, token }) -> instance id
+//   start(instanceId)
+//   remove(instanceId)
+//   close()
+// Instances of a provisioner that isn't `persistent` go away with the
+// api-server, so their nodes have to be started again after a restart.
+
+const SIMULATOR_PATH = process.env.NODE_SIMULATOR_PATH ||
+  path.join(__dirname, '..', '..', 'node-simulator', 'src', 'index.js');
+
+const simulatorEnv = (nodeId, { cpuCores, memoryMb, labels = {}, token }, apiServerUrl) => ({
+  CPU_CORES: String(cpuCores),
+  ...(memoryMb ? { MEMORY_MB: String(memoryMb) } : {}),
+  NODE_LABELS: Object.entries(labels).map(([key, value]) => `${key}=${value}`).join(','),
+  NODE_ID: nodeId,
+  API_SERVER_URL: apiServerUrl,
+  ...(token ? { NODE_TOKEN: token } : {})
+});
+
+// One node-simulator container per node on the compose network
+class DockerProvisioner {
+  constructor(options = {}) {
+    const Docker = require('dockerode');
+    this.name = 'docker';
+    this.persistent = true;
+    this.docker = new Docker();
+    this.image = options.image || process.env.NODE_IMAGE || 'node-simulator';
+    this.network = options.network || process.env.NODE_NETWORK || 'cluster-network';
+    this.apiServerUrl = options.apiServerUrl || 'http://api-server:5000';
+  }
+
+  async create(nodeId, spec) {
+    const env = simulatorEnv(nodeId, spec, this.apiServerUrl);
+    const container = await this.docker.createContainer({
+      Image: this.image,
+      Env: Object.entries(env).map(([key, value]) => `${key}=${value}`),
+      HostConfig: {
+        NetworkMode: this.network
+      }
+    });
+    return container.id;
+  }
+
+  async start(instanceId) {
+    await this.docker.getContainer(instanceId).start();
+  }
+
+  async remove(instanceId) {
+    await this.docker.getContainer(instanceId).remove({ force: true });
+  }
+
+  close() {}
+}
+
+// One node-simulator child process per node
+class ProcessProvisioner {
+  constructor(options = {}) {
+    this.name = 'process';
+    this.persistent = false;
+    this.apiServerUrl = options.apiServerUrl;
+    this.specs = new Map();
+    this.children = new Map();
+  }
+
+  async create(nodeId, spec) {
+    this.specs.set(nodeId, spec);
+    return nodeId;
+  }
+
+  async start(instanceId) {
+    const child = fork(SIMULATOR_PATH, [], {
+      env: { ...process.env, ...simulatorEnv(instanceId, this.specs.get(instanceId), this.apiServerUrl) },
+      // The simulator ships its logs to the api-server; keep its errors
+      stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    child.on('exit', (code, signal) => {
+      if (this.children.get(instanceId) !== child) return;
+      this.children.delete(instanceId);
+      console.warn(`Node simulator ${instanceId} exited (${signal || `code ${code}`})`);
+    });
+    this.children.set(instanceId, child);
+  }
+
+  async remove(instanceId) {
+    const child = this.children.get(instanceId);
+    this.children.delete(instanceId);
+    this.specs.delete(instanceId);
+    // SIGKILL skips the simulator's graceful shutdown, which would drain the
+    // node on the api-server
+    if (child) child.kill('SIGKILL');
+  }
+
+  close() {
+    [...this.children.keys()].forEach(instanceId => this.remove(instanceId));
+  }
+}
+
+// NodeSimulator instances inside the api-server process. They share the
+// api-server's clock, so they keep time with a virtual one too.
+class InProcessProvisioner {
+  constructor(options = {}) {
+    this.name = 'in-process';
+    this.persistent = false;
+    this.apiServerUrl = options.apiServerUrl;
+    this.clock = options.clock;
+    this.simulators = new Map();
+  }
+
+  async create(nodeId, { cpuCores, memoryMb, labels, token }) {
+    const NodeSimulator = require(SIMULATOR_PATH);
+    const prefix = `[node ${nodeId.slice(0, 8)}]`;
+    this.simulators.set(nodeId, new NodeSimulator({
+      apiServerUrl: this.apiServerUrl,
+      nodeId,
+      cpuCores,
+      memoryMb,
+      labels,
+      token,
+      clock: this.clock,
+      logger: {
+        log: (...args) => console.log(prefix, ...args),
+        warn: (...args) => console.warn(prefix, ...args),
+        error: (...args) => console.error(prefix, ...args),
+        debug: () => {}
+      }
+    }));
+    return nodeId;
+  }
+
+  // Resolves once the simulator has tried to register
+  async start(instanceId) {
+    await this.simulators.get(instanceId).start();
+  }
+
+  async remove(instanceId) {
+    const simulator = this.simulators.get(instanceId);
+    this.simulators.delete(instanceId);
+    if (simulator) simulator.stop();
+  }
+
+  close() {
+    [...this.simulators.keys()].forEach(instanceId => this.remove(instanceId));
+  }
+}
+
+// NODE_PROVISIONER picks the backend; local ones reach the api-server on PORT.
+// On a virtual clock only in-process simulators keep the same time, so they
+// are the default there.
+function createProvisioner(port, clock) {
+  const type = process.env.NODE_PROVISIONER || (clock?.advance ? 'in-process' : 'docker');
+  const apiServerUrl = process.env.NODE_API_SERVER_URL;
+  switch (type) {
+    case 'docker':
+      return new DockerProvisioner({ apiServerUrl });
+    case 'process':
+      return new ProcessProvisioner({ apiServerUrl: apiServerUrl || `http://localhost:${port}` });
+    case 'in-process':
+      return new InProcessProvisioner({ apiServerUrl: apiServerUrl || `http://localhost:${port}`, clock });
+    default:
+      throw new Error(`Unknown node provisioner: ${type}`);
+  }
+}
+
+module.exports = { DockerProvisioner, ProcessProvisioner, InProcessProvisioner, createProvisioner };
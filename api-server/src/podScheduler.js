@@ -1,19 +1,185 @@
+const path = require('path');
+const builtins = require('./schedulerPlugins');
+
 class PodScheduler {
-    constructor(nodeManager) {
+    constructor(nodeManager, options = {}) {
       this.nodeManager = nodeManager;
+      this.plugins = new Map();
+      this.strategies = new Map();
+      // Selection outcomes per strategy, e.g. { 'first-fit': { scheduled: 3, unschedulable: 1 } }
+      this.attempts = {};
+      this.defaultStrategy = options.strategy || process.env.SCHEDULER_STRATEGY || 'first-fit';
+
+      builtins.plugins.forEach(plugin => this.registerPlugin(plugin));
+      Object.entries(builtins.strategies).forEach(([name, strategy]) =>
+        this.registerStrategy(name, strategy));
+
+      const pluginPaths = options.pluginPaths ||
+        (process.env.SCHEDULER_PLUGINS || '').split(',').filter(Boolean);
+      pluginPaths.forEach(pluginPath => this.loadPlugins(pluginPath));
+
+      if (!this.strategies.has(this.defaultStrategy)) {
+        throw new Error(`Unknown scheduling strategy: ${this.defaultStrategy}`);
+      }
+    }
+
+    registerPlugin(plugin) {
+      if (!plugin || !plugin.name) {
+        throw new Error('Scheduler plugin must have a name');
+      }
+      if (typeof plugin.filter !== 'function' && typeof plugin.score !== 'function') {
+        throw new Error(`Scheduler plugin ${plugin.name} must implement filter or score`);
+      }
+      this.plugins.set(plugin.name, plugin);
+    }
+
+    // A strategy lists the filter plugins every node must pass and the
+    // weighted score plugins used to rank the survivors. A strategy with no
+    // scores picks the first feasible node.
+    registerStrategy(name, { filters = builtins.defaultFilters, scores = [] } = {}) {
+      const check = (pluginName, method) => {
+        const plugin = this.plugins.get(pluginName);
+        if (!plugin) {
+          throw new Error(`Strategy ${name} references unknown plugin ${pluginName}`);
+        }
+        if (typeof plugin[method] !== 'function') {
+          throw new Error(`Strategy ${name} uses plugin ${pluginName} as a ${method} plugin, but it has no ${method} function`);
+        }
+      };
+      filters.forEach(pluginName => check(pluginName, 'filter'));
+      scores.forEach(s => check(s.name, 'score'));
+      this.strategies.set(name, {
+        filters,
+        scores: scores.map(s => ({ name: s.name, weight: s.weight ?? 1 }))
+      });
+    }
+
+    // Plugin modules may export a plugin, an array of plugins,
+    // { plugins, strategies }, or a function that receives the scheduler.
+    loadPlugins(modulePath) {
+      const exported = require(path.resolve(modulePath));
+      if (typeof exported === 'function') {
+        exported(this);
+      } else if (Array.isArray(exported)) {
+        exported.forEach(plugin => this.registerPlugin(plugin));
+      } else if (exported.plugins || exported.strategies) {
+        (exported.plugins || []).forEach(plugin => this.registerPlugin(plugin));
+        Object.entries(exported.strategies || {}).forEach(([name, strategy]) =>
+          this.registerStrategy(name, strategy));
+      } else {
+        this.registerPlugin(exported);
+      }
+      console.log(`Loaded scheduler plugins from ${modulePath}`);
+    }
+
+    hasStrategy(name) {
+      return this.strategies.has(name);
+    }
+
+    setDefaultStrategy(name) {
+      if (!this.strategies.has(name)) {
+        throw new Error(`Unknown scheduling strategy: ${name}`);
+      }
+      this.defaultStrategy = name;
+    }
+
+    getConfiguration() {
+      return {
+        defaultStrategy: this.defaultStrategy,
+        strategies: Object.fromEntries(this.strategies),
+        plugins: [...this.plugins.values()].map(plugin => ({
+          name: plugin.name,
+          filter: typeof plugin.filter === 'function',
+          score: typeof plugin.score === 'function'
+        }))
+      };
+    }
+
+    getStrategy(pod) {
+      const strategyName = pod.scheduler || this.defaultStrategy;
+      const strategy = this.strategies.get(strategyName);
+      if (!strategy) {
+        throw new Error(`Unknown scheduling strategy: ${strategyName}`);
+      }
+      return strategy;
     }
-  
-    // First-fit algorithm (simplest approach)
-    schedulePod(cpuRequired) {
-      const nodes = this.nodeManager.getAvailableNodes();
-      
-      for (const [nodeId, node] of nodes) {
-        if (node.availableCores >= cpuRequired) {
-          return nodeId;
+
+    // Runs the pod's filter phase against a single node and returns true or
+    // the reason the node was rejected
+    filterNode(pod, node, context = { nodes: [node] }) {
+      for (const filterName of this.getStrategy(pod).filters) {
+        const result = this.plugins.get(filterName).filter(pod, node, context);
+        if (result !== true) {
+          return `${filterName}: ${result || 'rejected'}`;
         }
       }
-      return null; // No available nodes
+      return true;
+    }
+
+    // Runs the filter and score phases and reports why nodes were rejected
+    selectNode(pod) {
+      const strategyName = pod.scheduler || this.defaultStrategy;
+      const strategy = this.getStrategy(pod);
+
+      const nodes = [...this.nodeManager.nodes.values()];
+      const context = {
+        nodes,
+        maxCores: Math.max(0, ...nodes.map(n => n.cpuCores)),
+        maxMemory: Math.max(0, ...nodes.map(n => n.memory))
+      };
+
+      const rejected = {};
+      const feasible = nodes.filter(node => {
+        const result = this.filterNode(pod, node, context);
+        if (result !== true) {
+          rejected[node.id] = result;
+          return false;
+        }
+        return true;
+      });
+
+      let selected = null;
+      let bestScore = -Infinity;
+      const scores = {};
+      for (const node of feasible) {
+        const score = strategy.scores.reduce((sum, { name, weight }) =>
+          sum + weight * this.plugins.get(name).score(pod, node, context), 0);
+        scores[node.id] = score;
+        if (score > bestScore) {
+          bestScore = score;
+          selected = node.id;
+        }
+        if (strategy.scores.length === 0) break;
+      }
+
+      if (!this.attempts[strategyName]) {
+        this.attempts[strategyName] = { scheduled: 0, unschedulable: 0 };
+      }
+      this.attempts[strategyName][selected ? 'scheduled' : 'unschedulable']++;
+
+      return { nodeId: selected, strategy: strategyName, scores, rejected };
+    }
+
+    // Summarises a failed selection, e.g.
+    // "0/3 nodes available: 2 insufficient cpu, 1 node is failed"
+    describeFailure(result) {
+      const total = this.nodeManager.nodes.size;
+      if (total === 0) return '0/0 nodes available: no nodes in cluster';
+
+      const counts = {};
+      Object.values(result.rejected).forEach(reason => {
+        const message = reason.slice(reason.indexOf(': ') + 2);
+        counts[message] = (counts[message] || 0) + 1;
+      });
+      const details = Object.entries(counts)
+        .map(([message, count]) => `${count} ${message}`)
+        .join(', ');
+      return `0/${total} nodes available: ${details}`;
+    }
+
+    schedulePod(cpuRequired, memoryRequired = 0, spec = {}) {
+      return this.selectNode({ ...spec, cpuRequired, memoryRequired }).nodeId;
     }
   }
-  
-  module.exports = PodScheduler;
\ No newline at end of file
+
+  module.exports = PodScheduler;
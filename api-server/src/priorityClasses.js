@@ -0,0 +1,70 @@
+// Named pod priorities. Higher values are scheduled first and may preempt
+// lower-priority pods when the cluster is full.
+
+const { MemoryStateStore } = require('./stateStore');
+
+const BUILTIN_CLASSES = [
+  { name: 'cluster-critical', value: 1000000, description: 'Cluster infrastructure' },
+  { name: 'high', value: 1000, description: 'Latency sensitive services' },
+  { name: 'default', value: 0, description: 'Pods without a priority' },
+  { name: 'batch', value: -100, description: 'Batch work that may be preempted', preemptionPolicy: 'Never' }
+];
+
+const PREEMPTION_POLICIES = ['PreemptLowerPriority', 'Never'];
+
+const createPriorityClass = ({ name, value, description = '', preemptionPolicy = 'PreemptLowerPriority' }) =>
+  ({ name, value, description, preemptionPolicy });
+
+class PriorityClasses {
+  constructor(store = new MemoryStateStore()) {
+    this.store = store;
+    this.classes = new Map();
+    BUILTIN_CLASSES.forEach(priorityClass => this.classes.set(priorityClass.name, createPriorityClass(priorityClass)));
+    // Saved classes include any built-in ones that were overridden
+    store.load('priorityClass').forEach(priorityClass => this.classes.set(priorityClass.name, priorityClass));
+  }
+
+  set(spec) {
+    const priorityClass = createPriorityClass(spec);
+    this.classes.set(priorityClass.name, priorityClass);
+    this.store.put('priorityClass', priorityClass.name, priorityClass);
+    return priorityClass;
+  }
+
+  get(name) {
+    return this.classes.get(name);
+  }
+
+  list() {
+    return [...this.classes.values()].sort((a, b) => b.value - a.value);
+  }
+
+  // Works out a pod's priority from an explicit number or a class name.
+  // Returns { error } when neither is usable.
+  resolve({ priority, priorityClassName }) {
+    if (priorityClassName !== undefined) {
+      const priorityClass = this.classes.get(priorityClassName);
+      if (!priorityClass) {
+        return { error: `Unknown priority class: ${priorityClassName}` };
+      }
+      return {
+        priority: priorityClass.value,
+        priorityClassName,
+        preemptionPolicy: priorityClass.preemptionPolicy
+      };
+    }
+    if (priority !== undefined) {
+      if (!Number.isInteger(priority)) {
+        return { error: 'priority must be an integer' };
+      }
+      return { priority, priorityClassName: null, preemptionPolicy: 'PreemptLowerPriority' };
+    }
+    return {
+      priority: this.classes.get('default').value,
+      priorityClassName: 'default',
+      preemptionPolicy: this.classes.get('default').preemptionPolicy
+    };
+  }
+}
+
+module.exports = { PriorityClasses, PREEMPTION_POLICIES };
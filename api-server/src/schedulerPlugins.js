@@ -0,0 +1,141 @@
+const { matchesSelector, matchesExpression } = require('./labels');
+const { tolerates, formatTaint } = require('./taints');
+
+// Built-in scheduling plugins. A plugin has a name and may implement either
+// phase:
+//   filter(pod, node, context) -> true to keep the node, or a string/false
+//                                 explaining why the node was rejected
+//   score(pod, node, context)  -> number between 0 and 100, higher is better
+
+const NodeReady = {
+  name: 'NodeReady',
+  filter(pod, node) {
+    return node.status === 'healthy' || `node is ${node.status}`;
+  }
+};
+
+const NodeResourcesFit = {
+  name: 'NodeResourcesFit',
+  filter(pod, node) {
+    if (node.availableCores < pod.cpuRequired) {
+      return 'insufficient cpu';
+    }
+    if (node.availableMemory < (pod.memoryRequired || 0)) {
+      return 'insufficient memory';
+    }
+    return true;
+  }
+};
+
+// Keeps pods off nodes with NoSchedule or NoExecute taints they don't tolerate
+const TaintTolerationFilter = {
+  name: 'TaintTolerationFilter',
+  filter(pod, node) {
+    const untolerated = (node.taints || []).find(taint =>
+      taint.effect !== 'PreferNoSchedule' && !tolerates(pod.tolerations, taint));
+    return !untolerated || `node had untolerated taint ${formatTaint(untolerated)}`;
+  }
+};
+
+// Penalises nodes for each PreferNoSchedule taint the pod doesn't tolerate
+const TaintTolerationScore = {
+  name: 'TaintTolerationScore',
+  score(pod, node) {
+    const untolerated = (node.taints || []).filter(taint =>
+      taint.effect === 'PreferNoSchedule' && !tolerates(pod.tolerations, taint)).length;
+    return 100 / (1 + untolerated);
+  }
+};
+
+// Enforces the pod's nodeSelector and required affinity expressions
+const NodeAffinityFilter = {
+  name: 'NodeAffinityFilter',
+  filter(pod, node) {
+    if (!matchesSelector(node.labels, pod.nodeSelector)) {
+      return "node didn't match pod's node selector";
+    }
+    const required = pod.affinity?.required || [];
+    if (!required.every(expression => matchesExpression(node.labels, expression))) {
+      return "node didn't match pod's required affinity";
+    }
+    return true;
+  }
+};
+
+// Share of the pod's preferred affinity weight that the node satisfies
+const NodeAffinityScore = {
+  name: 'NodeAffinityScore',
+  score(pod, node) {
+    const preferred = pod.affinity?.preferred || [];
+    const total = preferred.reduce((sum, term) => sum + term.weight, 0);
+    if (total === 0) return 0;
+    const matched = preferred
+      .filter(term => matchesExpression(node.labels, term))
+      .reduce((sum, term) => sum + term.weight, 0);
+    return matched / total * 100;
+  }
+};
+
+// Share of the node's capacity that would still be free after placement,
+// averaged over CPU and memory
+const freeRatioAfter = (pod, node) => {
+  const cpu = node.cpuCores > 0 ? (node.availableCores - pod.cpuRequired) / node.cpuCores : 0;
+  const memory = node.memory > 0 ?
+    (node.availableMemory - (pod.memoryRequired || 0)) / node.memory : 0;
+  return (cpu + memory) / 2;
+};
+
+// Spread pods out: prefer the node with the most free capacity left
+const LeastAllocated = {
+  name: 'LeastAllocated',
+  score(pod, node) {
+    return freeRatioAfter(pod, node) * 100;
+  }
+};
+
+// Bin-pack: prefer the node that ends up with the highest allocation ratio
+const MostAllocated = {
+  name: 'MostAllocated',
+  score(pod, node) {
+    return (1 - freeRatioAfter(pod, node)) * 100;
+  }
+};
+
+// Prefer the node whose leftover cores and memory are smallest in absolute terms
+const BestFit = {
+  name: 'BestFit',
+  score(pod, node, context) {
+    const cpuLeft = node.availableCores - pod.cpuRequired;
+    const memoryLeft = node.availableMemory - (pod.memoryRequired || 0);
+    const cpu = context.maxCores > 0 ? 1 - cpuLeft / context.maxCores : 0;
+    const memory = context.maxMemory > 0 ? 1 - memoryLeft / context.maxMemory : 0;
+    return (cpu + memory) / 2 * 100;
+  }
+};
+
+const plugins = [
+  NodeReady, NodeResourcesFit, TaintTolerationFilter, NodeAffinityFilter,
+  TaintTolerationScore, NodeAffinityScore, LeastAllocated, MostAllocated, BestFit
+];
+
+// Node health is expressed through taints (see STATUS_TAINTS), so NodeReady is
+// only kept for custom strategies that still want to filter on status
+const defaultFilters = ['NodeResourcesFit', 'TaintTolerationFilter', 'NodeAffinityFilter'];
+
+// Every strategy honours preferred affinity and PreferNoSchedule taints; when
+// neither applies these scores are equal everywhere and first-fit still picks
+// the first feasible node
+const placement = [
+  { name: 'TaintTolerationScore', weight: 1 },
+  { name: 'NodeAffinityScore', weight: 1 }
+];
+
+const strategies = {
+  'first-fit': { filters: defaultFilters, scores: placement },
+  'best-fit': { filters: defaultFilters, scores: [...placement, { name: 'BestFit', weight: 1 }] },
+  'worst-fit': { filters: defaultFilters, scores: [...placement, { name: 'LeastAllocated', weight: 1 }] },
+  'spread': { filters: defaultFilters, scores: [...placement, { name: 'LeastAllocated', weight: 1 }] },
+  'most-allocated': { filters: defaultFilters, scores: [...placement, { name: 'MostAllocated', weight: 1 }] }
+};
+
+module.exports = { plugins, strategies, defaultFilters };
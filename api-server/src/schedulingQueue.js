@@ -0,0 +1,150 @@
+class SchedulingQueue {
+  constructor(nodeManager, podScheduler, eventRecorder) {
+    this.nodeManager = nodeManager;
+    this.podScheduler = podScheduler;
+    this.eventRecorder = eventRecorder;
+    this.retryScheduled = false;
+    this.preemptedPods = 0;
+
+    // Retry straight away when capacity frees up, and periodically as a fallback
+    this.nodeManager.on('capacity-changed', () => this.requestRetry());
+    this.retryInterval = nodeManager.clock.setInterval(
+      this.schedulePending.bind(this),
+      parseInt(process.env.PENDING_RETRY_INTERVAL) || 15000
+    );
+  }
+
+  // Coalesces bursts of capacity changes into a single scheduling pass
+  requestRetry() {
+    if (this.retryScheduled) return;
+    this.retryScheduled = true;
+    this.nodeManager.clock.setTimeout(() => {
+      this.retryScheduled = false;
+      this.schedulePending();
+    }, 0);
+  }
+
+  // Places a new pod, preempting lower-priority pods if it has to, or accepts
+  // it into the pending queue
+  submit(podId, cpuRequired, memoryRequired, spec = {}) {
+    const result = this.podScheduler.selectNode({ ...spec, cpuRequired, memoryRequired });
+    if (result.nodeId) {
+      const pod = this.nodeManager.addPod(result.nodeId, podId, cpuRequired, memoryRequired, spec);
+      if (pod) this.recordScheduled(pod, result.nodeId);
+      return pod;
+    }
+
+    const reason = this.podScheduler.describeFailure(result);
+    const pod = this.nodeManager.addPendingPod(podId, cpuRequired, memoryRequired, spec, reason);
+    if (!this.preempt(pod)) {
+      console.log(`Pod ${podId} is pending: ${reason}`);
+      this.eventRecorder.warning({ kind: 'pod', name: podId }, 'FailedScheduling', reason);
+    }
+    return pod;
+  }
+
+  recordScheduled(pod, nodeId) {
+    this.eventRecorder.normal({ kind: 'pod', name: pod.id }, 'Scheduled',
+      `Successfully assigned ${pod.id} to node ${nodeId}`);
+  }
+
+  // Looks for a node where evicting lower-priority pods makes room for this
+  // one. Nodes whose most important victim has the lowest priority win, then
+  // nodes with the fewest victims. Victims go back into the pending queue.
+  preempt(pod) {
+    if (pod.preemptionPolicy === 'Never') return false;
+
+    let best = null;
+    this.nodeManager.nodes.forEach(node => {
+      const candidates = Array.from(node.pods)
+        .map(podId => this.nodeManager.pods.get(podId))
+        .filter(candidate => candidate.priority < pod.priority);
+      if (candidates.length === 0) return;
+
+      // Would the pod fit if every lower-priority pod were gone?
+      let availableCores = candidates.reduce((sum, c) => sum + c.cpuRequired, node.availableCores);
+      let availableMemory = candidates.reduce((sum, c) => sum + c.memoryRequired, node.availableMemory);
+      if (this.podScheduler.filterNode(pod, { ...node, availableCores, availableMemory }) !== true) {
+        return;
+      }
+
+      // Reprieve the most important candidates for as long as the pod still fits
+      const victims = [];
+      candidates
+        .sort((a, b) => (b.priority - a.priority) || (a.createdAt - b.createdAt))
+        .forEach(candidate => {
+          if (availableCores - candidate.cpuRequired >= pod.cpuRequired &&
+              availableMemory - candidate.memoryRequired >= pod.memoryRequired) {
+            availableCores -= candidate.cpuRequired;
+            availableMemory -= candidate.memoryRequired;
+          } else {
+            victims.push(candidate);
+          }
+        });
+
+      const highestVictim = Math.max(...victims.map(victim => victim.priority));
+      if (!best || highestVictim < best.highestVictim ||
+          (highestVictim === best.highestVictim && victims.length < best.victims.length)) {
+        best = { nodeId: node.id, victims, highestVictim };
+      }
+    });
+
+    if (!best) return false;
+
+    const message = `Preempted by pod ${pod.id} (priority ${pod.priority}) on node ${best.nodeId}`;
+    best.victims.forEach(victim => {
+      this.requeue(victim.id, message);
+      this.eventRecorder.warning({ kind: 'pod', name: victim.id }, 'Preempted', message);
+      this.nodeManager.updatePod(victim.id, {
+        lastEviction: {
+          reason: 'Preempted',
+          message,
+          preemptor: pod.id,
+          preemptorPriority: pod.priority,
+          nodeId: best.nodeId,
+          timestamp: this.nodeManager.clock.date()
+        }
+      });
+    });
+    this.preemptedPods += best.victims.length;
+    this.nodeManager.bindPod(pod.id, best.nodeId);
+    this.nodeManager.updatePod(pod.id, { preemptedPods: best.victims.map(victim => victim.id) });
+    this.recordScheduled(pod, best.nodeId);
+
+    console.log(`Pod ${pod.id} preempted ${best.victims.length} pods on node ${best.nodeId}`);
+    // Victims may still fit on another node
+    this.requestRetry();
+    return true;
+  }
+
+  // Puts a pod that lost its node back in the queue
+  requeue(podId, reason) {
+    if (!this.nodeManager.unbindPod(podId, reason)) return false;
+    console.log(`Pod ${podId} returned to pending queue: ${reason}`);
+    return true;
+  }
+
+  schedulePending() {
+    const pending = this.nodeManager.getPendingPods();
+    let scheduled = 0;
+
+    pending.forEach(pod => {
+      const result = this.podScheduler.selectNode(pod);
+      if (result.nodeId && this.nodeManager.bindPod(pod.id, result.nodeId)) {
+        scheduled++;
+        console.log(`Pending pod ${pod.id} scheduled to node ${result.nodeId}`);
+        this.recordScheduled(pod, result.nodeId);
+      } else if (this.preempt(pod)) {
+        scheduled++;
+      } else {
+        const reason = this.podScheduler.describeFailure(result);
+        if (reason !== pod.pendingReason) this.nodeManager.updatePod(pod.id, { pendingReason: reason });
+        this.eventRecorder.warning({ kind: 'pod', name: pod.id }, 'FailedScheduling', reason);
+      }
+    });
+
+    return { scheduled, pending: pending.length - scheduled };
+  }
+}
+
+module.exports = SchedulingQueue;
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./clock');
+
+// Cluster state is kept as plain JSON records grouped by kind ('node', 'pod',
+// 'recovery', ...). Components write a record whenever they change one and
+// read their kind back on startup. Values are copied on write, so Dates come
+// back as ISO strings.
+class MemoryStateStore {
+  constructor() {
+    this.state = {};
+  }
+
+  load(kind) {
+    return Object.values(this.state[kind] || {});
+  }
+
+  put(kind, id, value) {
+    if (!this.state[kind]) this.state[kind] = {};
+    this.state[kind][id] = JSON.parse(JSON.stringify(value));
+  }
+
+  delete(kind, id) {
+    if (this.state[kind]) delete this.state[kind][id];
+  }
+
+  close() {}
+}
+
+// Appends every change to journal.log and periodically rewrites the whole
+// state into snapshot.json, which lets the journal start over. On startup the
+// snapshot is loaded and the journal replayed on top of it.
+class FileStateStore extends MemoryStateStore {
+  constructor(dir, options = {}) {
+    super();
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, 'snapshot.json');
+    this.journalPath = path.join(dir, 'journal.log');
+    this.maxJournalEntries = options.maxJournalEntries || 1000;
+    this.clock = options.clock || systemClock;
+    this.seq = 0;
+    this.journalEntries = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+    this.restore();
+    this.journal = fs.openSync(this.journalPath, 'a');
+
+    this.snapshotInterval = this.clock.setInterval(
+      this.snapshot.bind(this),
+      options.snapshotInterval || 60000
+    );
+  }
+
+  restore() {
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      this.state = snapshot.state;
+      this.seq = snapshot.seq;
+    }
+
+    if (fs.existsSync(this.journalPath)) {
+      const contents = fs.readFileSync(this.journalPath, 'utf8');
+      // Drop an unterminated last line so new entries start on a line of their own
+      if (contents && !contents.endsWith('\n')) {
+        fs.truncateSync(this.journalPath, Buffer.byteLength(contents.slice(0, contents.lastIndexOf('\n') + 1)));
+      }
+      const lines = contents.split('\n').filter(Boolean);
+      lines.forEach(line => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          // A crash mid-write can leave a torn last line
+          console.warn(`Skipping unreadable journal entry in ${this.journalPath}`);
+          return;
+        }
+        // Entries already folded into the snapshot are left over when a crash
+        // happened between writing the snapshot and truncating the journal
+        if (entry.seq <= this.seq) return;
+        this.apply(entry);
+        this.seq = entry.seq;
+        this.journalEntries++;
+      });
+    }
+
+    console.log(`State restored from ${this.dir} (sequence ${this.seq})`);
+  }
+
+  apply({ op, kind, id, value }) {
+    if (op === 'put') {
+      super.put(kind, id, value);
+    } else if (op === 'delete') {
+      super.delete(kind, id);
+    }
+  }
+
+  put(kind, id, value) {
+    super.put(kind, id, value);
+    this.append({ op: 'put', kind, id, value: this.state[kind][id] });
+  }
+
+  delete(kind, id) {
+    super.delete(kind, id);
+    this.append({ op: 'delete', kind, id });
+  }
+
+  append(entry) {
+    this.seq++;
+    fs.writeSync(this.journal, JSON.stringify({ seq: this.seq, ...entry }) + '\n');
+    this.journalEntries++;
+    if (this.journalEntries >= this.maxJournalEntries) {
+      this.snapshot();
+    }
+  }
+
+  snapshot() {
+    if (this.journalEntries === 0) return;
+
+    // Write to a temporary file first so a crash never leaves a partial snapshot
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ seq: this.seq, state: this.state }));
+    fs.renameSync(tmpPath, this.snapshotPath);
+    fs.ftruncateSync(this.journal, 0);
+    this.journalEntries = 0;
+  }
+
+  close() {
+    this.clock.clearInterval(this.snapshotInterval);
+    this.snapshot();
+    fs.closeSync(this.journal);
+  }
+}
+
+// STATE_STORE picks the backend: 'file' (the default) keeps state in
+// STATE_DIR, 'memory' keeps nothing across restarts
+function createStateStore(clock) {
+  const type = process.env.STATE_STORE || 'file';
+  switch (type) {
+    case 'file':
+      return new FileStateStore(process.env.STATE_DIR || path.join(__dirname, '..', 'data'), {
+        snapshotInterval: parseInt(process.env.STATE_SNAPSHOT_INTERVAL) || 60000,
+        clock
+      });
+    case 'memory':
+      return new MemoryStateStore();
+    default:
+      throw new Error(`Unknown state store: ${type}`);
+  }
+}
+
+module.exports = { MemoryStateStore, FileStateStore, createStateStore };
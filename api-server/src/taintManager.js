@@ -0,0 +1,47 @@
+const { tolerates, formatTaint } = require('./taints');
+
+// Evicts pods from nodes that receive a NoExecute taint they don't tolerate
+class TaintManager {
+  constructor(nodeManager, podScheduler, schedulingQueue, eventRecorder) {
+    this.nodeManager = nodeManager;
+    this.podScheduler = podScheduler;
+    this.schedulingQueue = schedulingQueue;
+    this.eventRecorder = eventRecorder;
+
+    this.nodeManager.on('node-tainted', ({ nodeId, taint }) => {
+      if (taint.effect === 'NoExecute') {
+        this.evictPods(nodeId, taint);
+      }
+    });
+  }
+
+  evictPods(nodeId, taint) {
+    const pods = this.nodeManager.getPodsOnNode(nodeId)
+      .filter(pod => !tolerates(pod.tolerations, taint));
+    if (pods.length === 0) return [];
+
+    console.log(`Evicting ${pods.length} pods from node ${nodeId} (taint ${formatTaint(taint)})`);
+
+    return pods.map(pod => {
+      const involvedObject = { kind: 'pod', name: pod.id };
+      this.eventRecorder.warning(involvedObject, 'Evicted',
+        `Evicted from node ${nodeId}: taint ${formatTaint(taint)} is not tolerated`);
+
+      const newNodeId = this.podScheduler.schedulePod(pod.cpuRequired, pod.memoryRequired, pod);
+      if (newNodeId && this.nodeManager.movePod(pod.id, nodeId, newNodeId)) {
+        console.log(`Pod ${pod.id} rescheduled to node ${newNodeId}`);
+        this.eventRecorder.normal(involvedObject, 'Rescheduled',
+          `Moved from node ${nodeId} to node ${newNodeId}`);
+        this.nodeManager.recordRecoveryOperation(pod.id, nodeId, newNodeId, 'COMPLETED');
+        return { podId: pod.id, fromNode: nodeId, toNode: newNodeId, status: 'COMPLETED' };
+      }
+
+      this.schedulingQueue.requeue(pod.id,
+        `Evicted from node ${nodeId} (taint ${formatTaint(taint)}) and no node has capacity`);
+      this.nodeManager.recordRecoveryOperation(pod.id, nodeId, null, 'PENDING');
+      return { podId: pod.id, fromNode: nodeId, toNode: null, status: 'PENDING' };
+    });
+  }
+}
+
+module.exports = TaintManager;
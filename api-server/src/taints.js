@@ -0,0 +1,93 @@
+// Taint and toleration helpers. A taint is { key, value, effect } and is
+// written as key=value:Effect (the value is optional).
+
+const EFFECTS = ['NoSchedule', 'PreferNoSchedule', 'NoExecute'];
+
+// Taints the cluster manages itself, keyed by the node status they stand for
+const STATUS_TAINTS = {
+  unhealthy: { key: 'kubesim.io/unreachable', value: '', effect: 'NoExecute' },
+  failed: { key: 'kubesim.io/failed', value: '', effect: 'NoExecute' },
+  draining: { key: 'kubesim.io/unschedulable', value: '', effect: 'NoSchedule' }
+};
+
+// Keeps new pods off nodes that keep dropping out (see HealthMonitor)
+const FLAPPING_TAINT = { key: 'kubesim.io/flapping', value: '', effect: 'NoSchedule' };
+
+const KEY_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9._/-]*[A-Za-z0-9])?$/;
+
+function parseTaint(input) {
+  if (typeof input !== 'string') return input;
+  const match = /^([^=:]+)(?:=([^:]*))?:(\w+)$/.exec(input);
+  if (!match) return { key: input, value: '', effect: undefined };
+  return { key: match[1], value: match[2] || '', effect: match[3] };
+}
+
+// Tolerations use the same syntax; key=value:Effect means operator Equal,
+// key:Effect or key means operator Exists, and an empty effect matches all
+function parseToleration(input) {
+  if (typeof input !== 'string') return input;
+  const [selector, effect] = input.split(':');
+  const [key, value] = selector.split('=');
+  return {
+    key,
+    operator: value === undefined ? 'Exists' : 'Equal',
+    value: value || '',
+    effect: effect || undefined
+  };
+}
+
+function formatTaint({ key, value, effect }) {
+  return `${key}${value ? `=${value}` : ''}:${effect}`;
+}
+
+function validateTaint(taint) {
+  if (!taint || typeof taint.key !== 'string' || !KEY_PATTERN.test(taint.key)) {
+    return `invalid taint key: ${taint?.key}`;
+  }
+  if (!EFFECTS.includes(taint.effect)) {
+    return `taint effect must be one of: ${EFFECTS.join(', ')}`;
+  }
+  return null;
+}
+
+function validateTolerations(tolerations) {
+  if (tolerations === undefined) return null;
+  if (!Array.isArray(tolerations)) return 'tolerations must be an array';
+  for (const toleration of tolerations) {
+    if (!toleration || typeof toleration !== 'object') return 'invalid toleration';
+    if (!['Equal', 'Exists'].includes(toleration.operator || 'Equal')) {
+      return 'toleration operator must be Equal or Exists';
+    }
+    if (toleration.effect && !EFFECTS.includes(toleration.effect)) {
+      return `toleration effect must be one of: ${EFFECTS.join(', ')}`;
+    }
+    // An empty key with Exists tolerates everything
+    if (!toleration.key && toleration.operator !== 'Exists') {
+      return 'tolerations without a key must use operator Exists';
+    }
+  }
+  return null;
+}
+
+function toleratesTaint(toleration, taint) {
+  if (toleration.effect && toleration.effect !== taint.effect) return false;
+  if (!toleration.key) return toleration.operator === 'Exists';
+  if (toleration.key !== taint.key) return false;
+  return toleration.operator === 'Exists' || (toleration.value || '') === (taint.value || '');
+}
+
+function tolerates(tolerations = [], taint) {
+  return tolerations.some(toleration => toleratesTaint(toleration, taint));
+}
+
+module.exports = {
+  EFFECTS,
+  STATUS_TAINTS,
+  FLAPPING_TAINT,
+  parseTaint,
+  parseToleration,
+  formatTaint,
+  validateTaint,
+  validateTolerations,
+  tolerates
+};
@@ -0,0 +1,58 @@
+// Keeps the resource usage nodes report in their heartbeats as a time series
+// per node and per pod. Samples older than USAGE_RETENTION are dropped, and
+// a series goes away with its node or pod.
+class UsageHistory {
+  constructor(nodeManager, options = {}) {
+    this.nodeManager = nodeManager;
+    this.retention = options.retention || parseInt(process.env.USAGE_RETENTION) || 3600000;
+    this.series = new Map();
+
+    this.nodeManager.on('resource-changed', ({ kind, type, object }) => {
+      if (type === 'DELETED') {
+        this.series.delete(`${kind}/${kind === 'node' ? object.nodeId : object.id}`);
+      }
+    });
+  }
+
+  // Stores a heartbeat parsed by parseHeartbeat
+  recordHeartbeat(nodeId, { system, pods }) {
+    const timestamp = this.nodeManager.clock.date();
+    const reported = Object.entries(pods).filter(([podId]) => this.nodeManager.pods.has(podId));
+
+    reported.forEach(([podId, { cpuUsage, memoryUsage }]) => {
+      this.record('pod', podId, { timestamp, nodeId, cpuUsage, memoryUsage });
+    });
+
+    this.record('node', nodeId, {
+      timestamp,
+      ...(system || {}),
+      podCount: reported.length,
+      podCpuUsage: reported.reduce((sum, [, pod]) => sum + (pod.cpuUsage || 0), 0),
+      podMemoryUsage: reported.reduce((sum, [, pod]) => sum + (pod.memoryUsage || 0), 0)
+    });
+  }
+
+  record(kind, id, sample) {
+    const key = `${kind}/${id}`;
+    if (!this.series.has(key)) this.series.set(key, []);
+    const samples = this.series.get(key);
+    samples.push(sample);
+
+    const expiry = new Date(sample.timestamp - this.retention);
+    while (samples.length > 0 && samples[0].timestamp < expiry) {
+      samples.shift();
+    }
+  }
+
+  latest(kind, id) {
+    const samples = this.series.get(`${kind}/${id}`);
+    return samples ? samples[samples.length - 1] : null;
+  }
+
+  query(kind, id, since) {
+    const samples = this.series.get(`${kind}/${id}`) || [];
+    return since ? samples.filter(sample => sample.timestamp >= since) : [...samples];
+  }
+}
+
+module.exports = UsageHistory;
@@ -0,0 +1,84 @@
+const { MemoryStateStore } = require('./stateStore');
+
+// Versions reserved in the state store at a time
+const VERSION_BLOCK = 1000;
+
+// Turns NodeManager changes into a stream of versioned watch events and keeps
+// a window of recent events so clients can resume where they left off
+class WatchCache {
+  constructor(nodeManager, store = new MemoryStateStore(), options = {}) {
+    this.nodeManager = nodeManager;
+    this.store = store;
+    this.historySize = options.historySize || parseInt(process.env.WATCH_HISTORY_SIZE) || 1000;
+    // Versions are handed out from blocks whose end is stored before any of
+    // them is used, so after a restart they carry on above every version
+    // clients have seen, even when the virtual clock starts over. The history
+    // does not survive a restart, and resuming from an earlier version is
+    // refused like any other expired version.
+    const reserved = store.load('watch').map(saved => saved.reservedUpTo);
+    this.resourceVersion = Math.max(nodeManager.clock.now(), ...reserved);
+    this.reserveVersions();
+    this.history = [];
+    this.watchers = new Set();
+
+    this.nodeManager.on('resource-changed', change => this.record(change));
+  }
+
+  reserveVersions() {
+    this.reservedUpTo = this.resourceVersion + VERSION_BLOCK;
+    this.store.put('watch', 'resourceVersion', { reservedUpTo: this.reservedUpTo });
+  }
+
+  record({ kind, type, object }) {
+    if (this.resourceVersion >= this.reservedUpTo) this.reserveVersions();
+    const event = {
+      kind,
+      type,
+      resourceVersion: ++this.resourceVersion,
+      // Copy now; the live object keeps changing after the event
+      object: JSON.parse(JSON.stringify(object))
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.watchers.forEach(watcher => {
+      if (watcher.kinds.includes(kind)) watcher.listener(event);
+    });
+  }
+
+  // Current objects as ADDED events at the current version, for watchers that
+  // start without a version
+  list(kinds) {
+    const events = [];
+    if (kinds.includes('node')) {
+      this.nodeManager.getNodes().forEach(object => events.push({ kind: 'node', object }));
+    }
+    if (kinds.includes('pod')) {
+      this.nodeManager.pods.forEach(pod =>
+        events.push({ kind: 'pod', object: this.nodeManager.describePod(pod) }));
+    }
+    return events.map(event => ({ ...event, type: 'ADDED', resourceVersion: this.resourceVersion }));
+  }
+
+  // Events after the given version, or null when some of them have already
+  // dropped out of the history
+  since(kinds, resourceVersion) {
+    const oldest = this.history.length > 0 ? this.history[0].resourceVersion : this.resourceVersion + 1;
+    if (resourceVersion < oldest - 1 || resourceVersion > this.resourceVersion) {
+      return null;
+    }
+    return this.history.filter(event =>
+      event.resourceVersion > resourceVersion && kinds.includes(event.kind));
+  }
+
+  // Returns a function that stops the watch
+  watch(kinds, listener) {
+    const watcher = { kinds, listener };
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+}
+
+module.exports = WatchCache;
@@ -0,0 +1,63 @@
+import { readFileSync } from 'fs';
+import { writeFile, mkdir } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The config file holds named contexts, one for each cluster the CLI talks to:
+//   {
+//     "currentContext": "local",
+//     "contexts": {
+//       "local": { "server": "http://localhost:5000", "token": "...", "namespace": "default" }
+//     }
+//   }
+// --context and --server beat CLUSTER_CLI_CONTEXT, CLUSTER_CLI_SERVER,
+// CLUSTER_CLI_TOKEN and CLUSTER_CLI_NAMESPACE, which beat the context.
+
+export const CONFIG_PATH = process.env.CLUSTER_CLI_CONFIG ||
+  path.join(os.homedir(), '.cluster-cli', 'config.json');
+
+export const DEFAULT_CONTEXT = 'default';
+export const DEFAULT_SERVER = 'http://localhost:5000';
+export const DEFAULT_NAMESPACE = 'default';
+
+export function readConfig() {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Invalid config file ${CONFIG_PATH}: ${err.message}`);
+    config = {};
+  }
+
+  // Config files from before contexts only hold a token
+  if (!config.contexts) {
+    const { token, ...rest } = config;
+    config = { ...rest, contexts: token ? { [DEFAULT_CONTEXT]: { token } } : {} };
+  }
+  return config;
+}
+
+export async function writeConfig(config) {
+  await mkdir(path.dirname(CONFIG_PATH), { recursive: true });
+  await writeFile(CONFIG_PATH, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+}
+
+// The server, token and namespace to use. Only the default context may be
+// missing from the config file, so a fresh install talks to a local cluster.
+export function resolveContext(config, { context, server } = {}, env = process.env) {
+  const name = context || env.CLUSTER_CLI_CONTEXT || config.currentContext || DEFAULT_CONTEXT;
+  const settings = config.contexts[name];
+  if (!settings && name !== DEFAULT_CONTEXT) {
+    throw new Error(`No context named ${name} in ${CONFIG_PATH}`);
+  }
+
+  return {
+    name,
+    server: (server || env.CLUSTER_CLI_SERVER || settings?.server || DEFAULT_SERVER).replace(/\/+$/, ''),
+    token: env.CLUSTER_CLI_TOKEN || settings?.token || null,
+    namespace: env.CLUSTER_CLI_NAMESPACE || settings?.namespace || DEFAULT_NAMESPACE
+  };
+}
+
+// Only the start of a token, so config output can be shared
+export const maskToken = token => token ? `${token.slice(0, 4)}...` : null;
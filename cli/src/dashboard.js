@@ -0,0 +1,317 @@
+import readline from 'readline';
+import { formatAge, formatLabels, formatTable, setServerTime } from './output.js';
+
+// top and the dashboard read the whole cluster on every refresh, or the pods
+// of one namespace. Requested CPU and memory are what the scheduler reserved
+// for pods; used is what the nodes and pods last reported in heartbeats, or -
+// when they haven't. Ages are measured on the server's clock, read from
+// /health with the snapshot.
+
+export async function fetchSnapshot(api, { namespace, podUsage = false } = {}) {
+  const [nodes, pods, recovery, health] = await Promise.all([
+    api.get('/nodes'),
+    api.get('/pods', { params: { namespace } }),
+    api.get('/recovery-status'),
+    api.get('/health')
+  ]);
+  setServerTime(health.data.timestamp);
+  const nodeMetrics = await Promise.all(nodes.data.nodes.map(node => fetchMetrics(api, `/nodes/${node.nodeId}`)));
+  const podMetrics = podUsage ?
+    await Promise.all(pods.data.pods.map(pod => pod.nodeId ? fetchPodMetrics(api, pod) : null)) : [];
+
+  return {
+    nodes: nodes.data.nodes.map((node, index) => ({ ...node, usage: usageOf(nodeMetrics[index]) })),
+    pods: pods.data.pods.map((pod, index) => ({ ...pod, usage: usageOf(podMetrics[index]) })),
+    recovery: recovery.data.operations,
+    fetchedAt: new Date().toISOString(),
+    serverTime: health.data.timestamp
+  };
+}
+
+// Null for a node or pod deleted since the list was read
+const fetchMetrics = (api, path, params) => api.get(`${path}/metrics`, { params }).then(response => response.data, () => null);
+
+const fetchPodMetrics = (api, pod) => fetchMetrics(api, `/pods/${pod.name}`, { namespace: pod.namespace });
+
+const usageOf = metrics => metrics?.reportedAt ?
+  { cpu: metrics.cpu.usage, memory: metrics.memory.usage, reportedAt: metrics.reportedAt } : null;
+
+const formatNumber = value => value === null || value === undefined ? '-' : String(Number(value.toFixed(2)));
+
+// e.g. [######----] for 6 of 10
+const formatBar = (used, total, width = 10) => {
+  const filled = total > 0 ? Math.min(Math.round((used / total) * width), width) : 0;
+  return `[${'#'.repeat(filled)}${'-'.repeat(width - filled)}]`;
+};
+
+const requestedCores = node => Number((node.cpuCores - node.availableCores).toFixed(3));
+const requestedMemory = node => node.memory - node.availableMemory;
+
+export const NODE_COLUMNS = [
+  ['NAME', node => node.nodeId],
+  ['STATUS', node => node.status],
+  ['CPU', node => `${formatBar(requestedCores(node), node.cpuCores)} ${requestedCores(node)}/${node.cpuCores}`],
+  ['CPU USED', node => formatNumber(node.usage?.cpu)],
+  ['MEMORY', node => `${formatBar(requestedMemory(node), node.memory)} ${requestedMemory(node)}/${node.memory}MB`],
+  ['MEMORY USED', node => node.usage ? `${formatNumber(node.usage.memory)}MB` : '-'],
+  ['PODS', node => node.podCount],
+  ['HEARTBEAT', node => formatAge(node.lastHeartbeat)]
+];
+
+export const POD_COLUMNS = [
+  ['NAME', pod => pod.name],
+  ['NAMESPACE', pod => pod.namespace],
+  ['NODE', pod => pod.nodeId],
+  ['STATUS', pod => pod.status],
+  ['CPU', pod => pod.cpuRequired],
+  ['CPU USED', pod => formatNumber(pod.usage?.cpu)],
+  ['MEMORY', pod => `${pod.memoryRequired}MB`],
+  ['MEMORY USED', pod => pod.usage ? `${formatNumber(pod.usage.memory)}MB` : '-'],
+  ['AGE', pod => formatAge(pod.createdAt)]
+];
+
+// Busiest first: by reported usage, then by what they requested
+export const byCpu = (a, b) =>
+  (b.usage?.cpu ?? -1) - (a.usage?.cpu ?? -1) || b.cpuRequired - a.cpuRequired;
+
+const PENDING_COLUMNS = [
+  ['NAME', pod => pod.name],
+  ['NAMESPACE', pod => pod.namespace],
+  ['CPU', pod => pod.cpuRequired],
+  ['MEMORY', pod => `${pod.memoryRequired}MB`],
+  ['WAITING', pod => formatAge(pod.pendingSince || pod.createdAt)],
+  ['REASON', pod => pod.pendingReason]
+];
+
+const RECOVERY_COLUMNS = [
+  ['POD', op => op.podId],
+  ['STATUS', op => op.status],
+  ['FROM', op => op.fromNode],
+  ['TO', op => op.toNode || 'Not yet assigned'],
+  ['AGE', op => formatAge(op.timestamp)]
+];
+
+const EVENT_COLUMNS = [
+  ['LAST SEEN', event => formatAge(event.lastTimestamp)],
+  ['TYPE', event => event.type],
+  ['REASON', event => event.reason],
+  ['MESSAGE', event => event.message]
+];
+
+// Rows each of the pending pods and recovery sections get at most
+const SECTION_ROWS = 5;
+
+const ESC = '\x1b[';
+const BOLD = '1';
+const INVERSE = '7';
+const styled = (text, style) => ({ text, style });
+
+// Full-screen view of the cluster that refreshes itself. Up and down pick a
+// node, enter shows its pods, usage and events, escape goes back.
+export class Dashboard {
+  constructor(api, { interval = 2000, title = '', input = process.stdin, output = process.stdout } = {}) {
+    this.api = api;
+    this.interval = interval;
+    this.title = title;
+    this.input = input;
+    this.output = output;
+    this.snapshot = null;
+    this.error = null;
+    this.selected = 0;
+    // { nodeId, pods, events } while showing one node
+    this.detail = null;
+  }
+
+  // Resolves once the user quits
+  run() {
+    return new Promise(resolve => {
+      this.done = resolve;
+      this.onKeypress = (str, key) => this.handleKey(key || {});
+      this.onResize = () => this.draw();
+
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.onKeypress);
+      this.input.resume();
+      this.output.on('resize', this.onResize);
+      // Alternate screen, so the terminal is left as it was
+      this.output.write(`${ESC}?1049h${ESC}?25l`);
+
+      this.refresh();
+      this.timer = setInterval(() => this.refresh(), this.interval);
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    clearInterval(this.timer);
+    this.input.off('keypress', this.onKeypress);
+    this.input.setRawMode(false);
+    this.input.pause();
+    this.output.off('resize', this.onResize);
+    this.output.write(`${ESC}?25h${ESC}?1049l`);
+    this.done();
+  }
+
+  async refresh() {
+    // Keys and the timer can ask for a refresh while one is under way
+    if (this.refreshing) {
+      this.refreshAgain = true;
+      return;
+    }
+    this.refreshing = true;
+    try {
+      this.snapshot = await fetchSnapshot(this.api);
+      this.selected = Math.min(this.selected, Math.max(this.snapshot.nodes.length - 1, 0));
+      if (this.detail) await this.refreshDetail();
+      this.error = null;
+    } catch (err) {
+      this.error = err.response?.data?.error || err.message;
+    } finally {
+      this.refreshing = false;
+    }
+    this.draw();
+    if (this.refreshAgain) {
+      this.refreshAgain = false;
+      this.refresh();
+    }
+  }
+
+  async refreshDetail() {
+    const { nodeId } = this.detail;
+    const pods = this.snapshot.pods.filter(pod => pod.nodeId === nodeId);
+    const [metrics, events] = await Promise.all([
+      Promise.all(pods.map(pod => fetchPodMetrics(this.api, pod))),
+      this.api.get('/events', { params: { kind: 'node', name: nodeId } })
+    ]);
+    // Still showing the same node once the requests come back
+    if (this.detail?.nodeId !== nodeId) return;
+    this.detail = {
+      nodeId,
+      pods: pods.map((pod, index) => ({ ...pod, usage: usageOf(metrics[index]) })).sort(byCpu),
+      events: events.data.events
+    };
+  }
+
+  handleKey(key) {
+    if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
+      this.stop();
+      return;
+    }
+    if (key.name === 'r') {
+      this.refresh();
+      return;
+    }
+
+    if (this.detail) {
+      if (['escape', 'backspace', 'left', 'b'].includes(key.name)) {
+        this.detail = null;
+        this.draw();
+      }
+      return;
+    }
+
+    const nodes = this.snapshot?.nodes || [];
+    if (key.name === 'up' || key.name === 'k') {
+      this.selected = Math.max(this.selected - 1, 0);
+    } else if (key.name === 'down' || key.name === 'j') {
+      this.selected = Math.min(this.selected + 1, Math.max(nodes.length - 1, 0));
+    } else if ((key.name === 'return' || key.name === 'right') && nodes[this.selected]) {
+      this.detail = { nodeId: nodes[this.selected].nodeId, pods: [], events: [] };
+      this.refresh();
+    }
+    this.draw();
+  }
+
+  draw() {
+    // A refresh can finish after the user quit
+    if (this.stopped) return;
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+    const status = this.error ? `error: ${this.error}` :
+      this.snapshot ? `updated ${new Date(this.snapshot.fetchedAt).toLocaleTimeString()}` : 'loading';
+    const header = styled(`Cluster dashboard${this.title ? ` - ${this.title}` : ''}   ${status}`, BOLD);
+    const footer = this.detail ? 'esc back   r refresh   q quit' : 'up/down select   enter node details   r refresh   q quit';
+
+    const body = !this.snapshot ? [] : this.detail ? this.nodeLines(height - 2) : this.overviewLines(height - 2);
+    const lines = [header, ...body.slice(0, height - 2)];
+    while (lines.length < height - 1) lines.push('');
+    lines.push(styled(footer, INVERSE));
+
+    const fit = text => text.length > width ? text.slice(0, width) : text.padEnd(width);
+    this.output.write(`${ESC}H` + lines.map(line => typeof line === 'string' ? fit(line) :
+      `${ESC}${line.style}m${fit(line.text)}${ESC}0m`).join('\n'));
+  }
+
+  overviewLines(rows) {
+    const { nodes, pods, recovery } = this.snapshot;
+    const totalCores = nodes.reduce((sum, node) => sum + node.cpuCores, 0);
+    const usedCores = nodes.reduce((sum, node) => sum + requestedCores(node), 0);
+    const totalMemory = nodes.reduce((sum, node) => sum + node.memory, 0);
+    const usedMemory = nodes.reduce((sum, node) => sum + requestedMemory(node), 0);
+    const pending = pods.filter(pod => !pod.nodeId);
+
+    const summary = [
+      `Nodes ${nodes.filter(node => node.status === 'healthy').length}/${nodes.length} healthy`,
+      `Pods ${pods.filter(pod => pod.status === 'running').length} running, ${pending.length} pending`,
+      `CPU ${formatBar(usedCores, totalCores)} ${Number(usedCores.toFixed(3))}/${totalCores} cores`,
+      `Memory ${formatBar(usedMemory, totalMemory)} ${usedMemory}/${totalMemory}MB`
+    ].join('   ');
+
+    const section = (title, items, columns, empty) => [
+      '',
+      styled(`${title} (${items.length})`, BOLD),
+      ...(items.length === 0 ? [`  ${empty}`] :
+        formatTable(items.slice(0, SECTION_ROWS), columns).map(line => `  ${line}`)),
+      ...(items.length > SECTION_ROWS ? [`  ... and ${items.length - SECTION_ROWS} more`] : [])
+    ];
+    const bottom = [
+      ...section('PENDING PODS', pending, PENDING_COLUMNS, 'None'),
+      ...section('RECOVERY', recovery, RECOVERY_COLUMNS, 'No active recovery operations')
+    ];
+
+    const top = [summary, '', styled(`NODES (${nodes.length})`, BOLD)];
+    if (nodes.length === 0) return [...top, '  No nodes in the cluster', ...bottom];
+
+    // Scrolls the node table so the selected node stays in view
+    const [tableHeader, ...nodeRows] = formatTable(nodes, NODE_COLUMNS);
+    const visible = Math.max(rows - top.length - 1 - bottom.length, 3);
+    const first = Math.max(this.selected - visible + 1, 0);
+    return [
+      ...top,
+      `  ${tableHeader}`,
+      ...nodeRows.slice(first, first + visible).map((row, index) =>
+        first + index === this.selected ? styled(`> ${row}`, INVERSE) : `  ${row}`),
+      ...bottom
+    ];
+  }
+
+  nodeLines(rows) {
+    const { nodeId, pods, events } = this.detail;
+    const node = this.snapshot.nodes.find(candidate => candidate.nodeId === nodeId);
+    if (!node) return [styled(`Node ${nodeId}`, BOLD), 'The node no longer exists'];
+
+    const top = [
+      styled(`Node ${nodeId}`, BOLD),
+      `Status: ${node.status}   Heartbeat: ${node.lastHeartbeat ? `${formatAge(node.lastHeartbeat)} ago` : 'never'}   Pods: ${node.podCount}`,
+      `Labels: ${formatLabels(node.labels)}   Taints: ${node.taints.join(',') || '<none>'}`,
+      `CPU     ${formatBar(requestedCores(node), node.cpuCores)} ${requestedCores(node)}/${node.cpuCores} cores ` +
+        `requested, ${formatNumber(node.usage?.cpu)} in use`,
+      `Memory  ${formatBar(requestedMemory(node), node.memory)} ${requestedMemory(node)}/${node.memory}MB ` +
+        `requested, ${node.usage ? `${formatNumber(node.usage.memory)}MB` : '-'} in use`,
+      '',
+      styled(`PODS (${pods.length})`, BOLD),
+      ...(pods.length === 0 ? ['  None'] :
+        formatTable(pods, POD_COLUMNS.filter(([header]) => header !== 'NODE')).map(line => `  ${line}`))
+    ];
+    // Events get whatever room the pods leave
+    const room = Math.max(rows - top.length - 2, 1);
+    return [
+      ...top,
+      '',
+      styled('EVENTS', BOLD),
+      ...(events.length === 0 ? ['  None'] :
+        formatTable(events.slice(0, room - 1), EVENT_COLUMNS).map(line => `  ${line}`))
+    ];
+  }
+}
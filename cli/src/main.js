@@ -1,15 +1,59 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
+import { readFile } from 'fs/promises';
+import { Command, InvalidArgumentError } from 'commander';
 import axios from 'axios';
 import inquirer from 'inquirer';
+import { readManifests, planChanges, planDeletions, applyChange, formatChange } from './manifests.js';
+import { render, parseOutputFormat, formatAge, formatLabels, setServerTime, OUTPUT_FORMATS } from './output.js';
+import { fetchSnapshot, byCpu, Dashboard, NODE_COLUMNS, POD_COLUMNS } from './dashboard.js';
+import { CONFIG_PATH, DEFAULT_CONTEXT, readConfig, writeConfig, resolveContext, maskToken } from './config.js';
 
 const program = new Command();
-const API_SERVER_URL = 'http://localhost:5000';
+
+// The cluster the command talks to; set from the context (see config.js) once
+// the global options are parsed
+let API_SERVER_URL;
+let context;
 
 program
   .name('cluster-cli')
   .description('CLI for managing the distributed cluster')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-o, --output <format>', `Output format: ${OUTPUT_FORMATS.join(', ')}`, value => {
+    try {
+      return parseOutputFormat(value);
+    } catch (err) {
+      throw new InvalidArgumentError(err.message);
+    }
+  }, { format: 'table' })
+  .option('--context <name>', 'Context from the config file to use')
+  .option('--server <url>', 'API server URL, instead of the context\'s')
+  .hook('preAction', () => {
+    try {
+      context = resolveContext(readConfig(), program.opts());
+    } catch (err) {
+      program.error(`error: ${err.message}`);
+    }
+    API_SERVER_URL = context.server;
+    if (context.token) axios.defaults.headers.common.Authorization = `Bearer ${context.token}`;
+  });
+
+// Every response carries the server's time, so ages come out right even when
+// the cluster runs on a simulated clock
+axios.interceptors.response.use(response => {
+  if (response.headers['x-cluster-time']) setServerTime(response.headers['x-cluster-time']);
+  return response;
+});
+
+// Prints a command's result in the format picked with -o (see output.js)
+const emit = (result, options) => render(result, program.opts().output, options);
+
+// Progress notes go to stderr when scripts read the output
+const progress = (...args) =>
+  (['table', 'wide'].includes(program.opts().output.format) ? console.log : console.error)(...args);
+
+// For the modules that make their own requests, such as manifests.js
+const apiClient = () => axios.create({ baseURL: API_SERVER_URL });
 
 // Helper function for consistent error handling
 const handleError = (err) => {
@@ -19,15 +63,142 @@ const handleError = (err) => {
     err.message || 
     'Unknown error occurred'
   );
+  if (err.response?.status === 401) {
+    console.error(`Set an API token for context ${context.name} with "cluster-cli config set-token <token>" ` +
+      'or CLUSTER_CLI_TOKEN');
+  }
   if (err.response) {
     console.debug('Response status:', err.response.status);
     console.debug('Response data:', err.response.data);
   }
+  process.exitCode = 1;
+};
+
+// Collects repeated --label key=value options into an object
+const collectLabel = (value, labels = {}) => {
+  const [key, ...rest] = value.split('=');
+  if (!key || rest.length === 0) {
+    throw new Error(`Invalid label "${value}", expected key=value`);
+  }
+  return { ...labels, [key]: rest.join('=') };
+};
+
+const collectList = (value, list = []) => [...list, value];
+
+// The namespace list commands show: -n, else the context's, or every one with -A
+const listNamespace = options => options.allNamespaces ? undefined : options.namespace || context.namespace;
+
+const parseInterval = value => {
+  const seconds = parseFloat(value);
+  if (!(seconds > 0)) throw new InvalidArgumentError('Expected a number of seconds above 0');
+  return seconds;
+};
+
+const withoutUndefined = object =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const formatEvent = event =>
+  `${new Date(event.lastTimestamp).toLocaleString()}  ${event.type.padEnd(7)}  ${event.reason}` +
+  `${event.count > 1 ? ` (x${event.count})` : ''}: ${event.message}`;
+
+const formatLogLine = line => `[${new Date(line.timestamp).toISOString()}] ${line.message}`;
+
+// Prints the selected log lines of a node or pod; with follow, keeps printing
+// new lines until interrupted or the node or pod is deleted
+const showLogs = async (path, options, query = {}) => {
+  const params = { ...query, tail: options.tail, since: options.since };
+  if (!options.follow) {
+    const response = await axios.get(`${API_SERVER_URL}${path}`, { params });
+    emit({
+      data: response.data,
+      print: () => response.data.logs.forEach(line => console.log(formatLogLine(line)))
+    });
+    return;
+  }
+
+  const response = await axios.get(`${API_SERVER_URL}${path}`, {
+    params: { ...params, follow: true },
+    responseType: 'stream'
+  });
+  response.data.setEncoding('utf8');
+  let buffer = '';
+  for await (const chunk of response.data) {
+    buffer += chunk;
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    messages.forEach(message => {
+      const lines = message.split('\n');
+      const data = lines.find(line => line.startsWith('data: '));
+      if (!data) return;
+      const payload = JSON.parse(data.slice('data: '.length));
+      if (lines.includes('event: end')) {
+        console.error(payload.message);
+      } else {
+        emit({ data: payload, print: () => console.log(formatLogLine(payload)) }, { stream: true });
+      }
+    });
+  }
+};
+
+// Errors of streamed responses arrive as a stream too
+const logsError = async err => {
+  if (err.response?.data?.on) {
+    let body = '';
+    for await (const chunk of err.response.data) body += chunk;
+    try {
+      return JSON.parse(body);
+    } catch {
+      return { error: body };
+    }
+  }
+  return err.response?.data || { error: err.message };
+};
+
+// Follows a Server-Sent Events watch stream until interrupted, reconnecting
+// from the last version seen. An expired version starts over with a new list.
+const watchResources = async (path, onEvent) => {
+  let resourceVersion;
+  for (;;) {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}${path}`, {
+        params: resourceVersion === undefined ? {} : { resourceVersion },
+        responseType: 'stream'
+      });
+
+      response.data.setEncoding('utf8');
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const data = message.split('\n').find(line => line.startsWith('data: '));
+          if (!data) return;
+          const event = JSON.parse(data.slice('data: '.length));
+          resourceVersion = event.resourceVersion;
+          onEvent(event);
+        });
+      }
+      console.error('Watch closed by server, reconnecting...');
+    } catch (err) {
+      if (err.response?.status === 410) {
+        console.error('Watch expired, listing again...');
+        resourceVersion = undefined;
+        continue;
+      }
+      if (err.response) throw err;
+      console.error(`Connection lost (${err.code || err.message}), reconnecting...`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
 };
 
 program.command('add-node')
   .description('Add a new node to the cluster')
   .option('-c, --cpu-cores <number>', 'Number of CPU cores')
+  .option('-m, --memory <mb>', 'Memory capacity in MB')
+  .option('-l, --label <key=value>', 'Node label (repeatable)', collectLabel)
+  .option('-t, --taint <key=value:Effect>', 'Node taint (repeatable)', collectList)
   .action(async (options) => {
     try {
       const cpuCores = options.cpuCores || (await inquirer.prompt([
@@ -41,13 +212,25 @@ program.command('add-node')
       ])).cpuCores;
 
       const response = await axios.post(`${API_SERVER_URL}/nodes`, {
-        cpu_cores: cpuCores || 1
+        cpu_cores: cpuCores || 1,
+        memory_mb: options.memory ? parseInt(options.memory) : undefined,
+        labels: options.label,
+        taints: options.taint
       });
 
-      console.log('Node added successfully:');
-      console.log(`ID: ${response.data.node_id || 'unknown-id'}`);
-      console.log(`CPU Cores: ${response.data.cpu_cores || cpuCores || 1}`);
-      console.log(`Status: ${response.data.status || 'active'}`);
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: node => node.node_id,
+        print: node => {
+          console.log('Node added successfully:');
+          console.log(`ID: ${node.node_id}`);
+          console.log(`CPU Cores: ${node.cpu_cores}`);
+          console.log(`Memory: ${node.memory_mb} MB`);
+          console.log(`Labels: ${formatLabels(node.labels)}`);
+          console.log(`Taints: ${node.taints.join(',') || '<none>'}`);
+        }
+      });
     } catch (err) {
       handleError(err);
     }
@@ -55,26 +238,39 @@ program.command('add-node')
 
 program.command('list-nodes')
   .description('List all nodes in the cluster')
-  .action(async () => {
+  .option('-w, --watch', 'Stream node changes after listing them')
+  .action(async (options) => {
     try {
-      const response = await axios.get(`${API_SERVER_URL}/nodes`);
-      
-      const nodes = Array.isArray(response.data) 
-        ? response.data 
-        : response.data?.nodes || [];
-
-      if (nodes.length === 0) {
-        console.log('No nodes in the cluster');
+      if (options.watch) {
+        await watchResources('/nodes?watch=true', event => emit({
+          kind: 'node',
+          data: event,
+          name: ({ object }) => object.nodeId,
+          print: ({ type, object: node }) => console.log(`${type.padEnd(9)} ${node.nodeId}  status=${node.status}  ` +
+            `cpu=${node.availableCores}/${node.cpuCores}  pods=${node.podCount}`)
+        }, { stream: true }));
         return;
       }
 
-      console.log('Cluster Nodes:');
-      nodes.forEach(node => {
-        console.log(`ID: ${node.nodeId || node.node_id || 'unknown-id'}`);
-        console.log(`CPU Cores: ${node.cpuCores || node.cpu_cores || 0} (Available: ${node.availableCores || node.available_cores || 0})`);
-        console.log(`Status: ${node.status || 'unknown'}`);
-        console.log(`Last Heartbeat: ${node.lastHeartbeat || node.last_heartbeat || 'never'}`);
-        console.log('-'.repeat(40));
+      const response = await axios.get(`${API_SERVER_URL}/nodes`);
+      emit({
+        kind: 'node',
+        data: response.data,
+        items: response.data.nodes,
+        name: node => node.nodeId,
+        empty: 'No nodes in the cluster',
+        columns: [
+          ['NAME', node => node.nodeId],
+          ['STATUS', node => node.status],
+          ['CPU', node => `${node.availableCores}/${node.cpuCores}`],
+          ['MEMORY', node => `${node.availableMemory}/${node.memory}MB`],
+          ['PODS', node => node.podCount],
+          ['HEARTBEAT', node => formatAge(node.lastHeartbeat)]
+        ],
+        wideColumns: [
+          ['LABELS', node => formatLabels(node.labels)],
+          ['TAINTS', node => node.taints.join(',')]
+        ]
       });
     } catch (err) {
       handleError(err);
@@ -84,18 +280,52 @@ program.command('list-nodes')
 program.command('launch-pod')
   .description('Launch a new pod')
   .requiredOption('-c, --cpu-required <number>', 'CPU cores required')
+  .option('-m, --memory-required <mb>', 'Memory required in MB')
+  .option('-s, --scheduler <strategy>', 'Scheduling strategy for this pod')
+  .option('-l, --label <key=value>', 'Pod label (repeatable)', collectLabel)
+  .option('--node-selector <key=value>', 'Only run on nodes with this label (repeatable)', collectLabel)
+  .option('--affinity <json>', 'Node affinity, e.g. {"preferred":[{"weight":50,"key":"zone","operator":"In","values":["a"]}]}', JSON.parse)
+  .option('--toleration <key=value:Effect>', 'Tolerate a node taint (repeatable)', collectList)
+  .option('-p, --priority <number>', 'Pod priority (higher may preempt lower)')
+  .option('--priority-class <name>', 'Named priority class')
+  .option('-n, --namespace <name>', 'Namespace for the pod (default: the context\'s)')
   .action(async (options) => {
     try {
-      const cpuRequired = parseInt(options.cpuRequired) || 1;
       const response = await axios.post(`${API_SERVER_URL}/pods`, {
-        cpu_required: cpuRequired
+        namespace: options.namespace || context.namespace,
+        cpu_required: parseFloat(options.cpuRequired),
+        memory_required: options.memoryRequired ? parseInt(options.memoryRequired) : undefined,
+        scheduler: options.scheduler,
+        labels: options.label,
+        nodeSelector: options.nodeSelector,
+        affinity: options.affinity,
+        tolerations: options.toleration,
+        priority: options.priority !== undefined ? parseInt(options.priority) : undefined,
+        priorityClassName: options.priorityClass
       });
 
-      console.log('Pod launched:');
-      console.log(`ID: ${response.data.pod_id || 'unknown-id'}`);
-      console.log(`Node: ${response.data.node_id || 'unassigned'}`);
-      console.log(`CPU: ${response.data.cpu_required || cpuRequired}`);
-      console.log(`Status: ${response.data.status || 'pending'}`);
+      emit({
+        kind: 'pod',
+        data: response.data,
+        name: pod => pod.name,
+        print: pod => {
+          console.log('Pod launched:');
+          console.log(`Name: ${pod.name}`);
+          console.log(`Namespace: ${pod.namespace}`);
+          console.log(`Node: ${pod.node_id || 'unassigned'}`);
+          console.log(`CPU: ${pod.cpu_required}`);
+          console.log(`Memory: ${pod.memory_required} MB`);
+          console.log(`Scheduler: ${pod.scheduler}`);
+          console.log(`Status: ${pod.status || 'pending'}`);
+          console.log(`Priority: ${pod.priority}`);
+          if (pod.reason) {
+            console.log(`Reason: ${pod.reason}`);
+          }
+          if (pod.preemptedPods?.length > 0) {
+            console.log(`Preempted: ${pod.preemptedPods.join(', ')}`);
+          }
+        }
+      });
     } catch (err) {
       handleError(err);
     }
@@ -103,151 +333,398 @@ program.command('launch-pod')
 
 program.command('list-pods')
   .description('List all pods in the cluster')
-  .action(async () => {
+  .option('-w, --watch', 'Stream pod changes after listing them')
+  .option('-n, --namespace <name>', 'Only list pods in this namespace (default: the context\'s)')
+  .option('-A, --all-namespaces', 'List pods in every namespace')
+  .action(async (options) => {
     try {
-      const response = await axios.get(`${API_SERVER_URL}/pods`);
-      
-      let pods = [];
-      if (Array.isArray(response.data)) {
-        if (response.data.length > 0 && Array.isArray(response.data[0])) {
-          // Nested array format: [ [id, {details}], ... ]
-          pods = response.data.map(podEntry => ({
-            id: podEntry[0] || 'unknown-id',
-            nodeId: podEntry[1]?.nodeId || podEntry[1]?.node_id || 'unassigned',
-            cpuRequired: podEntry[1]?.cpuRequired || podEntry[1]?.cpu_required || 0,
-            status: podEntry[1]?.status || 'pending',
-            createdAt: podEntry[1]?.createdAt || new Date().toISOString(),
-            uptime: podEntry[1]?.uptime || '0s'
-          }));
-        } else {
-          // Flat array format
-          pods = response.data.map(pod => ({
-            id: pod.id || pod.pod_id || 'unknown-id',
-            nodeId: pod.nodeId || pod.node_id || 'unassigned',
-            cpuRequired: pod.cpuRequired || pod.cpu_required || 0,
-            status: pod.status || 'pending',
-            createdAt: pod.createdAt || new Date().toISOString(),
-            uptime: pod.uptime || '0s'
-          }));
-        }
-      } else if (response.data?.pods) {
-        // Object with pods array
-        pods = response.data.pods.map(pod => ({
-          id: pod.id || pod.pod_id || 'unknown-id',
-          nodeId: pod.nodeId || pod.node_id || 'unassigned',
-          cpuRequired: pod.cpuRequired || pod.cpu_required || 0,
-          status: pod.status || 'pending',
-          createdAt: pod.createdAt || new Date().toISOString(),
-          uptime: pod.uptime || '0s'
-        }));
-      }
-
-      if (pods.length === 0) {
-        console.log('No pods in the cluster');
+      const namespace = listNamespace(options);
+      if (options.watch) {
+        await watchResources('/pods?watch=true', event => {
+          if (namespace && event.object.namespace !== namespace) return;
+          emit({
+            kind: 'pod',
+            data: event,
+            name: ({ object }) => object.name,
+            print: ({ type, object: pod }) => console.log(`${type.padEnd(9)} ${pod.name}  namespace=${pod.namespace}  ` +
+              `node=${pod.nodeId || 'unassigned'}  status=${pod.status}`)
+          }, { stream: true });
+        });
         return;
       }
-      
-      console.log('Cluster Pods:');
-      pods.forEach(pod => {
-        console.log(`ID: ${pod.id}`);
-        console.log(`Node: ${pod.nodeId}`);
-        console.log(`CPU: ${pod.cpuRequired} cores`);
-        console.log(`Status: ${pod.status}`);
-        console.log(`Uptime: ${pod.uptime}`);
-        console.log(`Created: ${new Date(pod.createdAt).toLocaleString()}`);
-        console.log('-'.repeat(40));
+
+      const response = await axios.get(`${API_SERVER_URL}/pods`, {
+        params: { namespace }
+      });
+      emit({
+        kind: 'pod',
+        data: response.data,
+        items: response.data.pods,
+        name: pod => pod.name,
+        empty: namespace ? `No pods in namespace ${namespace}` : 'No pods in the cluster',
+        columns: [
+          ['NAME', pod => pod.name],
+          ['NAMESPACE', pod => pod.namespace],
+          ['NODE', pod => pod.nodeId || 'unassigned'],
+          ['STATUS', pod => pod.status],
+          ['CPU', pod => pod.cpuRequired],
+          ['AGE', pod => formatAge(pod.createdAt)]
+        ],
+        wideColumns: [
+          ['MEMORY', pod => `${pod.memoryRequired}MB`],
+          ['PRIORITY', pod => pod.priority],
+          ['OWNER', pod => pod.owner],
+          ['WAITING', pod => pod.pendingReason]
+        ]
       });
     } catch (err) {
       handleError(err);
     }
   });
 
-program.command('pod-info <podId>')
+program.command('pod-info <name>')
   .description('Get detailed information about a pod')
-  .action(async (podId) => {
-    try {
-      // First try getting all pods
-      const response = await axios.get(`${API_SERVER_URL}/pods`);
-      let pod = null;
-
-      // Search through response formats
-      if (Array.isArray(response.data)) {
-        if (response.data.length > 0 && Array.isArray(response.data[0])) {
-          // Nested array format
-          const found = response.data.find(entry => entry[0] === podId);
-          if (found) {
-            pod = {
-              id: found[0],
-              ...found[1],
-              status: found[1]?.status || 'running',
-              uptime: found[1]?.uptime || '0s',
-              createdAt: found[1]?.createdAt || new Date().toISOString()
-            };
+  .option('-n, --namespace <name>', 'Namespace of the pod (default: the context\'s)')
+  .action(async (name, options) => {
+    const namespace = options.namespace || context.namespace;
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/pods/${name}`, {
+        params: { namespace }
+      });
+      emit({
+        kind: 'pod',
+        data: response.data,
+        name: pod => pod.name,
+        print: pod => {
+          console.log('Pod Details:');
+          console.log(`Name: ${pod.name}`);
+          console.log(`Namespace: ${pod.namespace}`);
+          console.log(`Node: ${pod.nodeId || 'unassigned'}`);
+          console.log(`CPU Required: ${pod.cpuRequired || 0} cores`);
+          console.log(`Memory Required: ${pod.memoryRequired || 0} MB`);
+          console.log(`Priority: ${pod.priority}${pod.priorityClassName ? ` (${pod.priorityClassName})` : ''}`);
+          console.log(`Status: ${pod.status || 'unknown'}`);
+          if (pod.pendingReason) {
+            console.log(`Waiting: ${pod.pendingReason}`);
+          }
+          if (pod.lastEviction) {
+            console.log(`Last Eviction: ${pod.lastEviction.reason} at ${new Date(pod.lastEviction.timestamp).toLocaleString()}`);
+            console.log(`  ${pod.lastEviction.message}`);
+          }
+          if (pod.preemptedPods.length > 0) {
+            console.log(`Preempted Pods: ${pod.preemptedPods.join(', ')}`);
+          }
+          console.log(`Uptime: ${pod.uptime || '0s'}`);
+          console.log(`Created At: ${pod.createdAt ? new Date(pod.createdAt).toLocaleString() : 'Unknown'}`);
+          if (pod.events.length > 0) {
+            console.log('Events:');
+            pod.events.forEach(event => console.log(`  ${formatEvent(event)}`));
           }
-        } else {
-          // Flat array format
-          pod = response.data.find(p => p.id === podId || p.pod_id === podId);
         }
-      } else if (response.data?.pods) {
-        // Object with pods array
-        pod = response.data.pods.find(p => p.id === podId || p.pod_id === podId);
-      }
-
-      if (!pod) {
-        console.error(`Pod with ID ${podId} not found`);
+      });
+    } catch (err) {
+      if (err.response?.status === 404) {
+        console.error(`Pod ${name} not found in namespace ${namespace}`);
+        process.exitCode = 1;
         return;
       }
+      handleError(err);
+    }
+  });
+
+
+program
+  .command('list-priority-classes')
+  .description('List the priority classes pods can use')
+  .action(async () => {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/priority-classes`);
+      emit({
+        kind: 'priorityclass',
+        data: response.data,
+        items: response.data.priorityClasses,
+        name: priorityClass => priorityClass.name,
+        columns: [
+          ['NAME', priorityClass => priorityClass.name],
+          ['VALUE', priorityClass => priorityClass.value],
+          ['PREEMPTION', priorityClass => priorityClass.preemptionPolicy]
+        ],
+        wideColumns: [
+          ['DESCRIPTION', priorityClass => priorityClass.description]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+// Namespace Commands
+// "none" removes a quota limit
+const parseQuotaLimit = value => (value === 'none' ? null : Number(value));
+
+const quotaFromOptions = options => withoutUndefined({
+  cpu: options.cpu === undefined ? undefined : parseQuotaLimit(options.cpu),
+  memory: options.memory === undefined ? undefined : parseQuotaLimit(options.memory),
+  pods: options.pods === undefined ? undefined : parseQuotaLimit(options.pods)
+});
+
+const formatQuotaUsage = (used, limit, unit = '') =>
+  `${Number(used.toFixed(3))}${unit}/${limit === null ? 'unlimited' : `${limit}${unit}`}`;
+
+const printNamespace = namespace => {
+  console.log(`Name: ${namespace.name}`);
+  console.log(`CPU: ${formatQuotaUsage(namespace.usage.cpu, namespace.quota.cpu, ' cores')}`);
+  console.log(`Memory: ${formatQuotaUsage(namespace.usage.memory, namespace.quota.memory, ' MB')}`);
+  console.log(`Pods: ${formatQuotaUsage(namespace.usage.pods, namespace.quota.pods)}`);
+};
+
+program
+  .command('create-namespace <name>')
+  .description('Create a namespace, optionally with a resource quota')
+  .option('--cpu <cores>', 'CPU cores its pods may request in total')
+  .option('--memory <mb>', 'Memory in MB its pods may request in total')
+  .option('--pods <number>', 'Number of pods it may hold')
+  .action(async (name, options) => {
+    try {
+      const response = await axios.post(`${API_SERVER_URL}/namespaces`, {
+        name,
+        quota: quotaFromOptions(options)
+      });
+
+      emit({
+        kind: 'namespace',
+        data: response.data.namespace,
+        name: namespace => namespace.name,
+        print: namespace => {
+          console.log('Namespace created:');
+          printNamespace(namespace);
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
 
-      console.log('Pod Details:');
-      console.log(`ID: ${pod.id || podId}`);
-      console.log(`Node: ${pod.nodeId || pod.node_id || 'unassigned'}`);
-      console.log(`CPU Required: ${pod.cpuRequired || pod.cpu_required || 0} cores`);
-      console.log(`Status: ${pod.status || 'unknown'}`);
-      console.log(`Uptime: ${pod.uptime || '0s'}`);
-      console.log(`Created At: ${pod.createdAt ? new Date(pod.createdAt).toLocaleString() : 'Unknown'}`);
+program
+  .command('list-namespaces')
+  .description('List namespaces with their quota usage')
+  .action(async () => {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/namespaces`);
+      emit({
+        kind: 'namespace',
+        data: response.data,
+        items: response.data.namespaces,
+        name: namespace => namespace.name,
+        columns: [
+          ['NAME', namespace => namespace.name],
+          ['CPU', namespace => formatQuotaUsage(namespace.usage.cpu, namespace.quota.cpu)],
+          ['MEMORY', namespace => formatQuotaUsage(namespace.usage.memory, namespace.quota.memory, 'MB')],
+          ['PODS', namespace => formatQuotaUsage(namespace.usage.pods, namespace.quota.pods)]
+        ],
+        wideColumns: [
+          ['AGE', namespace => formatAge(namespace.createdAt)]
+        ]
+      });
     } catch (err) {
       handleError(err);
     }
   });
 
+program
+  .command('set-quota <namespace>')
+  .description('Change the resource quota of a namespace ("none" removes a limit)')
+  .option('--cpu <cores>', 'CPU cores its pods may request in total')
+  .option('--memory <mb>', 'Memory in MB its pods may request in total')
+  .option('--pods <number>', 'Number of pods it may hold')
+  .action(async (namespace, options) => {
+    try {
+      const response = await axios.patch(`${API_SERVER_URL}/namespaces/${namespace}/quota`, quotaFromOptions(options));
+
+      emit({
+        kind: 'namespace',
+        data: response.data,
+        name: namespace => namespace.name,
+        print: namespace => {
+          console.log('Quota updated:');
+          printNamespace(namespace);
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('delete-namespace <name>')
+  .description('Delete a namespace with its deployments and pods')
+  .action(async (name) => {
+    try {
+      const response = await axios.delete(`${API_SERVER_URL}/namespaces/${name}`);
+      emit({
+        kind: 'namespace',
+        data: response.data,
+        name: () => name,
+        print: result => console.log(`Namespace ${name} deleted (${result.deletedDeployments.length} deployments and ` +
+          `${result.deletedPods.length} pods removed)`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+// Deployment Commands
+program
+  .command('create-deployment <name>')
+  .description('Create a deployment that keeps a number of pod replicas running')
+  .requiredOption('-c, --cpu-required <number>', 'CPU cores required per pod')
+  .option('-m, --memory-required <mb>', 'Memory required per pod in MB')
+  .option('-r, --replicas <number>', 'Desired number of replicas', '1')
+  .option('-s, --scheduler <strategy>', 'Scheduling strategy for the pods')
+  .option('-l, --label <key=value>', 'Pod template label (repeatable)', collectLabel)
+  .option('--node-selector <key=value>', 'Only run on nodes with this label (repeatable)', collectLabel)
+  .option('--affinity <json>', 'Node affinity for the pods', JSON.parse)
+  .option('--toleration <key=value:Effect>', 'Tolerate a node taint (repeatable)', collectList)
+  .option('--priority-class <name>', 'Named priority class for the pods')
+  .option('-n, --namespace <name>', 'Namespace for the deployment and its pods (default: the context\'s)')
+  .action(async (name, options) => {
+    try {
+      const response = await axios.post(`${API_SERVER_URL}/deployments`, {
+        name,
+        namespace: options.namespace || context.namespace,
+        replicas: parseInt(options.replicas),
+        template: {
+          cpu_required: parseFloat(options.cpuRequired),
+          memory_required: options.memoryRequired ? parseInt(options.memoryRequired) : undefined,
+          scheduler: options.scheduler,
+          labels: options.label,
+          nodeSelector: options.nodeSelector,
+          affinity: options.affinity,
+          tolerations: options.toleration,
+          priorityClassName: options.priorityClass
+        }
+      });
+
+      emit({
+        kind: 'deployment',
+        data: response.data.deployment,
+        name: deployment => deployment.name,
+        print: deployment => {
+          console.log('Deployment created:');
+          console.log(`Name: ${deployment.name}`);
+          console.log(`Namespace: ${deployment.namespace}`);
+          console.log(`Replicas: ${deployment.status.replicas}/${deployment.replicas}`);
+          console.log(`Selector: ${formatLabels(deployment.selector)}`);
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('scale <name>')
+  .description('Change the desired replica count of a deployment')
+  .requiredOption('-r, --replicas <number>', 'Desired number of replicas')
+  .option('-n, --namespace <name>', 'Namespace of the deployment (default: the context\'s)')
+  .action(async (name, options) => {
+    try {
+      const response = await axios.put(`${API_SERVER_URL}/deployments/${name}/scale`, {
+        replicas: parseInt(options.replicas)
+      }, {
+        params: { namespace: options.namespace || context.namespace }
+      });
+
+      emit({
+        kind: 'deployment',
+        data: response.data.deployment,
+        name: deployment => deployment.name,
+        print: deployment => {
+          console.log(`Deployment ${deployment.name} scaled to ${deployment.replicas} replicas`);
+          console.log(`Current: ${deployment.status.replicas} pods (${deployment.status.readyReplicas} ready, ${deployment.status.pendingReplicas} pending)`);
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('list-deployments')
+  .description('List all deployments in the cluster')
+  .option('-n, --namespace <name>', 'Only list deployments in this namespace (default: the context\'s)')
+  .option('-A, --all-namespaces', 'List deployments in every namespace')
+  .action(async (options) => {
+    try {
+      const namespace = listNamespace(options);
+      const response = await axios.get(`${API_SERVER_URL}/deployments`, {
+        params: { namespace }
+      });
+      emit({
+        kind: 'deployment',
+        data: response.data,
+        items: response.data.deployments,
+        name: deployment => deployment.name,
+        empty: namespace ? `No deployments in namespace ${namespace}` : 'No deployments in the cluster',
+        columns: [
+          ['NAME', deployment => deployment.name],
+          ['NAMESPACE', deployment => deployment.namespace],
+          ['READY', deployment => `${deployment.status.readyReplicas}/${deployment.replicas}`],
+          ['PENDING', deployment => deployment.status.pendingReplicas],
+          ['AGE', deployment => formatAge(deployment.createdAt)]
+        ],
+        wideColumns: [
+          ['CPU', deployment => deployment.template.cpuRequired],
+          ['MEMORY', deployment => `${deployment.template.memoryRequired}MB`],
+          ['SELECTOR', deployment => formatLabels(deployment.selector)]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('delete-deployment <name>')
+  .description('Delete a deployment and its pods')
+  .option('-n, --namespace <name>', 'Namespace of the deployment (default: the context\'s)')
+  .action(async (name, options) => {
+    try {
+      const response = await axios.delete(`${API_SERVER_URL}/deployments/${name}`, {
+        params: { namespace: options.namespace || context.namespace }
+      });
+      emit({
+        kind: 'deployment',
+        data: response.data,
+        name: () => name,
+        print: result => console.log(`Deployment ${name} deleted (${result.deletedPods.length} pods removed)`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
 
   program
   .command('check-health')
   .description('Check the overall health status of the cluster')
   .action(async () => {
     try {
-      // Get health status directly from the health endpoint
-      const healthResponse = await axios.get(`${API_SERVER_URL}/health`);
-      const healthData = healthResponse.data;
-
-      // Get detailed nodes and pods data
-      const nodesResponse = await axios.get(`${API_SERVER_URL}/nodes`);
-      const podsResponse = await axios.get(`${API_SERVER_URL}/pods`);
-
-      // Process nodes data
-      const nodes = nodesResponse.data.nodes || nodesResponse.data;
-      const healthyNodes = nodes.filter(node => node.status === 'healthy').length;
-      const totalNodes = nodes.length;
-
-      // Process pods data - handle both array and object formats
-      let pods = [];
-      if (Array.isArray(podsResponse.data)) {
-        pods = podsResponse.data.map(entry => 
-          Array.isArray(entry) ? { id: entry[0], ...entry[1] } : entry
-        );
-      } else if (podsResponse.data?.pods) {
-        pods = podsResponse.data.pods;
-      }
-
-      const runningPods = pods.filter(pod => pod.status === 'running').length;
-      const pendingPods = pods.filter(pod => pod.status === 'pending').length;
-
-      // Format the output
-      console.log(`Cluster Status: ${healthData.status.toUpperCase()}`);
-      console.log(`Nodes: ${healthyNodes}/${totalNodes} operational`);
-      console.log(`Resources: ${healthData.resources.cpu.available}/${healthData.resources.cpu.total} cores (${healthData.resources.cpu.utilization}) available`);
-      console.log(`Pods: ${runningPods} running, ${pendingPods} pending`);
-      console.log(`Last Check: ${new Date().toISOString()}`);
+      const response = await axios.get(`${API_SERVER_URL}/health`);
+      const healthData = response.data;
+      emit({
+        data: healthData,
+        print: health => {
+          console.log(`Cluster Status: ${health.status.toUpperCase()}`);
+          console.log(`Nodes: ${health.nodes.healthy}/${health.nodes.total} operational`);
+          console.log(`Resources: ${health.resources.cpu.available}/${health.resources.cpu.total} cores (${health.resources.cpu.utilization}) available`);
+          console.log(`Pods: ${health.pods.running} running, ${health.pods.pending} pending`);
+          Object.entries(health.namespaces || {}).forEach(([name, namespace]) => {
+            console.log(`  ${name}: ${namespace.pods.running}/${namespace.pods.total} pods running, ` +
+              `${Number(namespace.cpu.requested.toFixed(3))}${namespace.cpu.quota === null ? '' : `/${namespace.cpu.quota}`} cores requested`);
+          });
+          console.log(`Last Check: ${health.timestamp}`);
+        }
+      });
 
       // Set appropriate exit code
       process.exitCode = healthData.status === 'healthy' ? 0 : 
@@ -271,58 +748,34 @@ program
   .description('Get detailed information about a node')
   .action(async (nodeId) => {
     try {
-      // First try the direct node endpoint
-      let nodeData;
-      try {
-        const response = await axios.get(`${API_SERVER_URL}/nodes/${nodeId}`);
-        nodeData = response.data;
-      } catch (err) {
-        if (err.response?.status === 404) {
-          // If direct endpoint fails, get all nodes and filter
-          const allNodesResponse = await axios.get(`${API_SERVER_URL}/nodes`);
-          const allNodes = allNodesResponse.data.nodes || allNodesResponse.data;
-          nodeData = allNodes.find(n => n.nodeId === nodeId || n.id === nodeId);
-          
-          if (!nodeData) {
-            throw new Error(`Node ${nodeId} not found`);
+      const response = await axios.get(`${API_SERVER_URL}/nodes/${nodeId}`);
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: node => node.nodeId,
+        print: node => {
+          console.log(`Node ID: ${node.nodeId}`);
+          console.log(`Status: ${node.status}`);
+          console.log(`CPU: ${node.cpu.used}/${node.cpu.total} cores used`);
+          console.log(`Memory: ${node.memory.used}/${node.memory.total} MB used`);
+          console.log(`Labels: ${formatLabels(node.labels)}`);
+          console.log(`Taints: ${node.taints.join(',') || '<none>'}`);
+          if (node.networkFaults) {
+            console.log(`Network Faults: see cluster-cli network-faults ${node.nodeId}`);
           }
-        } else {
-          throw err;
-        }
-      }
 
-      // Get all pods to find those on this node
-      const podsResponse = await axios.get(`${API_SERVER_URL}/pods`);
-      let podEntries = Array.isArray(podsResponse.data) ? podsResponse.data : [];
-      
-      // Normalize pod data format
-      const nodePods = podEntries
-        .map(entry => {
-          if (Array.isArray(entry)) {
-            return { id: entry[0], ...entry[1] }; // Handle [id, details] format
+          if (node.pods.length > 0) {
+            console.log('Pods:');
+            node.pods.forEach(pod => {
+              console.log(`  - ${pod.podId} (${pod.cpuRequired} core${pod.cpuRequired !== 1 ? 's' : ''}, ${pod.status})`);
+            });
+          } else {
+            console.log('Pods: None');
           }
-          return entry; // Handle object format
-        })
-        .filter(pod => pod.nodeId === nodeId || pod.node_id === nodeId);
-
-      // Format the output
-      console.log(`Node ID: ${nodeId}`);
-      console.log(`Status: ${nodeData.status || 'unknown'}`);
-      console.log(`CPU: ${(nodeData.cpuCores || 0) - (nodeData.availableCores || 0)}/${nodeData.cpuCores || 0} cores used`);
-      
-      if (nodePods.length > 0) {
-        console.log('Pods:');
-        nodePods.forEach(pod => {
-          const status = pod.status || 'unknown';
-          const cores = pod.cpuRequired || pod.cpu_required || 0;
-          console.log(`  - ${pod.id} (${cores} core${cores !== 1 ? 's' : ''}, ${status})`);
-        });
-      } else {
-        console.log('Pods: None');
-      }
-
-      console.log(`Last Heartbeat: ${nodeData.lastHeartbeat || 'Never'}`);
 
+          console.log(`Last Heartbeat: ${node.lastHeartbeat || 'Never'}`);
+        }
+      });
     } catch (err) {
       console.error('Error fetching node information:');
       if (err.response) {
@@ -337,6 +790,72 @@ program
     }
   });
 
+program
+  .command('label-node <nodeId> <labels...>')
+  .description('Add or update node labels (key=value), or remove them (key-)')
+  .action(async (nodeId, labels) => {
+    try {
+      const changes = {};
+      labels.forEach(label => {
+        if (label.endsWith('-') && !label.includes('=')) {
+          changes[label.slice(0, -1)] = null;
+        } else {
+          Object.assign(changes, collectLabel(label));
+        }
+      });
+
+      const response = await axios.patch(`${API_SERVER_URL}/nodes/${nodeId}/labels`, {
+        labels: changes
+      });
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: result => result.nodeId,
+        print: result => console.log(`Node ${nodeId} labels: ${formatLabels(result.labels)}`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('taint-node <nodeId> <taints...>')
+  .description('Add node taints (key=value:Effect), or remove them (key- or key:Effect-)')
+  .action(async (nodeId, taints) => {
+    try {
+      const added = taints.filter(taint => !taint.endsWith('-'));
+      const removed = taints.filter(taint => taint.endsWith('-'));
+      let result = null;
+
+      if (added.length > 0) {
+        result = (await axios.post(`${API_SERVER_URL}/nodes/${nodeId}/taints`, {
+          taints: added
+        })).data;
+      }
+      for (const taint of removed) {
+        const [key, effect] = taint.slice(0, -1).split(':');
+        result = (await axios.delete(
+          `${API_SERVER_URL}/nodes/${nodeId}/taints/${encodeURIComponent(key)}`,
+          { params: { effect } }
+        )).data;
+      }
+
+      emit({
+        kind: 'node',
+        data: result,
+        name: node => node.nodeId,
+        print: node => {
+          console.log(`Node ${nodeId} taints: ${node.taints.join(',') || '<none>'}`);
+          if (node.remainingPods !== undefined) {
+            console.log(`Pods still on node: ${node.remainingPods}`);
+          }
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
 // Fault Tolerance Commands
 program
   .command('simulate-failure')
@@ -346,7 +865,7 @@ program
   .action(async (options) => {
     try {
       if (options.verbose) {
-        console.log('Making API request to simulate failure...');
+        console.error('Making API request to simulate failure...');
       }
 
       const response = await axios.post(
@@ -359,36 +878,43 @@ program
         }
       );
 
-      if (options.verbose) {
-        console.log('API Response:', JSON.stringify(response.data, null, 2));
-      }
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: () => options.node,
+        print: result => {
+          if (options.verbose) {
+            console.log('API Response:', JSON.stringify(result, null, 2));
+          }
 
-      console.log(`\nSimulating failure on node ${options.node}...`);
-      console.log('Recovery operations initiated:');
-      
-      if (response.data.recoveryOperations && response.data.recoveryOperations.length > 0) {
-        response.data.recoveryOperations.forEach(op => {
-          console.log(`- Pod ${op.podId}: ${op.status}`);
-          if (op.toNode) {
-            console.log(`  ↳ Moving to node ${op.toNode}`);
-          } else if (op.status === 'FAILED') {
-            console.log(`  ↳ No available nodes with sufficient resources`);
+          console.log(`\nSimulating failure on node ${options.node}...`);
+          console.log('Recovery operations initiated:');
+
+          if (result.recoveryOperations && result.recoveryOperations.length > 0) {
+            result.recoveryOperations.forEach(op => {
+              console.log(`- Pod ${op.podId}: ${op.status}`);
+              if (op.toNode) {
+                console.log(`  ↳ Moving to node ${op.toNode}`);
+              } else if (op.status === 'FAILED') {
+                console.log(`  ↳ No available nodes with sufficient resources`);
+              }
+            });
+          } else {
+            console.log('- No pods to reschedule');
           }
-        });
-      } else {
-        console.log('- No pods to reschedule');
-      }
 
-      console.log('\nSystem status after failure:');
-      const status = response.data.systemStatus || {};
-      console.log(`- Cluster status: ${status.status?.toUpperCase() || 'UNKNOWN'}`);
-      console.log(`- Healthy nodes: ${status.healthyNodes || 0}/${status.totalNodes || 0}`);
-      console.log(`- Pods being recovered: ${status.recoveringNodes || 0}`);
+          console.log('\nSystem status after failure:');
+          const status = result.systemStatus || {};
+          console.log(`- Cluster status: ${status.status?.toUpperCase() || 'UNKNOWN'}`);
+          console.log(`- Healthy nodes: ${status.healthyNodes || 0}/${status.totalNodes || 0}`);
+          console.log(`- Pods being recovered: ${status.recoveringNodes || 0}`);
 
-      console.log('\nNext steps:');
-      console.log('1. Run "cluster-cli recovery-status" to monitor progress');
-      console.log('2. Run "cluster-cli list-pods" to verify pod relocation');
-      console.log('3. Run "cluster-cli list-nodes" to check node statuses\n');
+          console.log('\nNext steps:');
+          console.log('1. Run "cluster-cli recovery-status" to monitor progress');
+          console.log('2. Run "cluster-cli list-pods" to verify pod relocation');
+          console.log('3. Run "cluster-cli list-nodes" to check node statuses\n');
+        }
+      });
 
     } catch (err) {
       console.error('\nError simulating node failure:');
@@ -408,32 +934,81 @@ program
     }
   });
 
+program
+  .command('network-faults <nodeId>')
+  .description("Show or set the network faults a node's simulator applies to its traffic")
+  .option('--drop <rate>', 'Drop this fraction of requests (0-1)')
+  .option('--latency <duration>', 'Add this much latency to every request, e.g. 500ms')
+  .option('--partition <duration>', 'Cut the node off from the api-server for this long, e.g. 2m')
+  .option('--skew <duration>', "Shift the node's clock, e.g. 30s or -30s")
+  .option('--clear', 'Remove all network faults')
+  .action(async (nodeId, options) => {
+    try {
+      const path = `${API_SERVER_URL}/nodes/${nodeId}/network-faults`;
+      const change = withoutUndefined({
+        dropRate: options.drop === undefined ? undefined : parseFloat(options.drop),
+        latency: options.latency,
+        partition: options.partition,
+        clockSkew: options.skew
+      });
+
+      let response;
+      if (options.clear) {
+        response = await axios.delete(path);
+      } else if (Object.keys(change).length > 0) {
+        response = await axios.patch(path, change);
+      } else {
+        response = await axios.get(path);
+      }
+
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: () => nodeId,
+        print: ({ networkFaults, partitioned }) => {
+          if (!networkFaults) {
+            console.log(`Node ${nodeId}: no network faults`);
+            return;
+          }
+          console.log(`Node ${nodeId}:`);
+          console.log(`  Dropped requests: ${Math.round(networkFaults.dropRate * 100)}%`);
+          console.log(`  Latency: ${networkFaults.latency}ms`);
+          console.log(`  Clock skew: ${networkFaults.clockSkew}ms`);
+          if (networkFaults.partitionUntil) {
+            console.log(`  Partition: ${partitioned ? 'until' : 'ended'} ${networkFaults.partitionUntil}`);
+          }
+          if (response.config.method !== 'get') {
+            console.log('The node picks up the change with its next heartbeat');
+          }
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
   program
   .command('recovery-status')
   .description('Check status of ongoing recovery operations')
   .action(async () => {
     try {
       const response = await axios.get(`${API_SERVER_URL}/recovery-status`);
-      
-      if (!response.data.operations || response.data.operations.length === 0) {
-        console.log('No active recovery operations');
-        return;
-      }
-
-      console.log('Active Recovery Operations:');
-      console.log('='.repeat(60));
-      response.data.operations.forEach((op, idx) => {
-        console.log(`${idx + 1}. Pod: ${op.podId}`);
-        console.log(`   Status: ${op.status}`);
-        console.log(`   From Node: ${op.fromNode}`);
-        console.log(`   To Node: ${op.toNode || 'Not yet assigned'}`);
-        console.log(`   Timestamp: ${op.timestamp}`);
-        console.log('-'.repeat(60));
+      emit({
+        kind: 'pod',
+        data: response.data,
+        items: response.data.operations || [],
+        name: op => op.podId,
+        empty: 'No active recovery operations',
+        columns: [
+          ['POD', op => op.podId],
+          ['STATUS', op => op.status],
+          ['FROM', op => op.fromNode],
+          ['TO', op => op.toNode || 'Not yet assigned'],
+          ['AGE', op => formatAge(op.timestamp)]
+        ],
+        footer: response.data.estimatedCompletion > 0 ?
+          `\nEstimated time remaining: ${response.data.estimatedCompletion} seconds` : null
       });
-
-      if (response.data.estimatedCompletion > 0) {
-        console.log(`\nEstimated time remaining: ${response.data.estimatedCompletion} seconds`);
-      }
     } catch (err) {
       console.error('Error checking recovery status:');
       console.error(err.response?.data?.error || err.message);
@@ -441,25 +1016,74 @@ program
     }
   });
 
+program
+  .command('events')
+  .description('Show recent cluster events, newest first')
+  .option('--for <object>', 'Only events about one object, e.g. pod/web-1a2b3c4d or node/node-1')
+  .option('--type <type>', 'Only Normal or Warning events')
+  .option('--reason <reason>', 'Only events with this reason, e.g. FailedScheduling')
+  .option('--since <time>', 'Only events seen since this date')
+  .action(async (options) => {
+    try {
+      const [kind, name] = options.for ? options.for.split('/') : [];
+      const response = await axios.get(`${API_SERVER_URL}/events`, {
+        params: { kind, name, type: options.type, reason: options.reason, since: options.since }
+      });
+      emit({
+        kind: 'event',
+        data: response.data,
+        items: response.data.events,
+        name: event => event.id,
+        empty: 'No events found',
+        columns: [
+          ['LAST SEEN', event => formatAge(event.lastTimestamp)],
+          ['TYPE', event => event.type],
+          ['REASON', event => event.reason],
+          ['OBJECT', event => `${event.involvedObject.kind}/${event.involvedObject.name}`],
+          ['MESSAGE', event => event.message]
+        ],
+        wideColumns: [
+          ['COUNT', event => event.count],
+          ['FIRST SEEN', event => formatAge(event.firstTimestamp)]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
 // Debugging Commands
 program
   .command('node-logs <nodeId>')
   .description('Get logs for a specific node')
-  .option('--tail <number>', 'Number of recent log entries to show', '10')
+  .option('--tail <number>', 'Number of recent log lines to show')
+  .option('--since <time>', 'Only show lines since a date or duration (e.g. 10m)')
+  .option('-f, --follow', 'Keep printing new lines as the node writes them')
   .action(async (nodeId, options) => {
     try {
-      const response = await axios.get(`${API_SERVER_URL}/nodes/${nodeId}/logs`, {
-        params: { limit: options.tail }
-      });
-      
-      console.log(`Logs for node ${nodeId}:`);
-      response.data.logs.forEach(log => {
-        console.log(log);
-      });
-      
+      await showLogs(`/nodes/${nodeId}/logs`, options);
     } catch (err) {
+      const data = await logsError(err);
       console.error('Error fetching node logs:');
-      console.error(err.response?.data?.error || err.message);
+      console.error(data.message || data.error);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('pod-logs <name>')
+  .description('Get logs for a specific pod')
+  .option('-n, --namespace <name>', 'Namespace of the pod (default: the context\'s)')
+  .option('--tail <number>', 'Number of recent log lines to show')
+  .option('--since <time>', 'Only show lines since a date or duration (e.g. 10m)')
+  .option('-f, --follow', 'Keep printing new lines as the pod writes them')
+  .action(async (name, options) => {
+    try {
+      await showLogs(`/pods/${name}/logs`, options, { namespace: options.namespace || context.namespace });
+    } catch (err) {
+      const data = await logsError(err);
+      console.error('Error fetching pod logs:');
+      console.error(data.message || data.error);
       process.exitCode = 1;
     }
   });
@@ -468,32 +1092,167 @@ program
   .command('metrics')
   .description('Get system metrics')
   .option('--node <nodeId>', 'Get metrics for specific node')
+  .option('--pod <name>', 'Get metrics for specific pod')
+  .option('-n, --namespace <name>', 'Namespace of the pod given with --pod (default: the context\'s)')
+  .option('--since <time>', 'Also show reported usage since a date or duration (e.g. 10m)')
   .action(async (options) => {
     try {
-      const url = options.node 
-        ? `${API_SERVER_URL}/nodes/${options.node}/metrics`
-        : `${API_SERVER_URL}/metrics`;
-      
-      const response = await axios.get(url);
-      
-      if (options.node) {
-        console.log(`Node ${options.node} Metrics:`);
-        console.log(`CPU Load: ${response.data.cpu.load}/${response.data.cpu.total} cores`);
-        console.log(`Memory: ${response.data.memory.used}/${response.data.memory.total}GB used`);
-        console.log(`Network: ${response.data.network.in}MB/s in, ${response.data.network.out}MB/s out`);
-        console.log(`Temperature: ${response.data.temperature}°C`);
-      } else {
-        console.log('Cluster Metrics:');
-        console.log(`Nodes: ${response.data.nodes.online}/${response.data.nodes.total}`);
-        console.log(`CPU Utilization: ${response.data.cpu.utilization}`);
-        console.log(`Memory Utilization: ${response.data.memory.utilization}`);
-      }
+      const url = options.pod
+        ? `${API_SERVER_URL}/pods/${options.pod}/metrics`
+        : options.node 
+          ? `${API_SERVER_URL}/nodes/${options.node}/metrics`
+          : `${API_SERVER_URL}/metrics`;
       
+      const namespace = options.pod ? options.namespace || context.namespace : undefined;
+      const response = await axios.get(url, { params: { namespace, since: options.since } });
+      emit({
+        data: response.data,
+        print: metrics => {
+          const formatUsage = value => (value === null ? 'not reported' : value);
+          const formatReported = reportedAt =>
+            `Last Report: ${reportedAt ? new Date(reportedAt).toLocaleString() : 'never'}`;
+
+          if (options.pod) {
+            console.log(`Pod ${options.pod} Metrics:`);
+            console.log(`Node: ${metrics.nodeId || 'unassigned'}`);
+            console.log(`CPU: ${formatUsage(metrics.cpu.usage)} cores in use (${metrics.cpu.requested} requested)`);
+            console.log(`Memory: ${formatUsage(metrics.memory.usage)}MB in use (${metrics.memory.requested}MB requested)`);
+            console.log(formatReported(metrics.reportedAt));
+          } else if (options.node) {
+            console.log(`Node ${options.node} Metrics:`);
+            console.log(`CPU: ${metrics.cpu.used}/${metrics.cpu.total} cores requested, ${formatUsage(metrics.cpu.usage)} in use`);
+            console.log(`Load Average: ${formatUsage(metrics.cpu.load)}`);
+            console.log(`Memory: ${metrics.memory.used}/${metrics.memory.total}MB requested (${metrics.memory.utilization}), ${formatUsage(metrics.memory.usage)}MB in use`);
+            const system = metrics.system;
+            if (system?.memoryTotal != null) {
+              console.log(`Host Memory: ${system.memoryFree}/${system.memoryTotal}MB free`);
+            }
+            if (system?.uptime != null) {
+              console.log(`Uptime: ${Math.floor(system.uptime)}s`);
+            }
+            console.log(formatReported(metrics.reportedAt));
+          } else {
+            console.log('Cluster Metrics:');
+            console.log(`Nodes: ${metrics.nodes.online}/${metrics.nodes.total} (${metrics.nodes.reporting} reporting usage)`);
+            console.log(`CPU Utilization: ${metrics.cpu.utilization} requested, ${metrics.cpu.usage} cores in use`);
+            console.log(`Memory Utilization: ${metrics.memory.utilization} requested, ${metrics.memory.usage}MB in use`);
+          }
+
+          const printHistory = samples => samples.forEach(sample => {
+            const usage = options.pod
+              ? `cpu=${formatUsage(sample.cpuUsage)} memory=${formatUsage(sample.memoryUsage)}MB`
+              : `cpu=${sample.podCpuUsage} memory=${sample.podMemoryUsage}MB load=${formatUsage(sample.cpuLoad)}`;
+            console.log(`  ${new Date(sample.timestamp).toLocaleTimeString()}  ${usage}`);
+          });
+          if (Array.isArray(metrics.history)) {
+            console.log(`History (${metrics.history.length} samples):`);
+            printHistory(metrics.history);
+          } else if (metrics.history) {
+            Object.entries(metrics.history).forEach(([nodeId, samples]) => {
+              console.log(`History for ${nodeId} (${samples.length} samples):`);
+              printHistory(samples);
+            });
+          }
+        }
+      });
     } catch (err) {
       console.error('Error fetching metrics:');
-      console.error(err.response?.data?.error || err.message);
+      console.error(err.response?.data?.message || err.response?.data?.error || err.message);
+      process.exitCode = 1;
+    }
+  });
+
+// Live Views
+// Reprints the result every interval like watch(1); once with --once, -o
+// formats other than table and wide, or output that isn't a terminal
+const showTop = async (options, toResult, fetchOptions) => {
+  const api = apiClient();
+  const once = options.once || !process.stdout.isTTY || !['table', 'wide'].includes(program.opts().output.format);
+  if (once) {
+    emit(toResult(await fetchSnapshot(api, fetchOptions)));
+    return;
+  }
+
+  for (;;) {
+    let result;
+    let error;
+    try {
+      result = toResult(await fetchSnapshot(api, fetchOptions));
+    } catch (err) {
+      error = err.response?.data?.error || err.message;
+    }
+    process.stdout.write('\x1b[H\x1b[2J');
+    console.log(`Every ${options.interval}s, ${new Date().toLocaleTimeString()}: ${context.name} (${API_SERVER_URL})\n`);
+    if (error) console.error(`Error: ${error}`);
+    else emit(result);
+    await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+  }
+};
+
+const top = program
+  .command('top')
+  .description('Show CPU and memory of nodes or pods, refreshing until interrupted');
+
+top
+  .command('nodes')
+  .description('Requested and used CPU and memory of each node')
+  .option('-i, --interval <seconds>', 'Seconds between refreshes', parseInterval, 2)
+  .option('--once', 'Print once and exit')
+  .action(async (options) => {
+    try {
+      await showTop(options, snapshot => ({
+        kind: 'node',
+        data: { nodes: snapshot.nodes, fetchedAt: snapshot.fetchedAt },
+        items: snapshot.nodes,
+        name: node => node.nodeId,
+        empty: 'No nodes in the cluster',
+        columns: NODE_COLUMNS
+      }));
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+top
+  .command('pods')
+  .description('Requested and used CPU and memory of each pod, busiest first')
+  .option('-n, --namespace <name>', 'Only pods in this namespace (default: the context\'s)')
+  .option('-A, --all-namespaces', 'Pods in every namespace')
+  .option('-i, --interval <seconds>', 'Seconds between refreshes', parseInterval, 2)
+  .option('--once', 'Print once and exit')
+  .action(async (options) => {
+    try {
+      const namespace = listNamespace(options);
+      await showTop(options, snapshot => {
+        const pods = snapshot.pods.sort(byCpu);
+        return {
+          kind: 'pod',
+          data: { pods, fetchedAt: snapshot.fetchedAt },
+          items: pods,
+          name: pod => pod.name,
+          empty: namespace ? `No pods in namespace ${namespace}` : 'No pods in the cluster',
+          columns: POD_COLUMNS
+        };
+      }, { namespace, podUsage: true });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('dashboard')
+  .description('Full-screen view of nodes, pending pods and recovery that refreshes itself')
+  .option('-i, --interval <seconds>', 'Seconds between refreshes', parseInterval, 2)
+  .action(async (options) => {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      console.error('The dashboard needs a terminal; use "cluster-cli top nodes --once" in scripts');
       process.exitCode = 1;
+      return;
     }
+    await new Dashboard(apiClient(), {
+      interval: options.interval * 1000,
+      title: `${context.name} (${API_SERVER_URL})`
+    }).run();
   });
 
 // Maintenance Commands
@@ -503,16 +1262,26 @@ program
   .action(async (nodeId) => {
     try {
       const response = await axios.post(`${API_SERVER_URL}/nodes/${nodeId}/drain`);
-      
-      console.log(`Draining node ${nodeId}:`);
-      if (response.data.evacuatedPods) {
-        response.data.evacuatedPods.forEach(pod => {
-          console.log(`- Evacuating pod ${pod.id}`);
-        });
-      }
-      console.log('- Marking as maintenance');
-      console.log('No new pods will be scheduled');
-      
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: () => nodeId,
+        print: result => {
+          console.log(`Draining node ${nodeId}:`);
+          if (result.evacuatedPods) {
+            result.evacuatedPods.forEach(pod => {
+              console.log(`- Evacuating pod ${pod.id}`);
+            });
+          }
+          if (result.requeuedPods) {
+            result.requeuedPods.forEach(podId => {
+              console.log(`- Pod ${podId} is pending: no node has capacity`);
+            });
+          }
+          console.log('- Marking as maintenance');
+          console.log('No new pods will be scheduled');
+        }
+      });
     } catch (err) {
       console.error('Error draining node:');
       console.error(err.response?.data?.error || err.message);
@@ -526,12 +1295,17 @@ program
   .action(async (nodeId) => {
     try {
       const response = await axios.post(`${API_SERVER_URL}/nodes/${nodeId}/repair-complete`);
-      
-      console.log(`Node ${nodeId} returned to service:`);
-      console.log(`- Available cores: ${response.data.availableCores}`);
-      console.log(`- Accepting new pods`);
-      console.log(`Cluster status: ${response.data.clusterStatus.toUpperCase()}`);
-      
+      emit({
+        kind: 'node',
+        data: response.data,
+        name: () => nodeId,
+        print: result => {
+          console.log(`Node ${nodeId} returned to service:`);
+          console.log(`- Available cores: ${result.availableCores}`);
+          console.log(`- Accepting new pods`);
+          console.log(`Cluster status: ${result.clusterStatus.toUpperCase()}`);
+        }
+      });
     } catch (err) {
       console.error('Error completing node repair:');
       console.error(err.response?.data?.error || err.message);
@@ -539,4 +1313,506 @@ program
     }
   });
 
+// Chaos Commands
+const printExperiment = experiment => {
+  console.log(`Experiment ${experiment.name} (${experiment.id})`);
+  console.log(`Status: ${experiment.status}${experiment.abortReason ? ` - ${experiment.abortReason}` : ''}`);
+  console.log(`Started: ${new Date(experiment.startedAt).toLocaleString()}`);
+  console.log(experiment.endedAt ?
+    `Ended: ${new Date(experiment.endedAt).toLocaleString()}` :
+    `Ends: ${new Date(experiment.endsAt).toLocaleString()}`);
+  console.log(`Faults: ${experiment.spec.faults.map(fault => fault.type).join(', ')}`);
+  console.log(`Affected: ${experiment.affected.nodes.length} nodes, ${experiment.affected.pods.length} pods`);
+  Object.entries(experiment.counts)
+    .filter(([, count]) => count > 0)
+    .forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+
+  const { start, end, minHealthyNodes, maxPendingPods } = experiment.observations;
+  console.log('Cluster:');
+  console.log(`  Healthy nodes: ${start.healthyNodes}/${start.totalNodes} at start, ` +
+    `${minHealthyNodes} at worst${end ? `, ${end.healthyNodes}/${end.totalNodes} at end` : ''}`);
+  console.log(`  Pending pods: ${start.pendingPods} at start, ${maxPendingPods} at worst` +
+    `${end ? `, ${end.pendingPods} at end` : ''}`);
+  if (end) {
+    console.log(`  Running pods: ${start.runningPods} at start, ${end.runningPods} at end`);
+  }
+
+  if (experiment.actions?.length > 0) {
+    console.log('Actions:');
+    experiment.actions.forEach(action => {
+      console.log(`  ${new Date(action.timestamp).toLocaleTimeString()}  ${action.fault.padEnd(15)}  ` +
+        `${action.target.kind}/${action.target.name}: ${action.message}`);
+    });
+  }
+};
+
+// Builds an experiment from the command line options
+const experimentFromOptions = options => {
+  const faults = [];
+  if (options.killNodeEvery) {
+    faults.push({ type: 'node-kill', interval: options.killNodeEvery, repairAfter: options.repairAfter });
+  }
+  if (options.dropHeartbeats) {
+    faults.push({ type: 'heartbeat-drop', rate: parseFloat(options.dropHeartbeats) });
+  }
+  if (options.delayHeartbeats) {
+    faults.push({ type: 'heartbeat-delay', delay: options.delayHeartbeats });
+  }
+  if (options.failPods) {
+    faults.push({ type: 'pod-failure', rate: parseFloat(options.failPods), interval: options.failPodsEvery });
+  }
+  if (options.degrade) {
+    const factor = parseFloat(options.degrade);
+    faults.push({ type: 'node-degrade', cpuFactor: factor, memoryFactor: factor });
+  }
+
+  const toInt = value => (value === undefined ? undefined : parseInt(value));
+  return {
+    name: options.name,
+    duration: options.duration,
+    selector: options.selector,
+    faults,
+    blastRadius: { maxNodes: toInt(options.maxNodes), maxPods: toInt(options.maxPods) },
+    abortWhen: { minHealthyNodes: toInt(options.minHealthyNodes), maxPendingPods: toInt(options.maxPendingPods) }
+  };
+};
+
+const chaos = program
+  .command('chaos')
+  .description('Run chaos experiments against the cluster');
+
+chaos
+  .command('run')
+  .description('Start a chaos experiment and wait for its report')
+  .option('-f, --file <path>', 'Experiment definition (JSON); options below override its fields')
+  .option('--name <name>', 'Experiment name')
+  .option('--duration <duration>', 'How long the experiment runs, e.g. 5m')
+  .option('--kill-node-every <interval>', 'Fail a random node at this interval')
+  .option('--repair-after <duration>', 'Repair killed nodes after this long')
+  .option('--drop-heartbeats <rate>', 'Drop this fraction of heartbeats (0-1)')
+  .option('--delay-heartbeats <delay>', 'Apply heartbeats this much later, e.g. 20s')
+  .option('--fail-pods <rate>', 'Fail this fraction of running pods at every interval (0-1)')
+  .option('--fail-pods-every <interval>', 'Interval for --fail-pods', '30s')
+  .option('--degrade <factor>', 'Shrink node capacity to this fraction (0-1)')
+  .option('-s, --selector <key=value>', 'Only target nodes with this label (repeatable)', collectLabel)
+  .option('--max-nodes <number>', 'Affect at most this many nodes')
+  .option('--max-pods <number>', 'Affect at most this many pods')
+  .option('--min-healthy-nodes <number>', 'Abort when fewer nodes are healthy')
+  .option('--max-pending-pods <number>', 'Abort when more pods are pending')
+  .option('--detach', 'Return once the experiment has started')
+  .action(async (options) => {
+    try {
+      const fromFile = options.file ? JSON.parse(await readFile(options.file, 'utf8')) : {};
+      const fromOptions = experimentFromOptions(options);
+      const { name, duration, selector } = fromOptions;
+      const experiment = {
+        ...fromFile,
+        ...withoutUndefined({ name, duration, selector }),
+        faults: fromOptions.faults.length > 0 ? fromOptions.faults : fromFile.faults,
+        blastRadius: { ...fromFile.blastRadius, ...withoutUndefined(fromOptions.blastRadius) },
+        abortWhen: { ...fromFile.abortWhen, ...withoutUndefined(fromOptions.abortWhen) }
+      };
+
+      let response = await axios.post(`${API_SERVER_URL}/chaos/experiments`, experiment);
+      const { id } = response.data;
+      const started = `Started experiment ${response.data.name} (${id}), ending ${new Date(response.data.endsAt).toLocaleString()}`;
+      if (options.detach) {
+        emit({ kind: 'experiment', data: response.data, name: () => id, print: () => console.log(started) });
+        return;
+      }
+      progress(started);
+
+      const sim = await axios.get(`${API_SERVER_URL}/sim`);
+      if (sim.data.mode === 'virtual') {
+        emit({
+          kind: 'experiment',
+          data: response.data,
+          name: () => id,
+          print: () => {
+            console.log('The api-server runs on a virtual clock: advance it with POST /sim/advance,');
+            console.log(`then run "cluster-cli chaos report ${id}"`);
+          }
+        });
+        return;
+      }
+
+      // Ctrl-C stops the experiment instead of leaving it running
+      process.once('SIGINT', async () => {
+        await axios.post(`${API_SERVER_URL}/chaos/experiments/${id}/stop`).catch(() => {});
+      });
+
+      while (response.data.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        response = await axios.get(`${API_SERVER_URL}/chaos/experiments/${id}`);
+      }
+      progress();
+      emit({ kind: 'experiment', data: response.data, name: () => id, print: printExperiment });
+      if (response.data.status === 'aborted') process.exitCode = 1;
+    } catch (err) {
+      console.error('Error running chaos experiment:');
+      console.error(err.response?.data?.message || err.response?.data?.error || err.message);
+      process.exitCode = 1;
+    }
+  });
+
+chaos
+  .command('list')
+  .description('List chaos experiments, newest first')
+  .option('--status <status>', 'Only experiments with this status')
+  .action(async (options) => {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/chaos/experiments`, {
+        params: { status: options.status }
+      });
+      emit({
+        kind: 'experiment',
+        data: response.data,
+        items: response.data.experiments,
+        name: experiment => experiment.id,
+        empty: 'No experiments found',
+        columns: [
+          ['ID', experiment => experiment.id],
+          ['NAME', experiment => experiment.name],
+          ['STATUS', experiment => experiment.status],
+          ['ACTIONS', experiment => experiment.actionCount],
+          ['AGE', experiment => formatAge(experiment.startedAt)]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+chaos
+  .command('report <id>')
+  .description('Show the report of a chaos experiment')
+  .action(async (id) => {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/chaos/experiments/${id}`);
+      emit({ kind: 'experiment', data: response.data, name: () => id, print: printExperiment });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+chaos
+  .command('stop <id>')
+  .description('Stop a running chaos experiment and undo its faults')
+  .action(async (id) => {
+    try {
+      const response = await axios.post(`${API_SERVER_URL}/chaos/experiments/${id}/stop`);
+      emit({ kind: 'experiment', data: response.data, name: () => id, print: printExperiment });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+// Manifest Commands
+
+// Carries out the changes in order, going on past failures
+const runChanges = async (api, changes) => {
+  for (const change of changes) {
+    try {
+      const result = await applyChange(api, change);
+      emit({
+        kind: change.kind.toLowerCase(),
+        data: { kind: change.kind, name: change.name, namespace: change.namespace, action: change.action, result },
+        name: () => change.name,
+        print: () => console.log(`${change.kind.toLowerCase()}/${change.name} ${result}`)
+      }, { stream: true });
+    } catch (err) {
+      console.error(`${change.kind.toLowerCase()}/${change.name} failed: ` +
+        `${err.response?.data?.message || err.response?.data?.error || err.message}`);
+      process.exitCode = 1;
+    }
+  }
+};
+
+program
+  .command('apply')
+  .description('Create, update or replace the objects in a manifest to match it')
+  .requiredOption('-f, --file <path>', 'YAML or JSON manifest, or - for stdin')
+  .option('--prune', 'Also delete objects of the kinds in the manifest that it does not list')
+  .action(async (options) => {
+    try {
+      const api = apiClient();
+      const objects = await readManifests(options.file, { namespace: context.namespace });
+      await runChanges(api, await planChanges(api, objects, { prune: options.prune }));
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+program
+  .command('diff')
+  .description('Show what apply would change; exits with 1 when there are differences')
+  .requiredOption('-f, --file <path>', 'YAML or JSON manifest, or - for stdin')
+  .option('--prune', 'Include the objects apply --prune would delete')
+  .action(async (options) => {
+    try {
+      const objects = await readManifests(options.file, { namespace: context.namespace });
+      const changes = (await planChanges(apiClient(), objects, { prune: options.prune }))
+        .filter(change => change.action !== 'unchanged');
+      const items = changes.map(({ kind, name, action, fields }) => ({ kind, name, action, fields }));
+      emit({
+        items,
+        name: ({ kind, name }) => `${kind.toLowerCase()}/${name}`,
+        print: () => {
+          if (changes.length === 0) console.log('No differences');
+          changes.forEach(change => formatChange(change).forEach(line => console.log(line)));
+        }
+      });
+      if (changes.length > 0) process.exitCode = 1;
+    } catch (err) {
+      handleError(err);
+      process.exitCode = 2;
+    }
+  });
+
+program
+  .command('delete')
+  .description('Delete the objects in a manifest')
+  .requiredOption('-f, --file <path>', 'YAML or JSON manifest, or - for stdin')
+  .action(async (options) => {
+    try {
+      const api = apiClient();
+      const objects = await readManifests(options.file, { namespace: context.namespace });
+      await runChanges(api, await planDeletions(api, objects));
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+// Token Commands
+const token = program
+  .command('token')
+  .description('Manage API tokens (requires an admin token)');
+
+token
+  .command('create')
+  .description('Issue an API token; its secret is only shown once')
+  .requiredOption('-r, --role <role>', 'viewer, operator, admin or node')
+  .option('--name <name>', 'Name to tell the token apart by')
+  .option('--node <nodeId>', 'Node a node token belongs to')
+  .action(async (options) => {
+    try {
+      const response = await axios.post(`${API_SERVER_URL}/tokens`, withoutUndefined({
+        role: options.role,
+        name: options.name,
+        nodeId: options.node
+      }));
+      emit({
+        kind: 'token',
+        data: response.data,
+        name: record => record.id,
+        print: record => {
+          console.log(`Issued ${record.role} token ${record.name} (${record.id})`);
+          console.log(`Token: ${record.token}`);
+          console.log('Store it now; it cannot be shown again');
+        }
+      });
+    } catch (err) {
+      console.error('Error issuing token:');
+      console.error(err.response?.data?.message || err.response?.data?.error || err.message);
+      process.exitCode = 1;
+    }
+  });
+
+token
+  .command('list')
+  .description('List API tokens')
+  .action(async () => {
+    try {
+      const response = await axios.get(`${API_SERVER_URL}/tokens`);
+      emit({
+        kind: 'token',
+        data: response.data,
+        items: response.data.tokens,
+        name: record => record.id,
+        columns: [
+          ['ID', record => record.id],
+          ['NAME', record => record.name],
+          ['ROLE', record => record.role],
+          ['NODE', record => record.nodeId],
+          ['AGE', record => formatAge(record.createdAt)]
+        ],
+        wideColumns: [
+          ['SOURCE', record => record.source]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+token
+  .command('revoke <id>')
+  .description('Revoke an API token')
+  .action(async (id) => {
+    try {
+      const response = await axios.delete(`${API_SERVER_URL}/tokens/${id}`);
+      emit({
+        kind: 'token',
+        data: response.data.token,
+        name: record => record.id,
+        print: record => console.log(`Revoked ${record.role} token ${record.name}`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+// Config Commands
+const config = program
+  .command('config')
+  .description(`Manage the CLI configuration in ${CONFIG_PATH}`);
+
+// Changes one context in the config file, creating it if needed
+const updateContext = async (name, settings) => {
+  const current = readConfig();
+  const updated = { ...current.contexts[name], ...withoutUndefined(settings) };
+  await writeConfig({ ...current, contexts: { ...current.contexts, [name]: updated } });
+  return updated;
+};
+
+const describeContext = (name, settings) => ({
+  name,
+  server: settings.server || null,
+  namespace: settings.namespace || null,
+  token: maskToken(settings.token)
+});
+
+config
+  .command('set-token <token>')
+  .description('Store the API token of the current context')
+  .action(async (value) => {
+    try {
+      await updateContext(context.name, { token: value });
+      emit({
+        data: { configFile: CONFIG_PATH, context: context.name },
+        print: () => console.log(`Token stored for context ${context.name} in ${CONFIG_PATH}`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+config
+  .command('set-context <name>')
+  .description('Create or change a context; options left out keep their values')
+  .option('--server <url>', 'API server URL')
+  .option('--token <token>', 'API token')
+  .option('-n, --namespace <name>', 'Namespace for new pods and deployments')
+  .option('--use', 'Also make it the current context')
+  .action(async (name, options, command) => {
+    try {
+      // --server after the subcommand still ends up with the global option
+      const { server } = command.optsWithGlobals();
+      if (server) {
+        try {
+          new URL(server);
+        } catch {
+          throw new Error(`Invalid server URL ${server}`);
+        }
+      }
+      const settings = await updateContext(name, {
+        server,
+        token: options.token,
+        namespace: options.namespace
+      });
+      if (options.use) await writeConfig({ ...readConfig(), currentContext: name });
+      emit({
+        kind: 'context',
+        data: describeContext(name, settings),
+        name: () => name,
+        print: () => console.log(`Context ${name} ${options.use ? 'set and in use' : 'set'}`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+config
+  .command('use-context <name>')
+  .description('Switch the current context')
+  .action(async (name) => {
+    try {
+      const current = readConfig();
+      if (!current.contexts[name] && name !== DEFAULT_CONTEXT) {
+        throw new Error(`No context named ${name}; create it with "cluster-cli config set-context ${name}"`);
+      }
+      await writeConfig({ ...current, currentContext: name });
+      emit({
+        kind: 'context',
+        data: describeContext(name, current.contexts[name] || {}),
+        name: () => name,
+        print: () => console.log(`Switched to context ${name}`)
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+config
+  .command('get-contexts')
+  .description('List the contexts in the config file')
+  .action(() => {
+    try {
+      const { contexts } = readConfig();
+      const contextList = Object.entries(contexts).map(([name, settings]) => describeContext(name, settings));
+      emit({
+        kind: 'context',
+        data: { currentContext: context.name, contexts: contextList },
+        items: contextList,
+        name: item => item.name,
+        empty: `No contexts in ${CONFIG_PATH}; create one with "cluster-cli config set-context <name>"`,
+        columns: [
+          ['CURRENT', item => (item.name === context.name ? '*' : ' ')],
+          ['NAME', item => item.name],
+          ['SERVER', item => item.server],
+          ['NAMESPACE', item => item.namespace]
+        ],
+        wideColumns: [
+          ['TOKEN', item => item.token]
+        ]
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
+config
+  .command('view')
+  .description('Show the context in use and where its settings come from')
+  .action(() => {
+    try {
+      const overrides = [
+        ['--context', program.opts().context],
+        ['--server', program.opts().server],
+        ...['CONTEXT', 'SERVER', 'TOKEN', 'NAMESPACE']
+          .map(setting => [`CLUSTER_CLI_${setting}`, process.env[`CLUSTER_CLI_${setting}`]])
+      ].filter(([, value]) => value).map(([source]) => source);
+      emit({
+        data: {
+          configFile: CONFIG_PATH,
+          context: context.name,
+          server: context.server,
+          namespace: context.namespace,
+          token: maskToken(context.token),
+          overrides
+        },
+        print: () => {
+          console.log(`Config file: ${CONFIG_PATH}`);
+          console.log(`Context: ${context.name}`);
+          console.log(`Server: ${context.server}`);
+          console.log(`Namespace: ${context.namespace}`);
+          console.log(`Token: ${maskToken(context.token) || '<none>'}`);
+          if (overrides.length > 0) console.log(`Overridden by: ${overrides.join(', ')}`);
+        }
+      });
+    } catch (err) {
+      handleError(err);
+    }
+  });
+
 program.parse(process.argv);
\ No newline at end of file
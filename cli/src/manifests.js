@@ -0,0 +1,340 @@
+import { readFile } from 'fs/promises';
+import { isDeepStrictEqual } from 'util';
+import yaml from 'js-yaml';
+
+// Manifests describe cluster objects in YAML or JSON as the request bodies
+// that create them, plus a kind:
+//
+//   kind: Node
+//   name: worker-1
+//   cpu_cores: 4
+//   labels: { zone: a }
+//   ---
+//   kind: Deployment
+//   name: web
+//   replicas: 3
+//   template: { cpu_required: 1, labels: { app: web } }
+//
+// A file holds one or more documents, each an object, a list of objects or
+// { items: [...] }. Fields a manifest leaves out aren't managed: apply leaves
+// them as they are on the server.
+
+const DEFAULT_NAMESPACE = 'default';
+
+const formatTaint = taint => typeof taint === 'string' ? taint :
+  `${taint.key}${taint.value ? `=${taint.value}` : ''}:${taint.effect}`;
+
+const formatToleration = toleration => typeof toleration === 'string' ? toleration :
+  `${toleration.key}${toleration.operator === 'Equal' ? `=${toleration.value}` : ''}` +
+  `${toleration.effect ? `:${toleration.effect}` : ''}`;
+
+const defined = object =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Fields of a pod spec as the manifest names them, from the API's pod or
+// deployment template; prefix is '' for pods and 'template.' for templates
+const podFields = (spec, prefix) => Object.fromEntries(Object.entries({
+  cpu_required: spec.cpuRequired,
+  memory_required: spec.memoryRequired ?? 0,
+  scheduler: spec.scheduler,
+  labels: spec.labels,
+  nodeSelector: spec.nodeSelector,
+  affinity: spec.affinity,
+  tolerations: (spec.tolerations || []).map(formatToleration),
+  priority: spec.priority,
+  priorityClassName: spec.priorityClassName
+}).map(([field, value]) => [`${prefix}${field}`, value]));
+
+const manifestPodFields = (spec, prefix) => Object.fromEntries(Object.entries(defined({
+  cpu_required: spec.cpu_required,
+  memory_required: spec.memory_required,
+  scheduler: spec.scheduler,
+  labels: spec.labels,
+  nodeSelector: spec.nodeSelector,
+  affinity: spec.affinity,
+  tolerations: spec.tolerations?.map(formatToleration),
+  priority: spec.priority,
+  priorityClassName: spec.priorityClassName
+})).map(([field, value]) => [`${prefix}${field}`, value]));
+
+// What apply knows about each kind, in the order objects are created:
+//   path          where the object is read and deleted, or
+//   find          how it is looked up when there is no such route
+//   names         what exists on the server, for pruning (kinds without it
+//                 can't be deleted); for namespaced kinds, in one namespace
+//   namespaced    whether objects belong to a namespace, which the server
+//                 then takes as a query parameter
+//   current       the server's object as flat manifest fields
+//   desired       the manifest's fields in the same form
+//   inPlace       fields that can change in place; when any other field
+//                 changes the object is deleted and created again
+//   create/update how the object is created and changed in place
+const KINDS = {
+  Namespace: {
+    path: name => `/namespaces/${name}`,
+    names: async api => (await api.get('/namespaces')).data.namespaces
+      .map(namespace => namespace.name)
+      .filter(name => name !== DEFAULT_NAMESPACE),
+    current: namespace => ({ quota: namespace.quota }),
+    // Limits left out of a quota have none
+    desired: ({ quota }) => defined({
+      quota: quota && { cpu: null, memory: null, pods: null, ...quota }
+    }),
+    inPlace: ['quota'],
+    create: (api, { name, quota }) => api.post('/namespaces', defined({ name, quota })),
+    update: (api, { name }, desired) => api.patch(`/namespaces/${name}/quota`, desired.quota)
+  },
+
+  PriorityClass: {
+    // There is no route for a single class, nor one to delete a class
+    find: async (api, name) => (await api.get('/priority-classes')).data.priorityClasses
+      .find(priorityClass => priorityClass.name === name) || null,
+    current: ({ value, description, preemptionPolicy }) => ({ value, description, preemptionPolicy }),
+    // Saving a class sets every field, so the ones left out go back to their defaults
+    desired: ({ value, description = '', preemptionPolicy = 'PreemptLowerPriority' }) =>
+      ({ value, description, preemptionPolicy }),
+    inPlace: ['value', 'description', 'preemptionPolicy'],
+    create: (api, spec) => api.post('/priority-classes', stripKind(spec)),
+    update: (api, spec) => api.post('/priority-classes', stripKind(spec))
+  },
+
+  Node: {
+    path: name => `/nodes/${name}`,
+    names: async api => (await api.get('/nodes')).data.nodes.map(node => node.nodeId),
+    current: node => ({
+      cpu_cores: node.cpu.total,
+      memory_mb: node.memory.total,
+      labels: node.labels,
+      // The cluster's own taints come and go with the node's status
+      taints: node.taints.filter(taint => !taint.startsWith('kubesim.io/'))
+    }),
+    desired: ({ cpu_cores, memory_mb, labels, taints }) =>
+      defined({ cpu_cores, memory_mb, labels, taints: taints?.map(formatTaint) }),
+    inPlace: ['labels', 'taints'],
+    create: (api, { name, ...spec }) => api.post('/nodes', { ...stripKind(spec), node_id: name }),
+    update: async (api, { name }, desired, current) => {
+      if (desired.labels) {
+        const removed = Object.keys(current.labels).filter(key => !(key in desired.labels));
+        await api.patch(`/nodes/${name}/labels`, {
+          labels: { ...desired.labels, ...Object.fromEntries(removed.map(key => [key, null])) }
+        });
+      }
+      if (desired.taints) {
+        const added = desired.taints.filter(taint => !current.taints.includes(taint));
+        const removed = current.taints.filter(taint => !desired.taints.includes(taint));
+        for (const taint of removed) {
+          const [, key, effect] = /^([^=:]+)(?:=[^:]*)?:(\w+)$/.exec(taint);
+          await api.delete(`/nodes/${name}/taints/${encodeURIComponent(key)}`, { params: { effect } });
+        }
+        if (added.length > 0) await api.post(`/nodes/${name}/taints`, { taints: added });
+      }
+    }
+  },
+
+  Deployment: {
+    path: name => `/deployments/${name}`,
+    namespaced: true,
+    names: async (api, namespace) => (await api.get('/deployments', { params: { namespace } })).data.deployments
+      .filter(deployment => deployment.namespace === namespace)
+      .map(deployment => deployment.name),
+    current: deployment => ({
+      namespace: deployment.namespace,
+      replicas: deployment.replicas,
+      selector: deployment.selector,
+      ...podFields(deployment.template, 'template.')
+    }),
+    desired: ({ namespace = DEFAULT_NAMESPACE, replicas, selector, template = {} }) => ({
+      ...defined({ namespace, replicas, selector }),
+      ...manifestPodFields(template, 'template.')
+    }),
+    inPlace: ['replicas'],
+    create: (api, spec) => api.post('/deployments', stripKind(spec)),
+    update: (api, { name, namespace }, desired) =>
+      api.put(`/deployments/${name}/scale`, { replicas: desired.replicas }, { params: { namespace } })
+  },
+
+  Pod: {
+    path: name => `/pods/${name}`,
+    namespaced: true,
+    // Pods of deployments belong to them
+    names: async (api, namespace) => (await api.get('/pods', { params: { namespace } })).data.pods
+      .filter(pod => !pod.owner && pod.namespace === namespace)
+      .map(pod => pod.name),
+    current: pod => ({ namespace: pod.namespace, ...podFields(pod, '') }),
+    desired: ({ namespace = DEFAULT_NAMESPACE, ...spec }) => ({ namespace, ...manifestPodFields(spec, '') }),
+    inPlace: [],
+    create: (api, spec) => api.post('/pods', stripKind(spec))
+  }
+};
+
+export const MANIFEST_KINDS = Object.keys(KINDS);
+
+const stripKind = ({ kind, ...spec }) => spec;
+
+const namespaceOf = object => object.namespace || DEFAULT_NAMESPACE;
+
+const describe = object => KINDS[object.kind].namespaced ?
+  `${object.kind}/${namespaceOf(object)}/${object.name}` : `${object.kind}/${object.name}`;
+
+// Query parameters that pick out the object on the server
+const objectParams = object => KINDS[object.kind].namespaced ? { namespace: namespaceOf(object) } : {};
+
+// Reads the objects in a manifest file, or stdin for "-". Pods and
+// deployments without a namespace get the given one.
+export async function readManifests(file, { namespace = DEFAULT_NAMESPACE } = {}) {
+  const text = file === '-' ? await readStdin() : await readFile(file, 'utf8');
+  let documents;
+  try {
+    documents = yaml.loadAll(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+
+  const objects = documents
+    .filter(document => document !== null && document !== undefined)
+    .flatMap(document => Array.isArray(document) ? document : document.items || [document]);
+
+  const seen = new Set();
+  objects.forEach((object, index) => {
+    if (!object || typeof object !== 'object' || !KINDS[object.kind]) {
+      throw new Error(`${file}: object ${index + 1} needs a kind, one of: ${MANIFEST_KINDS.join(', ')}`);
+    }
+    if (typeof object.name !== 'string' || !object.name) {
+      throw new Error(`${file}: ${object.kind} ${index + 1} needs a name`);
+    }
+    if (seen.has(describe(object))) {
+      throw new Error(`${file}: ${object.kind}/${object.name} appears more than once` +
+        (KINDS[object.kind].namespaced ? ` in namespace ${namespaceOf(object)}` : ''));
+    }
+    seen.add(describe(object));
+  });
+  return objects.map(object =>
+    KINDS[object.kind].namespaced && !object.namespace ? { ...object, namespace } : object);
+}
+
+const readStdin = async () => {
+  let text = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+};
+
+const byKind = (a, b) => MANIFEST_KINDS.indexOf(a.kind) - MANIFEST_KINDS.indexOf(b.kind);
+
+// The object as the server has it, or null
+const fetchObject = async (api, object) => {
+  const kind = KINDS[object.kind];
+  if (kind.find) return kind.find(api, object.name);
+  try {
+    return (await api.get(kind.path(object.name), { params: objectParams(object) })).data;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+};
+
+// Works out what apply has to do for each object:
+//   { action: 'create' | 'update' | 'replace' | 'delete' | 'unchanged', kind, name, namespace, spec, fields }
+// where fields lists { field, from, to } for updates and replacements and
+// namespace is set for namespaced kinds only. With prune, objects of the
+// kinds in the manifest that it doesn't list are deleted.
+export async function planChanges(api, objects, { prune = false } = {}) {
+  const changes = [];
+  for (const object of [...objects].sort(byKind)) {
+    const kind = KINDS[object.kind];
+    const existing = await fetchObject(api, object);
+    const change = { kind: object.kind, name: object.name, ...objectParams(object), spec: object };
+    if (!existing) {
+      changes.push({ ...change, action: 'create', fields: [] });
+      continue;
+    }
+
+    const current = kind.current(existing);
+    const desired = kind.desired(object);
+    const fields = Object.keys(desired)
+      .filter(field => !isDeepStrictEqual(desired[field], current[field] ?? null))
+      .map(field => ({ field, from: current[field], to: desired[field] }));
+    const replace = fields.some(({ field }) => !kind.inPlace.includes(field));
+    changes.push({
+      ...change,
+      action: fields.length === 0 ? 'unchanged' : replace ? 'replace' : 'update',
+      fields,
+      current,
+      desired
+    });
+  }
+
+  // Namespaced kinds are only pruned in the namespaces the manifest uses
+  if (prune) {
+    const listed = new Set(objects.map(describe));
+    const kinds = MANIFEST_KINDS.filter(kind => objects.some(object => object.kind === kind));
+    const namespaces = [...new Set(objects.filter(object => KINDS[object.kind].namespaced).map(namespaceOf))];
+    for (const kind of [...kinds].reverse()) {
+      if (!KINDS[kind].names) continue;
+      const existing = KINDS[kind].namespaced ?
+        (await Promise.all(namespaces.map(async namespace =>
+          (await KINDS[kind].names(api, namespace)).map(name => ({ kind, name, namespace }))))).flat() :
+        (await KINDS[kind].names(api)).map(name => ({ kind, name }));
+      existing
+        .filter(object => !listed.has(describe(object)))
+        .forEach(object => changes.push({ ...object, action: 'delete', fields: [] }));
+    }
+  }
+  return changes;
+}
+
+// What delete -f does: every object in the manifest that exists, the ones
+// created last first
+export async function planDeletions(api, objects) {
+  const changes = [];
+  for (const object of [...objects].sort(byKind).reverse()) {
+    const change = { kind: object.kind, name: object.name, ...objectParams(object), fields: [] };
+    if (!KINDS[object.kind].names) {
+      changes.push({ ...change, action: 'unsupported' });
+    } else {
+      const existing = await fetchObject(api, object);
+      changes.push({ ...change, action: existing ? 'delete' : 'missing' });
+    }
+  }
+  return changes;
+}
+
+// Carries out one change; resolves to the past tense of what was done
+export async function applyChange(api, change) {
+  const kind = KINDS[change.kind];
+  switch (change.action) {
+    case 'create':
+      await kind.create(api, change.spec);
+      return 'created';
+    case 'update':
+      await kind.update(api, change.spec, change.desired, change.current);
+      return 'configured';
+    case 'replace':
+      await api.delete(kind.path(change.name), { params: objectParams(change) });
+      await kind.create(api, change.spec);
+      return 'replaced';
+    case 'delete':
+      await api.delete(kind.path(change.name), { params: objectParams(change) });
+      return 'deleted';
+    case 'unsupported':
+      return 'skipped: the server cannot delete this kind';
+    case 'missing':
+      return 'not found';
+    default:
+      return 'unchanged';
+  }
+}
+
+const SYMBOLS = { create: '+', update: '~', replace: '±', delete: '-', unchanged: ' ' };
+
+const formatValue = value => value === undefined ? '<unset>' : JSON.stringify(value);
+
+// The lines diff prints for a change
+export function formatChange(change) {
+  const lines = [`${SYMBOLS[change.action]} ${change.kind}/${change.name}` +
+    (change.action === 'replace' ? ' (delete and create again)' : '')];
+  change.fields.forEach(({ field, from, to }) => {
+    lines.push(`    ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+  });
+  return lines;
+}
@@ -0,0 +1,143 @@
+import yaml from 'js-yaml';
+
+// Every command hands its result to emit, which prints it in the format
+// picked with -o:
+//   table (default)  aligned columns for lists, readable text otherwise
+//   wide             lists with more columns
+//   json, yaml       the data as the api-server returned it
+//   name             kind/name of each object
+//   jsonpath=EXPR    the values EXPR selects from that data, e.g.
+//                    jsonpath='{.nodes[*].nodeId}'
+//
+// A result is
+//   {
+//     kind,          // e.g. 'node', for -o name; left out when the name
+//                    // already says it
+//     data,          // what json, yaml and jsonpath print, usually the
+//                    // response; { items } when left out
+//     items,         // the objects of a list
+//     columns,       // [header, item => value] pairs for the list's table
+//     wideColumns,   // added to them with -o wide
+//     name,          // object => its name, for -o name
+//     print,         // writes the readable form when there are no columns
+//     empty,         // what the table says when the list is empty
+//     footer         // printed under the table
+//   }
+
+export const OUTPUT_FORMATS = ['table', 'wide', 'json', 'yaml', 'name', 'jsonpath=<expression>'];
+
+export function parseOutputFormat(value) {
+  if (value.startsWith('jsonpath=')) {
+    const expression = value.slice('jsonpath='.length);
+    parsePath(expression);
+    return { format: 'jsonpath', expression };
+  }
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new Error(`Unknown output format ${value}; expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return { format: value };
+}
+
+// A JSONPath subset: an optional $ and {} around .field, ['field'], [index],
+// [*] and .* steps
+const parsePath = expression => {
+  const path = expression.trim().replace(/^\{(.*)\}$/s, '$1').trim().replace(/^\$/, '');
+  const steps = [...path.matchAll(/\.(\*|[^.[\]]+)|\[(\*|-?\d+|'[^']*'|"[^"]*")\]/g)];
+  if (steps.map(step => step[0]).join('') !== path) {
+    throw new Error(`Invalid JSONPath expression ${expression}`);
+  }
+  return steps.map(step => {
+    const key = step[1] ?? step[2];
+    if (key === '*') return { all: true };
+    if (step[2] !== undefined && /^-?\d+$/.test(key)) return { index: Number(key) };
+    return { key: key.replace(/^(['"])(.*)\1$/, '$2') };
+  });
+};
+
+const selectPath = (expression, data) => parsePath(expression).reduce((values, step) =>
+  values.flatMap(value => {
+    if (value === null || typeof value !== 'object') return [];
+    if (step.all) return Object.values(value);
+    if (step.index !== undefined) {
+      const item = Array.isArray(value) ? value.at(step.index) : undefined;
+      return item === undefined ? [] : [item];
+    }
+    return value[step.key] === undefined ? [] : [value[step.key]];
+  }), [data]);
+
+// How far the api-server's clock is ahead of ours, as of its last response. A
+// server in simulation mode runs on a virtual clock, so ages measured on ours
+// would be meaningless.
+let serverClockOffset = 0;
+
+export const setServerTime = time => {
+  serverClockOffset = new Date(time) - Date.now();
+};
+
+// How long ago a time was on the server's clock, e.g. 45s, 12m or 3d
+export const formatAge = time => {
+  if (!time) return 'never';
+  const seconds = Math.max(Math.floor((Date.now() + serverClockOffset - new Date(time)) / 1000), 0);
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 120 * 60) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 48 * 3600) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+};
+
+// e.g. app=web,tier=frontend
+export const formatLabels = (labels = {}) =>
+  Object.entries(labels).map(([key, value]) => `${key}=${value}`).join(',') || '<none>';
+
+const formatCell = value => {
+  if (value === undefined || value === null || value === '') return '<none>';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// The lines of a table, header first
+export function formatTable(items, columns) {
+  const rows = [
+    columns.map(([header]) => header),
+    ...items.map(item => columns.map(([, value]) => formatCell(value(item))))
+  ];
+  const widths = columns.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+  return rows.map(row =>
+    row.map((cell, index) => index === row.length - 1 ? cell : cell.padEnd(widths[index])).join('   '));
+}
+
+// With stream, the result is one of many, such as a watch event: json goes
+// on one line and yaml documents are separated
+export function render(result, { format, expression }, { stream = false } = {}) {
+  const data = result.data ?? { items: result.items };
+  switch (format) {
+    case 'json':
+      console.log(stream ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+      return;
+    case 'yaml':
+      process.stdout.write((stream ? '---\n' : '') + yaml.dump(data, { noRefs: true }));
+      return;
+    case 'jsonpath':
+      console.log(selectPath(expression, data)
+        .map(value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)))
+        .join(' '));
+      return;
+    case 'name': {
+      if (!result.name) throw new Error('This command has no object names to print');
+      const objects = result.items ?? [result.data];
+      objects.forEach(object => console.log(result.kind ? `${result.kind}/${result.name(object)}` : result.name(object)));
+      return;
+    }
+  }
+
+  if (!result.columns) {
+    result.print(data);
+    return;
+  }
+  if (result.items.length === 0) {
+    console.log(result.empty || 'No resources found');
+    return;
+  }
+  formatTable(result.items, format === 'wide' ? [...result.columns, ...(result.wideColumns || [])] : result.columns)
+    .forEach(line => console.log(line));
+  if (result.footer) console.log(result.footer);
+}
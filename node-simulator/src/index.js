@@ -4,50 +4,210 @@ const { v4: uuidv4 } = require('uuid');
 
 const API_SERVER_URL = process.env.API_SERVER_URL || 'http://api-server:5000';
 const HEARTBEAT_INTERVAL = parseInt(process.env.HEARTBEAT_INTERVAL) || 10000; // Default 10 seconds
-const MAX_RETRY_ATTEMPTS = 5;
+const MAX_RETRY_ATTEMPTS = 5; // failed heartbeats before warning that the node may be marked unhealthy
+const HEARTBEAT_VERSION = 1;
+const POD_STARTUP_DELAY = parseInt(process.env.POD_STARTUP_DELAY) || 5000;
+const POD_SHUTDOWN_DELAY = parseInt(process.env.POD_SHUTDOWN_DELAY) || 2000;
+const LOG_FLUSH_INTERVAL = parseInt(process.env.LOG_FLUSH_INTERVAL) || 1000;
+const POD_LOG_INTERVAL = parseInt(process.env.POD_LOG_INTERVAL) || 3000;
+const MAX_PENDING_LOG_LINES = 1000; // per node and per pod while the api-server is unreachable
+
+const POD_LOG_MESSAGES = [
+  (pod, random) => `GET /healthz 200 ${1 + Math.floor(random() * 20)}ms`,
+  (pod, random) => `Handled ${Math.floor(random() * 500)} requests in the last ${POD_LOG_INTERVAL / 1000}s`,
+  pod => `Using ${pod.cpuUsage} cores and ${pod.memoryUsage}MB memory`,
+  (pod, random) => `Cache hit ratio ${(0.5 + random() * 0.5).toFixed(2)}`
+];
+
+// The api-server's in-process provisioner passes its own clock, which may be
+// a virtual one
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: timer => clearInterval(timer),
+  sleep: delay => new Promise(resolve => setTimeout(resolve, delay)),
+  random: () => Math.random()
+};
+
+const NO_NETWORK_FAULTS = { dropRate: 0, latency: 0, clockSkew: 0, partitionUntil: null };
+
+const networkError = (message, code) => Object.assign(new Error(message), { code });
 
 class NodeSimulator {
-  constructor() {
-    this.cpuCores = parseInt(process.env.CPU_CORES) || 2;
-    this.nodeId = process.env.NODE_ID || uuidv4();
-    this.pods = new Map(); // podId -> { status, cpuUsage, lastActivity }
+  // Options override the environment, so several simulators can share a
+  // process (see the api-server's in-process provisioner)
+  constructor(options = {}) {
+    this.apiServerUrl = options.apiServerUrl || API_SERVER_URL;
+    this.cpuCores = options.cpuCores || parseInt(process.env.CPU_CORES) || 2;
+    this.memoryMb = options.memoryMb || parseInt(process.env.MEMORY_MB) || Math.round(os.totalmem() / 1024 / 1024);
+    // NODE_LABELS="zone=a,disk=ssd"
+    this.labels = options.labels || Object.fromEntries(
+      (process.env.NODE_LABELS || '').split(',').filter(Boolean).map(pair => pair.split('='))
+    );
+    this.nodeId = options.nodeId || process.env.NODE_ID || uuidv4();
+    // A node token for this node, or any token with the admin role
+    this.token = options.token || process.env.NODE_TOKEN;
+    this.logger = options.logger || console;
+    this.clock = options.clock || systemClock;
+    this.pods = new Map(); // podId -> { status, cpuRequired, memoryRequired, cpuUsage, memoryUsage, lastActivity }
     this.retryAttempts = 0;
     this.heartbeatInterval = HEARTBEAT_INTERVAL;
     this.isShuttingDown = false;
+    // Log lines not shipped to the api-server yet
+    this.pendingLogs = { node: [], pods: {} };
+    // Set by the api-server (PATCH /nodes/:id/network-faults)
+    this.networkFaults = NO_NETWORK_FAULTS;
   }
 
   async start() {
-    console.log(`Starting node ${this.nodeId} with ${this.cpuCores} CPU cores`);
-    this.registerNode();
+    this.log(`Starting node ${this.nodeId} with ${this.cpuCores} CPU cores and ${this.memoryMb}MB memory`);
+    await this.registerNode();
     this.startHeartbeat();
+    this.startLogShipping();
+    this.podLogTimer = this.clock.setInterval(() => this.writePodLogs(), POD_LOG_INTERVAL);
+  }
+
+  // What this node's clock says, skewed if the api-server asked for it
+  timestamp() {
+    return new Date(this.clock.now() + this.networkFaults.clockSkew).toISOString();
+  }
+
+  // Every request to the api-server goes through the simulated network, which
+  // may be partitioned, slow or lose requests
+  async post(path, body, options = {}) {
+    const { dropRate, latency, partitionUntil } = this.networkFaults;
+    if (partitionUntil && this.clock.now() < partitionUntil) {
+      throw networkError('Network partitioned', 'ENETUNREACH');
+    }
+    if (latency) await this.clock.sleep(latency);
+    if (dropRate && this.clock.random() < dropRate) {
+      throw networkError('Request dropped', 'ETIMEDOUT');
+    }
+    return axios.post(`${this.apiServerUrl}${path}`, body, {
+      ...options,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    });
+  }
+
+  // The api-server sends the faults to simulate with each registration and
+  // heartbeat response: { dropRate, latency, clockSkew, partitionFor }, or
+  // null for none. A partition starts when it arrives.
+  setNetworkFaults(faults) {
+    if (faults === undefined) return;
+    const { dropRate = 0, latency = 0, clockSkew = 0, partitionFor = 0 } = faults || {};
+    const previous = this.networkFaults;
+    this.networkFaults = {
+      dropRate,
+      latency,
+      clockSkew,
+      partitionUntil: partitionFor > 0 ? this.clock.now() + partitionFor : null
+    };
+
+    if (dropRate !== previous.dropRate || latency !== previous.latency || clockSkew !== previous.clockSkew) {
+      this.log(faults ?
+        `Network faults: ${Math.round(dropRate * 100)}% dropped, ${latency}ms latency, ${clockSkew}ms clock skew` :
+        'Network faults cleared');
+    }
+    if (partitionFor > 0) {
+      this.log(`Partitioned from the api-server for ${partitionFor / 1000}s`);
+    }
+  }
+
+  log(message) {
+    this.logger.log(message);
+    this.queueLog(this.pendingLogs.node, message);
+  }
+
+  podLog(podId, message) {
+    if (!this.pendingLogs.pods[podId]) this.pendingLogs.pods[podId] = [];
+    this.queueLog(this.pendingLogs.pods[podId], message);
+  }
+
+  queueLog(lines, message) {
+    lines.push({ timestamp: this.timestamp(), message });
+    if (lines.length > MAX_PENDING_LOG_LINES) lines.shift();
+  }
+
+  startLogShipping() {
+    this.clock.setTimeout(async () => {
+      await this.flushLogs();
+      if (!this.isShuttingDown) this.startLogShipping();
+    }, LOG_FLUSH_INTERVAL);
+  }
+
+  async flushLogs() {
+    const batch = this.pendingLogs;
+    if (batch.node.length === 0 && Object.keys(batch.pods).length === 0) return;
+    this.pendingLogs = { node: [], pods: {} };
+
+    try {
+      await this.post(`/nodes/${this.nodeId}/logs`, batch, { timeout: 5000 });
+    } catch (err) {
+      // Until the node is registered there is nowhere to keep its lines
+      if (err.response?.status === 404) return;
+
+      // Keep the batch ahead of anything logged since
+      this.pendingLogs.node = [...batch.node, ...this.pendingLogs.node].slice(-MAX_PENDING_LOG_LINES);
+      Object.entries(batch.pods).forEach(([podId, lines]) => {
+        this.pendingLogs.pods[podId] = [...lines, ...(this.pendingLogs.pods[podId] || [])]
+          .slice(-MAX_PENDING_LOG_LINES);
+      });
+    }
+  }
+
+  // What the workloads print while they run
+  writePodLogs() {
+    this.pods.forEach((pod, podId) => {
+      if (pod.status !== 'running') return;
+      const message = POD_LOG_MESSAGES[Math.floor(this.clock.random() * POD_LOG_MESSAGES.length)];
+      this.podLog(podId, message(pod, () => this.clock.random()));
+    });
   }
 
   async registerNode() {
     try {
-      await axios.post(`${API_SERVER_URL}/nodes/register`, {
+      const response = await this.post('/nodes/register', {
         nodeId: this.nodeId,
         cpuCores: this.cpuCores,
-        initialPods: Array.from(this.pods.keys())
+        memoryMb: this.memoryMb,
+        labels: this.labels,
+        initialPods: Array.from(this.pods.entries()).map(([podId, pod]) => ({
+          id: podId,
+          cpuRequired: pod.cpuRequired ?? pod.cpuUsage ?? 0,
+          memoryRequired: pod.memoryRequired || 0,
+          status: pod.status
+        }))
       });
-      console.log(`Node ${this.nodeId} registered successfully`);
+      this.log(`Node ${this.nodeId} registered successfully`);
+      this.setNetworkFaults(response.data?.networkFaults);
+      this.syncPods(response.data?.desiredPods);
     } catch (err) {
-      console.error('Node registration failed:', err.message);
-      setTimeout(() => this.registerNode(), 5000); // Retry after 5 seconds
+      this.log(`Node registration failed: ${err.message}`);
+      if (this.isShuttingDown) return;
+      this.clock.setTimeout(() => this.registerNode(), 5000); // Retry after 5 seconds
     }
   }
 
-  startHeartbeat() {
+  // Failed heartbeats are retried with exponential backoff, never waiting
+  // longer than the usual interval, for as long as the node runs
+  startHeartbeat(delay = this.heartbeatInterval) {
     if (this.isShuttingDown) return;
     
-    setTimeout(async () => {
-      await this.sendHeartbeat();
-      this.startHeartbeat(); // Schedule next heartbeat
-    }, this.heartbeatInterval);
+    this.clock.setTimeout(async () => {
+      const delivered = await this.sendHeartbeat();
+      // Schedule next heartbeat
+      this.startHeartbeat(delivered ? this.heartbeatInterval : Math.min(
+        this.heartbeatInterval,
+        Math.pow(2, this.retryAttempts) * 1000
+      ));
+    }, delay);
   }
 
+  // Resolves to false when the heartbeat should be retried
   async sendHeartbeat() {
     try {
-      if (!this.nodeId || this.isShuttingDown) return;
+      if (!this.nodeId || this.isShuttingDown) return true;
 
       // Prepare system metrics
       const systemMetrics = {
@@ -65,36 +225,45 @@ class NodeSimulator {
       // Prepare pod status report
       const podReport = {};
       this.pods.forEach((pod, podId) => {
+        this.updateUsage(pod);
         podReport[podId] = {
-          status: pod.status || 'running',
-          cpuUsage: pod.cpuUsage || 0,
-          memoryUsage: pod.memoryUsage || 0,
-          lastActivity: pod.lastActivity || new Date().toISOString()
+          status: pod.status,
+          cpuUsage: pod.cpuUsage || 0, // cores
+          memoryUsage: pod.memoryUsage || 0, // MB
+          lastActivity: pod.lastActivity || this.timestamp()
         };
       });
 
+      // See api-server/src/heartbeat.js for the contract
       const heartbeatData = {
-        timestamp: new Date().toISOString(),
+        version: HEARTBEAT_VERSION,
+        timestamp: this.timestamp(),
         nodeStatus: {
           ready: true,
           resources: {
             availableCpu: this.cpuCores - Array.from(this.pods.values())
                               .reduce((sum, pod) => sum + (pod.cpuUsage || 0), 0),
-            totalCpu: this.cpuCores
+            totalCpu: this.cpuCores,
+            totalMemory: this.memoryMb
           }
         },
         podStatuses: podReport,
         systemMetrics
       };
 
-      const response = await axios.post(
-        `${API_SERVER_URL}/nodes/${this.nodeId}/heartbeat`,
+      const response = await this.post(
+        `/nodes/${this.nodeId}/heartbeat`,
         heartbeatData,
         { timeout: 8000 } // 8 second timeout
       );
 
       // Reset retry attempts on success
+      if (this.retryAttempts >= MAX_RETRY_ATTEMPTS) {
+        this.log(`Heartbeat delivered after ${this.retryAttempts} failed attempts`);
+      }
       this.retryAttempts = 0;
+      this.setNetworkFaults(response.data?.networkFaults);
+      this.syncPods(response.data?.desiredPods);
 
       // Adjust heartbeat interval if server suggests it
       if (response.data?.recommendedInterval) {
@@ -107,77 +276,130 @@ class NodeSimulator {
         );
       }
 
-      console.debug(`Heartbeat acknowledged for ${this.nodeId}`, {
+      this.logger.debug(`Heartbeat acknowledged for ${this.nodeId}`, {
         timestamp: heartbeatData.timestamp,
         nextHeartbeatIn: `${this.heartbeatInterval/1000}s`,
         podsReported: Object.keys(podReport).length
       });
+      return true;
 
     } catch (err) {
-      console.error('Heartbeat failed:', {
+      // The api-server no longer knows this node (e.g. it restarted): join again
+      if (err.response?.status === 404) {
+        this.log(`Node ${this.nodeId} unknown to api-server, re-registering`);
+        await this.registerNode();
+        return true;
+      }
+
+      this.retryAttempts++;
+      this.logger.error('Heartbeat failed:', {
         error: err.message,
-        attempt: this.retryAttempts + 1,
-        timestamp: new Date().toISOString()
+        attempt: this.retryAttempts,
+        timestamp: this.timestamp()
       });
 
-      if (this.retryAttempts < MAX_RETRY_ATTEMPTS) {
-        this.retryAttempts++;
-        const retryDelay = Math.min(
-          60000, // Max 1 minute
-          Math.pow(2, this.retryAttempts) * 1000 // Exponential backoff
-        );
-        setTimeout(() => this.sendHeartbeat(), retryDelay);
-      } else {
-        console.error('Max heartbeat retries reached. Node may be marked as unhealthy.');
+      if (this.retryAttempts === MAX_RETRY_ATTEMPTS) {
+        this.log(`${MAX_RETRY_ATTEMPTS} heartbeats failed in a row (${err.message}). Node may be marked as unhealthy; still retrying.`);
       }
+      return false;
     }
   }
 
-  async shutdown() {
+  // Stops heartbeats and log shipping without telling the api-server
+  stop() {
     this.isShuttingDown = true;
-    console.log(`Shutting down node ${this.nodeId}`);
+    this.clock.clearInterval(this.podLogTimer);
+  }
+
+  async shutdown() {
+    this.stop();
+    this.log(`Shutting down node ${this.nodeId}`);
+    await this.flushLogs();
     
     try {
-      await axios.post(`${API_SERVER_URL}/nodes/${this.nodeId}/shutdown`, {
-        timestamp: new Date().toISOString(),
+      await this.post(`/nodes/${this.nodeId}/shutdown`, {
+        timestamp: this.timestamp(),
         reason: 'Node shutdown requested'
       });
     } catch (err) {
-      console.error('Graceful shutdown failed:', err.message);
+      this.logger.error('Graceful shutdown failed:', err.message);
     }
   }
 
-  // Simulate pod creation (for testing)
-  simulatePod(podId, cpuUsage = 0.5) {
-    this.pods.set(podId, {
-      status: 'running',
-      cpuUsage,
-      lastActivity: new Date().toISOString()
+  // Starts the pods the api-server assigned to this node and stops the ones
+  // it no longer wants here
+  syncPods(desiredPods) {
+    if (!Array.isArray(desiredPods) || this.isShuttingDown) return;
+    const desired = new Map(desiredPods.map(pod => [pod.id, pod]));
+
+    desired.forEach((spec, podId) => {
+      if (!this.pods.has(podId)) this.startPod(spec);
+    });
+
+    this.pods.forEach((pod, podId) => {
+      if (!desired.has(podId) && pod.status !== 'terminating') this.stopPod(podId);
     });
-    return podId;
+  }
+
+  startPod({ id, cpuRequired = 0, memoryRequired = 0 }) {
+    this.log(`Starting pod ${id}`);
+    const pod = {
+      status: 'pending',
+      cpuRequired,
+      memoryRequired,
+      cpuUsage: 0,
+      memoryUsage: 0,
+      lastActivity: this.timestamp()
+    };
+    this.pods.set(id, pod);
+    this.podLog(id, `Starting container with ${cpuRequired} cores and ${memoryRequired}MB memory`);
+
+    this.clock.setTimeout(() => {
+      if (this.pods.get(id) !== pod || pod.status !== 'pending') return;
+      pod.status = 'running';
+      pod.lastActivity = this.timestamp();
+      this.log(`Pod ${id} is running`);
+      this.podLog(id, 'Container started');
+    }, POD_STARTUP_DELAY);
+  }
+
+  stopPod(podId) {
+    this.log(`Stopping pod ${podId}`);
+    this.podLog(podId, 'Received SIGTERM, shutting down');
+    const pod = this.pods.get(podId);
+    pod.status = 'terminating';
+    pod.cpuUsage = 0;
+    pod.memoryUsage = 0;
+
+    this.clock.setTimeout(() => {
+      if (this.pods.get(podId) !== pod) return;
+      this.pods.delete(podId);
+      this.podLog(podId, 'Container exited with code 0');
+    }, POD_SHUTDOWN_DELAY);
+  }
+
+  // Running pods use 30-90% of the CPU and 50-90% of the memory they requested
+  updateUsage(pod) {
+    if (pod.status !== 'running') return;
+    pod.cpuUsage = Number((pod.cpuRequired * (0.3 + this.clock.random() * 0.6)).toFixed(3));
+    pod.memoryUsage = Math.round(pod.memoryRequired * (0.5 + this.clock.random() * 0.4));
+    pod.lastActivity = this.timestamp();
   }
 }
 
-// Handle process termination
-process.on('SIGTERM', () => {
-  node.shutdown().finally(() => process.exit(0));
-});
-
-process.on('SIGINT', () => {
-  node.shutdown().finally(() => process.exit(0));
-});
-
-const node = new NodeSimulator();
-node.start();
-
-// For testing/demo purposes
-if (process.env.NODE_ENV === 'development') {
-  // Simulate a pod after 5 seconds
-  setTimeout(() => {
-    const podId = `pod-${uuidv4()}`;
-    node.simulatePod(podId, 0.7);
-    console.log(`Simulated pod ${podId} created`);
-  }, 5000);
+if (require.main === module) {
+  const node = new NodeSimulator();
+
+  // Handle process termination
+  process.on('SIGTERM', () => {
+    node.shutdown().finally(() => process.exit(0));
+  });
+
+  process.on('SIGINT', () => {
+    node.shutdown().finally(() => process.exit(0));
+  });
+
+  node.start();
 }
 
 module.exports = NodeSimulator;
\ No newline at end of file